@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+// Local user store, login sessions and role checks.
+//
+// Roles: "operator" can generate and work on orders; "admin" can also manage the image
+// library, delete anything, see usage and manage users.
+// Requests authenticate with the session cookie set by POST /api/auth/login, an
+// "Authorization: Bearer <token>" header carrying the same token, or an "X-API-Key" header.
+//
+// Configuration:
+// - ADMIN_USERNAME / ADMIN_PASSWORD: admin account created when the user store is empty
+//   (without them a random password is generated and printed once at startup)
+// - SESSION_TTL_HOURS: how long a login stays valid (default 12)
+// - API_KEYS: comma-separated "role:key" pairs for scripts and integrations
+const userStore = createJsonStore('users', { users: [] });
+const sessionStore = createJsonStore('sessions', { sessions: {} });
+
+export const ROLES = ['operator', 'admin'];
+export const SESSION_COOKIE = 'session';
+
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Static API keys from the environment, keyed by a hash of the key
+const API_KEYS = new Map((process.env.API_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry, index) => {
+    const [role, ...rest] = entry.split(':');
+    return [hashToken(rest.join(':')), { id: `api-key-${index + 1}`, username: `api-key-${index + 1}`, role }];
+  })
+  .filter(([, user]) => ROLES.includes(user.role)));
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => ({
+  salt,
+  hash: crypto.scryptSync(password, salt, 64).toString('hex')
+});
+
+const verifyPassword = (password, user) => {
+  const { hash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+};
+
+// User as exposed through the API (never the password hash)
+export const publicUser = ({ id, username, role, createdAt }) => ({ id, username, role, createdAt });
+
+export const validatePassword = (password) => (
+  typeof password === 'string' && password.length >= 8 ? null : 'Password must be at least 8 characters'
+);
+
+export const listUsers = () => userStore.read().users.map(publicUser);
+
+export const getUser = (id) => userStore.read().users.find(user => user.id === id) || null;
+
+const findByUsername = (username) => {
+  const name = String(username || '').trim().toLowerCase();
+  return userStore.read().users.find(user => user.username.toLowerCase() === name) || null;
+};
+
+export const createUser = ({ username, password, role }) => {
+  if (findByUsername(username)) {
+    const error = new Error(`User "${username}" already exists`);
+    error.statusCode = 409;
+    throw error;
+  }
+  const { salt, hash } = hashPassword(password);
+  const user = {
+    id: crypto.randomUUID(),
+    username: username.trim(),
+    role,
+    salt,
+    passwordHash: hash,
+    createdAt: new Date().toISOString()
+  };
+  userStore.update(doc => {
+    doc.users.push(user);
+  });
+  return publicUser(user);
+};
+
+const adminCount = () => userStore.read().users.filter(user => user.role === 'admin').length;
+
+// Change a user's role or password; a new password ends the user's sessions
+export const updateUser = (id, { role, password }) => {
+  const user = getUser(id);
+  if (!user) return null;
+  if (role && role !== 'admin' && user.role === 'admin' && adminCount() === 1) {
+    const error = new Error('Cannot demote the last admin');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  userStore.update(doc => {
+    const target = doc.users.find(item => item.id === id);
+    if (role) target.role = role;
+    if (password) {
+      const { salt, hash } = hashPassword(password);
+      target.salt = salt;
+      target.passwordHash = hash;
+    }
+  });
+  if (password) revokeSessions(id);
+  return publicUser(getUser(id));
+};
+
+export const deleteUser = (id) => {
+  const user = getUser(id);
+  if (!user) return false;
+  if (user.role === 'admin' && adminCount() === 1) {
+    const error = new Error('Cannot delete the last admin');
+    error.statusCode = 400;
+    throw error;
+  }
+  userStore.update(doc => {
+    doc.users = doc.users.filter(item => item.id !== id);
+  });
+  revokeSessions(id);
+  return true;
+};
+
+// Create the first admin so a fresh install can log in
+export const ensureAdminUser = () => {
+  if (userStore.read().users.length > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = crypto.randomBytes(12).toString('base64url');
+    console.warn(`No users found and ADMIN_PASSWORD is not set. Created admin "${username}" with password: ${password}`);
+  } else {
+    console.log(`No users found. Created admin "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+  }
+  createUser({ username, password, role: 'admin' });
+};
+
+// Sessions are stored by token hash so the store never holds usable tokens
+const pruneSessions = (sessions) => {
+  const now = Date.now();
+  Object.entries(sessions).forEach(([key, session]) => {
+    if (new Date(session.expiresAt).getTime() <= now) delete sessions[key];
+  });
+};
+
+// Check credentials and start a session. Returns { token, expiresAt, user } or null.
+export const login = (username, password) => {
+  const user = findByUsername(username);
+  if (!user || !verifyPassword(String(password || ''), user)) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  sessionStore.update(doc => {
+    pruneSessions(doc.sessions);
+    doc.sessions[hashToken(token)] = { userId: user.id, createdAt: new Date().toISOString(), expiresAt };
+  });
+  return { token, expiresAt, user: publicUser(user) };
+};
+
+export const logout = (token) => {
+  sessionStore.update(doc => {
+    delete doc.sessions[hashToken(token)];
+  });
+};
+
+const revokeSessions = (userId) => {
+  sessionStore.update(doc => {
+    Object.entries(doc.sessions).forEach(([key, session]) => {
+      if (session.userId === userId) delete doc.sessions[key];
+    });
+  });
+};
+
+const userForSession = (token) => {
+  const session = sessionStore.read().sessions[hashToken(token)];
+  if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null;
+  const user = getUser(session.userId);
+  return user ? publicUser(user) : null;
+};
+
+// Value of a cookie, or null when it is missing or not valid percent-encoding
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match.slice(name.length + 1));
+  } catch {
+    return null;
+  }
+};
+
+// Session token sent with a request (bearer header first, then the cookie)
+export const requestToken = (req) => {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) return header.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE);
+};
+
+// Middleware: attach req.user when the request carries valid credentials
+export const authenticate = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    req.user = API_KEYS.get(hashToken(apiKey)) || null;
+  } else {
+    const token = requestToken(req);
+    req.user = token ? userForSession(token) : null;
+  }
+  next();
+};
+
+// Middleware factory: 401 without credentials, 403 when the role is too low.
+// Admins pass every operator check.
+export const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required', details: 'Log in or send a valid session token or API key' });
+  }
+  if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+    return res.status(403).json({ error: 'Forbidden', details: `This action requires the ${role} role` });
+  }
+  next();
+};
+
+export const SESSION_TTL_SECONDS = Math.floor(SESSION_TTL_MS / 1000);
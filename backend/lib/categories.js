@@ -0,0 +1,133 @@
+import { createJsonStore } from './jsonStore.js';
+
+// Library categories for base images (outfits, group portraits, ...), managed through the
+// API instead of being hard-coded. Each category is a storage directory named after its id;
+// the id is a slug fixed at creation, while the name, description, icon and subject count
+// (how many people/pets its portraits show, for {subject_count} in prompt templates) can
+// change. The stored order is the order the tabs are shown in.
+//
+// "generated", "customer" and "base" are system categories: always present, not listed here.
+export const SYSTEM_CATEGORIES = ['generated', 'customer', 'base'];
+
+const DEFAULT_CATEGORIES = [
+  { id: 'men-outfits', name: 'Men Outfits', description: 'Renaissance style men\'s clothing and portraits', icon: '👔', subjectCount: 1 },
+  { id: 'women-outfits', name: 'Women Outfits', description: 'Renaissance style women\'s clothing and portraits', icon: '👗', subjectCount: 1 },
+  { id: 'two-people', name: 'Two People', description: 'Renaissance style portraits with two subjects', icon: '👫', subjectCount: 2 },
+  { id: 'three-people', name: 'Three People', description: 'Renaissance style portraits with three subjects', icon: '👨‍👩‍👧', subjectCount: 3 }
+];
+
+const store = createJsonStore('categories', { categories: DEFAULT_CATEGORIES });
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_ID_LENGTH = 48;
+
+// "Royal Pets" -> "royal-pets"
+export const slugifyCategoryName = name => String(name)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_ID_LENGTH)
+  .replace(/-+$/, '');
+
+export const listCategories = () => store.read().categories;
+
+export const getCategory = id => listCategories().find(category => category.id === id) || null;
+
+// Every category images can be stored in: the system ones, then the managed ones in order
+export const libraryCategoryIds = () => [...SYSTEM_CATEGORIES, ...listCategories().map(category => category.id)];
+
+export const isLibraryCategory = id => libraryCategoryIds().includes(id);
+
+// Returns an error message for invalid fields, or null. With `partial` only the fields
+// present are checked (for updates).
+export const validateCategoryFields = ({ name, description, icon, subjectCount }, { partial = false } = {}) => {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'Category name required';
+    if (name.trim().length > 60) return 'Category name must be at most 60 characters';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (icon !== undefined && (typeof icon !== 'string' || [...icon].length > 8)) {
+    return 'icon must be a short string, such as an emoji';
+  }
+  if (subjectCount !== undefined && subjectCount !== null
+    && (!Number.isInteger(subjectCount) || subjectCount < 1 || subjectCount > 20)) {
+    return 'subjectCount must be a whole number between 1 and 20';
+  }
+  return null;
+};
+
+// Returns an error message for an unusable new id, or null
+export const validateCategoryId = (id) => {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id) || id.length > MAX_ID_LENGTH) {
+    return `Category id must be lowercase letters, digits and single hyphens (at most ${MAX_ID_LENGTH} characters)`;
+  }
+  if (SYSTEM_CATEGORIES.includes(id)) {
+    return `"${id}" is a system category`;
+  }
+  if (getCategory(id)) {
+    return `Category "${id}" already exists`;
+  }
+  return null;
+};
+
+// Add a category at the end; validate the fields and id first
+export const createCategory = ({ id, name, description = '', icon = '', subjectCount = null }) => {
+  const now = new Date().toISOString();
+  const category = {
+    id,
+    name: name.trim(),
+    description: description.trim(),
+    icon: icon.trim(),
+    subjectCount: subjectCount ?? null,
+    createdAt: now,
+    updatedAt: now
+  };
+  store.update(doc => {
+    doc.categories.push(category);
+  });
+  return category;
+};
+
+// Returns the updated category, or null if it does not exist
+export const updateCategory = (id, changes) => {
+  let updated = null;
+  store.update(doc => {
+    const category = doc.categories.find(item => item.id === id);
+    if (!category) return;
+    ['name', 'description', 'icon'].forEach(field => {
+      if (changes[field] !== undefined) category[field] = changes[field].trim();
+    });
+    if (changes.subjectCount !== undefined) category.subjectCount = changes.subjectCount ?? null;
+    category.updatedAt = new Date().toISOString();
+    updated = category;
+  });
+  return updated;
+};
+
+// Put the categories in the order of `ids`, which must list every category once.
+// Returns an error message, or null.
+export const reorderCategories = (ids) => {
+  const current = listCategories();
+  if (!Array.isArray(ids) || ids.length !== current.length || new Set(ids).size !== ids.length
+    || !ids.every(id => current.some(category => category.id === id))) {
+    return `ids must list every category exactly once: ${current.map(category => category.id).join(', ')}`;
+  }
+  store.update(doc => {
+    doc.categories = ids.map(id => doc.categories.find(category => category.id === id));
+  });
+  return null;
+};
+
+export const deleteCategory = (id) => {
+  let deleted = false;
+  store.update(doc => {
+    const remaining = doc.categories.filter(category => category.id !== id);
+    deleted = remaining.length !== doc.categories.length;
+    doc.categories = remaining;
+  });
+  return deleted;
+};
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Output color profiles for print exports. The export is converted into the profile's
+// color space (perceptual intent) and the profile is embedded, so labs print the colors
+// that were seen on screen.
+//
+// - srgb: libvips' built-in sRGB profile
+// - adobe-rgb: an Adobe RGB (1998) compatible matrix profile built below (same primaries,
+//   white point and 563/256 gamma), unless ADOBE_RGB_PROFILE points at the original file
+// - cmyk: the lab's CMYK profile from CMYK_PROFILE (e.g. a FOGRA39 coated profile such as
+//   CoatedFOGRA39.icc or ISOcoated_v2_eci.icc). No CMYK profile is bundled and libvips'
+//   generic one does not match any press, so CMYK exports are refused until it is set
+//
+// Configuration:
+// - ADOBE_RGB_PROFILE: path to an Adobe RGB ICC profile (optional)
+// - CMYK_PROFILE: path to the CMYK ICC profile; required for CMYK exports
+
+export const COLOR_PROFILES = {
+  srgb: { name: 'sRGB', space: 'rgb' },
+  'adobe-rgb': { name: 'Adobe RGB (1998)', space: 'rgb' },
+  cmyk: { name: 'CMYK', space: 'cmyk' }
+};
+
+export const DEFAULT_COLOR_PROFILE = 'srgb';
+
+// Configured profile file, or null (with a warning) when it is unset or missing
+const configuredProfile = (variable, fallback) => {
+  const file = process.env[variable];
+  if (!file) return null;
+  if (!fs.existsSync(file)) {
+    console.warn(`${variable} "${file}" does not exist; ${fallback}`);
+    return null;
+  }
+  return path.resolve(file);
+};
+
+const ADOBE_RGB_FILE = configuredProfile('ADOBE_RGB_PROFILE', 'using the built-in profile');
+const CMYK_FILE = configuredProfile('CMYK_PROFILE', 'CMYK exports are disabled');
+
+// Why a profile cannot be used, or null when it can
+export const colorProfileUnavailableReason = (id) => {
+  if (id === 'cmyk' && !CMYK_FILE) {
+    return 'CMYK exports need the print lab\'s ICC profile. Set CMYK_PROFILE on the server (e.g. to CoatedFOGRA39.icc) or export in sRGB or Adobe RGB.';
+  }
+  return null;
+};
+
+// ICC v2 display profile with a 3x3 matrix and a single gamma curve per channel.
+// Primaries are given in PCS (D50) XYZ; `white` is the media white point.
+const s15Fixed16 = value => Math.round(value * 65536);
+
+const xyzTag = ([x, y, z]) => {
+  const tag = Buffer.alloc(20);
+  tag.write('XYZ ', 0, 'ascii');
+  tag.writeInt32BE(s15Fixed16(x), 8);
+  tag.writeInt32BE(s15Fixed16(y), 12);
+  tag.writeInt32BE(s15Fixed16(z), 16);
+  return tag;
+};
+
+const curveTag = (gamma) => {
+  const tag = Buffer.alloc(14);
+  tag.write('curv', 0, 'ascii');
+  tag.writeUInt32BE(1, 8);
+  tag.writeUInt16BE(Math.round(gamma * 256), 12);
+  return tag;
+};
+
+const descriptionTag = (text) => {
+  const tag = Buffer.alloc(12 + text.length + 1 + 4 + 4 + 2 + 1 + 67);
+  tag.write('desc', 0, 'ascii');
+  tag.writeUInt32BE(text.length + 1, 8);
+  tag.write(text, 12, 'ascii');
+  return tag;
+};
+
+const textTag = (text) => {
+  const tag = Buffer.alloc(8 + text.length + 1);
+  tag.write('text', 0, 'ascii');
+  tag.write(text, 8, 'ascii');
+  return tag;
+};
+
+const buildMatrixProfile = ({ description, copyright, white, red, green, blue, gamma }) => {
+  const trc = curveTag(gamma);
+  const tags = [
+    ['desc', descriptionTag(description)],
+    ['cprt', textTag(copyright)],
+    ['wtpt', xyzTag(white)],
+    ['rXYZ', xyzTag(red)],
+    ['gXYZ', xyzTag(green)],
+    ['bXYZ', xyzTag(blue)],
+    ['rTRC', trc],
+    ['gTRC', trc],
+    ['bTRC', trc]
+  ];
+
+  const header = Buffer.alloc(128);
+  const table = Buffer.alloc(4 + tags.length * 12);
+  table.writeUInt32BE(tags.length, 0);
+
+  // Tag data follows the table, each entry 4-byte aligned; the TRC curves share one copy
+  const data = [];
+  const offsets = new Map();
+  let offset = header.length + table.length;
+  tags.forEach(([signature, tag], index) => {
+    if (!offsets.has(tag)) {
+      offsets.set(tag, offset);
+      const padded = Buffer.alloc(Math.ceil(tag.length / 4) * 4);
+      tag.copy(padded);
+      data.push(padded);
+      offset += padded.length;
+    }
+    table.write(signature, 4 + index * 12, 'ascii');
+    table.writeUInt32BE(offsets.get(tag), 8 + index * 12);
+    table.writeUInt32BE(tag.length, 12 + index * 12);
+  });
+
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8);
+  header.write('mntrRGB XYZ ', 12, 'ascii');
+  [2024, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+  header.write('acsp', 36, 'ascii');
+  // PCS illuminant (D50)
+  header.writeInt32BE(s15Fixed16(0.9642), 68);
+  header.writeInt32BE(s15Fixed16(1.0), 72);
+  header.writeInt32BE(s15Fixed16(0.8249), 76);
+
+  return Buffer.concat([header, table, ...data]);
+};
+
+// Written once per process; sharp takes output profiles as file paths
+let adobeRgbCompatibleFile = null;
+const adobeRgbCompatibleProfile = () => {
+  if (!adobeRgbCompatibleFile) {
+    adobeRgbCompatibleFile = path.join(os.tmpdir(), 'adobe-rgb-1998-compatible.icc');
+    fs.writeFileSync(adobeRgbCompatibleFile, buildMatrixProfile({
+      description: 'Adobe RGB (1998) compatible',
+      copyright: 'No copyright, use freely',
+      white: [0.95045, 1.0, 1.08905],
+      red: [0.60974, 0.31111, 0.01947],
+      green: [0.20528, 0.62567, 0.06087],
+      blue: [0.14919, 0.06322, 0.74457],
+      gamma: 563 / 256
+    }));
+  }
+  return adobeRgbCompatibleFile;
+};
+
+// Built-in profile name or file path for sharp's withIccProfile
+export const iccProfileFor = (id) => {
+  if (id === 'adobe-rgb') return ADOBE_RGB_FILE || adobeRgbCompatibleProfile();
+  if (id === 'cmyk') return CMYK_FILE;
+  return 'srgb';
+};
+
+// Public description of the available profiles for API clients
+export const describeColorProfiles = () => Object.entries(COLOR_PROFILES).map(([id, profile]) => {
+  const file = { 'adobe-rgb': ADOBE_RGB_FILE, cmyk: CMYK_FILE }[id];
+  const available = !colorProfileUnavailableReason(id);
+  return { id, name: profile.name, space: profile.space, available, profile: file ? path.basename(file) : (available ? 'built-in' : null) };
+});
@@ -0,0 +1,127 @@
+// Search, date-range filters, sorting and cursor pagination for GET /api/images.
+//
+// Pages are cut with an opaque cursor holding the sort value and key of the last image
+// returned, so paging stays stable while images are added or deleted. Without `limit` every
+// matching image is returned in one response.
+
+export const IMAGE_SORTS = ['date', 'name', 'size'];
+export const SORT_ORDERS = ['asc', 'desc'];
+export const MAX_PAGE_SIZE = 200;
+
+const invalidQuery = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const sortValue = (image, sort) => {
+  if (sort === 'name') return image.filename.toLowerCase();
+  if (sort === 'size') return image.size;
+  return new Date(image.createdAt).getTime();
+};
+
+const imageKey = image => `${image.category}/${image.filename}`;
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const encodeCursor = (image, sort) => Buffer.from(JSON.stringify([sort, sortValue(image, sort), imageKey(image)])).toString('base64url');
+
+// A cursor only continues a listing with the same sort
+const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidQuery('Invalid cursor');
+  }
+  const [cursorSort, value, key] = Array.isArray(parsed) ? parsed : [];
+  if (cursorSort !== sort || (typeof value !== 'string' && typeof value !== 'number') || typeof key !== 'string') {
+    throw invalidQuery('Invalid cursor for this sort');
+  }
+  return { value, key };
+};
+
+// A date (YYYY-MM-DD, a whole UTC day) or date-time; `to` dates include the whole day
+const parseDate = (value, label, { endOfDay = false } = {}) => {
+  if (value === undefined || value === '') return null;
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dayOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidQuery(`${label} must be a date (YYYY-MM-DD) or an ISO date-time`);
+  }
+  return date;
+};
+
+// Validate the listing options of a query string. Throws an error with statusCode 400.
+export const parseImageQuery = (query = {}) => {
+  const sort = query.sort || 'date';
+  if (!IMAGE_SORTS.includes(sort)) {
+    throw invalidQuery(`sort must be one of: ${IMAGE_SORTS.join(', ')}`);
+  }
+  // Newest and largest first, names A-Z, unless asked otherwise
+  const order = query.order || (sort === 'name' ? 'asc' : 'desc');
+  if (!SORT_ORDERS.includes(order)) {
+    throw invalidQuery(`order must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw invalidQuery(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to', { endOfDay: true });
+  if (from && to && from > to) {
+    throw invalidQuery('from must be before to');
+  }
+
+  return {
+    search: typeof query.search === 'string' ? query.search.trim().toLowerCase() : '',
+    from,
+    to,
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(String(query.cursor), sort) : null,
+    includeDerived: query.includeDerived !== 'false'
+  };
+};
+
+// Whether a listed image ({ filename, createdAt, metadata }) passes the search, date-range
+// and derived-image options
+export const matchesImageQuery = (image, { search, from, to, includeDerived }) => {
+  if (search && !image.filename.toLowerCase().includes(search)
+    && !image.metadata?.originalFilename?.toLowerCase().includes(search)) {
+    return false;
+  }
+  const createdAt = new Date(image.createdAt);
+  if (from && createdAt < from) return false;
+  if (to && createdAt > to) return false;
+  // Upscaled copies and proofs are normally shown through their originals
+  if (!includeDerived && (image.metadata?.upscaledFrom || image.metadata?.proofOf)) return false;
+  return true;
+};
+
+// Sort matching images and cut the page after the cursor.
+// Returns { images, total, nextCursor }; nextCursor is null on the last page.
+export const paginateImages = (images, { sort, order, limit, cursor }) => {
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => direction * (compareValues(a.value, b.value) || compareValues(a.key, b.key));
+  const sorted = images
+    .map(image => ({ image, value: sortValue(image, sort), key: imageKey(image) }))
+    .sort(compare);
+
+  const start = cursor ? sorted.findIndex(entry => compare(entry, cursor) > 0) : 0;
+  const remaining = start === -1 ? [] : sorted.slice(start);
+  const page = limit ? remaining.slice(0, limit) : remaining;
+  const hasMore = page.length < remaining.length;
+
+  return {
+    images: page.map(entry => entry.image),
+    total: images.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].image, sort) : null
+  };
+};
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import convertHeic from 'heic-convert';
+import sharp from 'sharp';
+
+// Validation and normalization for uploaded images. Every upload is identified by its magic
+// bytes (the declared MIME type is not trusted), checked against the size and dimension
+// limits, rotated upright from its EXIF orientation and re-encoded without metadata (EXIF,
+// GPS, XMP), in sRGB. HEIC/HEIF photos from iPhones are converted to JPEG, as are AVIF and
+// TIFF; JPEG, PNG and WebP keep their format and GIFs are stored unchanged.
+//
+// Uploads arrive as temporary files (lib/multipartUploads.js). libvips decodes them from disk
+// and the normalized image is written to a file next to them, so an upload is never held in
+// memory whole. HEIC/HEIF photos are the exception: heic-convert only works on buffers, so
+// they are read in, after the size check.
+//
+// Configuration:
+// - UPLOAD_MAX_MB: largest accepted upload (default 25)
+// - UPLOAD_MAX_DIMENSION: longest accepted side in pixels (default 12000)
+
+export const MAX_UPLOAD_BYTES = (parseFloat(process.env.UPLOAD_MAX_MB) || 25) * 1024 * 1024;
+export const MAX_UPLOAD_DIMENSION = parseInt(process.env.UPLOAD_MAX_DIMENSION, 10) || 12000;
+
+const OUTPUTS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' }
+};
+
+// ISO-BMFF brands (the "ftyp" box) of HEIF and AVIF files
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Formats that are recognized but not accepted, for a clearer error than "not an image"
+const UNSUPPORTED_SIGNATURES = [
+  { name: 'PDF', test: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { name: 'BMP', test: buffer => buffer.subarray(0, 2).toString('latin1') === 'BM' },
+  { name: 'SVG', test: buffer => /^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(buffer.subarray(0, 256).toString('utf8')) },
+  { name: 'ZIP', test: buffer => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) }
+];
+
+const rejected = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// Enough of a file's start to recognize its format (and an SVG's opening tag)
+const HEAD_BYTES = 256;
+
+const readHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEAD_BYTES), 0, HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const formatMegabytes = bytes => `${(bytes / 1024 / 1024).toFixed(1).replace(/\.0$/, '')} MB`;
+
+// Error for a file that was cut off at MAX_UPLOAD_BYTES while it was being received
+const uploadTooLargeError = () => rejected(`The file is larger than ${formatMegabytes(MAX_UPLOAD_BYTES)}, the upload limit`, 413, 'FILE_TOO_LARGE');
+
+// Image type from the file's first bytes: jpeg, png, gif, webp, tiff, heif, avif or null
+export const detectImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  const head = buffer.subarray(0, 12).toString('latin1');
+  if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) return 'gif';
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return 'webp';
+  if (head.startsWith('II*\0') || head.startsWith('MM\0*')) return 'tiff';
+  if (head.slice(4, 8) === 'ftyp') {
+    const brand = head.slice(8, 12);
+    if (AVIF_BRANDS.includes(brand)) return 'avif';
+    if (HEIF_BRANDS.includes(brand)) return 'heif';
+  }
+  return null;
+};
+
+const unsupportedMessage = (buffer, declaredType) => {
+  const known = UNSUPPORTED_SIGNATURES.find(signature => signature.test(buffer));
+  if (known) return `${known.name} files are not supported. Upload a JPEG, PNG, WebP, GIF, HEIC, AVIF or TIFF image.`;
+  if (declaredType) return `The file is declared as ${declaredType} but its content is not a supported image`;
+  return 'The file is not a supported image. Upload a JPEG, PNG, WebP, GIF, HEIC, AVIF or TIFF image.';
+};
+
+// Validate and normalize an upload received as a temporary file ({ path, truncated }, see
+// receiveMultipartUpload()). `declaredType` is the client's MIME type, used only in error
+// messages. Resolves with { path, size, format, extension, contentType, width, height,
+// sourceFormat, rotated }, where `path` is the normalized file (next to the upload, so it is
+// cleaned up with it), or rejects with an error carrying statusCode (413, 415 or 422) and a code.
+export const normalizeUpload = async (file, { declaredType } = {}) => {
+  // The size limit is enforced before anything is decoded
+  if (file.truncated) {
+    throw uploadTooLargeError();
+  }
+  const { size } = await fs.promises.stat(file.path);
+  if (!size) {
+    throw rejected('The file is empty', 422, 'EMPTY_FILE');
+  }
+  if (size > MAX_UPLOAD_BYTES) {
+    throw rejected(`The file is ${formatMegabytes(size)}; uploads are limited to ${formatMegabytes(MAX_UPLOAD_BYTES)}`, 413, 'FILE_TOO_LARGE');
+  }
+
+  const head = await readHead(file.path);
+  const sourceFormat = detectImageType(head);
+  if (!sourceFormat) {
+    throw rejected(unsupportedMessage(head, declaredType), 415, 'UNSUPPORTED_TYPE');
+  }
+
+  let input = file.path;
+  if (sourceFormat === 'heif') {
+    try {
+      // libheif applies the HEIF rotation and mirroring itself; EXIF is not carried over
+      input = Buffer.from(await convertHeic({ buffer: await fs.promises.readFile(file.path), format: 'JPEG', quality: 0.92 }));
+    } catch (error) {
+      throw rejected(`The HEIC/HEIF photo could not be converted (${error.message})`, 422, 'HEIC_CONVERSION_FAILED');
+    }
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch {
+    throw rejected(`The ${sourceFormat.toUpperCase()} file is damaged or truncated`, 422, 'CORRUPT_IMAGE');
+  }
+
+  // EXIF orientations 5-8 swap width and height once applied
+  const [width, height] = metadata.orientation >= 5 ? [metadata.height, metadata.width] : [metadata.width, metadata.height];
+  if (width > MAX_UPLOAD_DIMENSION || height > MAX_UPLOAD_DIMENSION) {
+    throw rejected(`The image is ${width}x${height} px; uploads are limited to ${MAX_UPLOAD_DIMENSION} px per side`, 422, 'IMAGE_TOO_LARGE');
+  }
+
+  // GIFs have no EXIF and may be animated: store them as they are
+  if (sourceFormat === 'gif') {
+    return { path: file.path, size, format: 'gif', ...OUTPUTS.gif, width, height, sourceFormat, rotated: false };
+  }
+
+  const format = ['jpeg', 'png', 'webp'].includes(sourceFormat)
+    ? sourceFormat
+    : (metadata.hasAlpha ? 'png' : 'jpeg');
+
+  const output = `${file.path}.normalized`;
+  let info;
+  try {
+    // rotate() applies the EXIF orientation; metadata is dropped because withMetadata() is not used
+    const pipeline = sharp(input, { failOn: 'error' }).rotate();
+    if (format === 'jpeg') pipeline.jpeg({ quality: 92, chromaSubsampling: '4:4:4' });
+    else if (format === 'png') pipeline.png({ compressionLevel: 9 });
+    else pipeline.webp({ quality: 90 });
+    info = await pipeline.toFile(output);
+  } catch {
+    throw rejected(`The ${sourceFormat.toUpperCase()} file is damaged or truncated`, 422, 'CORRUPT_IMAGE');
+  }
+
+  return {
+    path: output,
+    size: info.size,
+    format,
+    ...OUTPUTS[format],
+    width,
+    height,
+    sourceFormat,
+    rotated: (metadata.orientation || 1) > 1
+  };
+};
@@ -0,0 +1,132 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+// In-memory job store for long-running work (image generation, etc.)
+// Jobs are kept for JOB_TTL_MINUTES after they finish so clients can poll the result.
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2;
+
+export const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+const jobs = new Map();
+const pending = [];
+let activeCount = 0;
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Shape returned to API clients (handlers and internal fields stay private)
+export const serializeJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  message: job.message,
+  data: job.data,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  updatedAt: job.updatedAt
+});
+
+export const getJob = (id) => jobs.get(id) || null;
+
+const updateJob = (job, changes) => {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  events.emit(job.id, serializeJob(job));
+};
+
+// Subscribe to updates for a single job. Returns an unsubscribe function.
+export const subscribeToJob = (id, listener) => {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+};
+
+const runNext = () => {
+  while (activeCount < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const { job, handler, describeError } = pending.shift();
+    activeCount++;
+    execute(job, handler, describeError).finally(() => {
+      activeCount--;
+      runNext();
+    });
+  }
+};
+
+const execute = async (job, handler, describeError) => {
+  updateJob(job, {
+    status: 'running',
+    progress: Math.max(job.progress, 1),
+    message: 'Starting',
+    startedAt: new Date().toISOString()
+  });
+
+  // Handlers report progress as a percentage (0-100) plus a short status message
+  const report = (progress, message) => {
+    if (TERMINAL_STATUSES.includes(job.status)) return;
+    updateJob(job, {
+      progress: Math.min(99, Math.max(job.progress, Math.round(progress))),
+      message: message || job.message
+    });
+  };
+
+  try {
+    const result = await handler(report, job);
+    updateJob(job, {
+      status: 'succeeded',
+      progress: 100,
+      message: 'Completed',
+      result,
+      completedAt: new Date().toISOString()
+    });
+    console.log(`Job ${job.id} succeeded`);
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error.message);
+    updateJob(job, {
+      status: 'failed',
+      message: 'Failed',
+      error: describeError ? describeError(error) : { error: 'Job failed', details: error.message },
+      completedAt: new Date().toISOString()
+    });
+  }
+};
+
+// Create a job and queue its handler. The handler receives (report, job) and its
+// resolved value becomes job.result; a thrown error is passed through describeError.
+export const enqueueJob = (type, data, handler, describeError) => {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    progress: 0,
+    message: 'Queued',
+    data,
+    result: null,
+    error: null,
+    createdAt: now,
+    startedAt: null,
+    completedAt: null,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  pending.push({ job, handler, describeError });
+  console.log(`Job ${job.id} queued (${type})`);
+  setImmediate(runNext);
+
+  return job;
+};
+
+// Periodically drop finished jobs that are past their TTL
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (TERMINAL_STATUSES.includes(job.status) && new Date(job.completedAt).getTime() < cutoff) {
+      jobs.delete(id);
+      events.removeAllListeners(id);
+    }
+  }
+}, 5 * 60 * 1000).unref();
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Small durable JSON document store: the whole document is cached in memory and
+// written back atomically (temp file + rename) after every change.
+// DATA_DIR defaults to a hidden folder inside the uploads volume so it persists with it.
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+export const DATA_DIR = process.env.DATA_DIR || path.join(UPLOADS_DIR, '.data');
+
+export const createJsonStore = (name, defaultValue) => {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let data = null;
+
+  const load = () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read ${filePath}, starting empty:`, error.message);
+      }
+      data = structuredClone(defaultValue);
+    }
+    return data;
+  };
+
+  const save = () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    filePath,
+    // Read the current document (do not mutate it outside update())
+    read: () => load(),
+    // Apply a change and persist it. The updater may mutate the document or return a new one.
+    update: (updater) => {
+      const current = load();
+      const result = updater(current);
+      if (result !== undefined) data = result;
+      save();
+      return data;
+    }
+  };
+};
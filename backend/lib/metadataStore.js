@@ -0,0 +1,56 @@
+import { createJsonStore } from './jsonStore.js';
+
+// Image metadata keyed by "category/filename": how each stored image was produced
+// (prompt, model, parameters, base image, customer photos) or where it was uploaded from.
+const store = createJsonStore('image-metadata', { images: {} });
+
+const keyFor = (category, filename) => `${category}/${filename}`;
+
+export const getImageMetadata = (category, filename) => {
+  return store.read().images[keyFor(category, filename)] || null;
+};
+
+export const setImageMetadata = (category, filename, metadata) => {
+  const record = {
+    ...getImageMetadata(category, filename),
+    ...metadata,
+    category,
+    filename,
+    updatedAt: new Date().toISOString()
+  };
+  record.createdAt = record.createdAt || record.updatedAt;
+
+  store.update(doc => {
+    doc.images[keyFor(category, filename)] = record;
+  });
+  return record;
+};
+
+export const deleteImageMetadata = (category, filename) => {
+  store.update(doc => {
+    delete doc.images[keyFor(category, filename)];
+  });
+};
+
+export const listImageMetadata = () => Object.values(store.read().images);
+
+// Check a metadata record against the /api/images filters
+// (prompt text, base image, model, and parameters[key]=value pairs)
+export const matchesMetadataFilters = (metadata, { prompt, baseImage, model, parameters } = {}) => {
+  if (!prompt && !baseImage && !model && !parameters) return true;
+  if (!metadata) return false;
+
+  if (prompt && !metadata.prompt?.toLowerCase().includes(String(prompt).toLowerCase())) {
+    return false;
+  }
+  if (baseImage && metadata.baseImage?.filename !== baseImage) {
+    return false;
+  }
+  if (model && metadata.model !== model) {
+    return false;
+  }
+  if (parameters && typeof parameters === 'object') {
+    return Object.entries(parameters).every(([key, value]) => String(metadata.parameters?.[key]) === String(value));
+  }
+  return true;
+};
@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { MODELS } from './providers.js';
+import { UPSCALERS } from './upscalers.js';
+
+// Offline stand-in for the Replicate client, used when REPLICATE_PROVIDER=mock.
+// It implements the parts of the client the server uses (run, models.get) and returns
+// deterministic placeholder images rendered from the prompt text and input images.
+// Upscaler models get their input image resized by the requested factor.
+//
+// Configuration:
+// - MOCK_REPLICATE_LATENCY_MS: simulated prediction time (default 1500)
+// - MOCK_REPLICATE_FAILURE: rate-limit | auth | not-found | insufficient-credits | prediction-failed | server-error
+// - MOCK_REPLICATE_FAILURE_RATE: probability (0-1) that a run fails with that mode (default 1)
+// A prompt can also force a failure for a single run with "[mock:<mode>]".
+
+const LATENCY_MS = parseInt(process.env.MOCK_REPLICATE_LATENCY_MS, 10) || 1500;
+const FAILURE_MODE = process.env.MOCK_REPLICATE_FAILURE || null;
+const FAILURE_RATE = process.env.MOCK_REPLICATE_FAILURE_RATE !== undefined
+  ? parseFloat(process.env.MOCK_REPLICATE_FAILURE_RATE)
+  : 1;
+
+const API_BASE = 'https://api.replicate.com/v1';
+
+// Status codes and bodies mirror what the Replicate API returns for each failure
+const FAILURES = {
+  'rate-limit': {
+    status: 429,
+    statusText: 'Too Many Requests',
+    headers: { 'Retry-After': '1' },
+    body: { detail: 'Request was throttled. Expected available in 1 second.', status: 429 }
+  },
+  'auth': {
+    status: 401,
+    statusText: 'Unauthorized',
+    body: { title: 'Unauthenticated', detail: 'You did not pass a valid authentication token', status: 401 }
+  },
+  'not-found': {
+    status: 404,
+    statusText: 'Not Found',
+    body: { title: 'Not found', detail: 'The requested resource could not be found.', status: 404 }
+  },
+  'insufficient-credits': {
+    status: 402,
+    statusText: 'Payment Required',
+    body: {
+      title: 'Insufficient credit',
+      detail: 'You have insufficient credit to run this model. Go to https://replicate.com/account/billing#billing to purchase credit. Once you purchase credit, please wait a few minutes before trying again.',
+      status: 402
+    }
+  },
+  'server-error': {
+    status: 503,
+    statusText: 'Service Unavailable',
+    body: { detail: 'Service temporarily unavailable', status: 503 }
+  }
+};
+
+export const MOCK_FAILURE_MODES = [...Object.keys(FAILURES), 'prediction-failed'];
+
+// Build an error shaped like the Replicate client's ApiError
+const createApiError = (mode, url) => {
+  const failure = FAILURES[mode];
+  const text = JSON.stringify(failure.body);
+  const error = new Error(`Request to ${url} failed with status ${failure.status} ${failure.statusText}: ${text}.`);
+  error.name = 'ApiError';
+  error.request = new Request(url, { method: 'POST' });
+  error.response = new Response(text, {
+    status: failure.status,
+    statusText: failure.statusText,
+    headers: { 'Content-Type': 'application/json', ...failure.headers }
+  });
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Split text into lines of roughly maxChars characters
+const wrapText = (text, maxChars) => {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).forEach(word => {
+    if ((line + ' ' + word).trim().length > maxChars && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = (line + ' ' + word).trim();
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Output dimensions for an input's aspect ratio or explicit width/height
+const outputSize = (input) => {
+  if (input.width && input.height) {
+    return { width: Math.round(input.width), height: Math.round(input.height) };
+  }
+  const [w, h] = String(input.aspect_ratio || '1:1').split(':').map(Number);
+  if (!w || !h) return { width: 1024, height: 1024 };
+  return w >= h
+    ? { width: 1024, height: Math.round(1024 * h / w) }
+    : { width: Math.round(1024 * w / h), height: 1024 };
+};
+
+const OUTPUT_FORMATS = { webp: 'webp', png: 'png', jpg: 'jpeg', jpeg: 'jpeg' };
+
+// Input images passed as buffers or data URLs; remote URLs are skipped since we are offline
+const decodeInputImages = (input, model) => {
+  const key = model?.inputImages?.key;
+  if (!key || !input[key]) return [];
+  return [].concat(input[key])
+    .filter(value => Buffer.isBuffer(value) || (typeof value === 'string' && value.startsWith('data:')))
+    .map(value => (Buffer.isBuffer(value) ? value : Buffer.from(value.split(',')[1] || '', 'base64')));
+};
+
+// Render one placeholder image as a data URL
+const renderPlaceholder = async ({ model, input, variant, count }) => {
+  const { width, height } = outputSize(input);
+  const seed = crypto.createHash('sha256')
+    .update(`${model?.id}|${input.prompt}|${variant}`)
+    .digest();
+  const hue = seed[0] * 360 / 256;
+  const accentHue = (hue + 40 + seed[1] % 80) % 360;
+
+  const fontSize = Math.round(width / 24);
+  const lines = wrapText(input.prompt || '', Math.floor(width / (fontSize * 0.6))).slice(0, 8);
+  const text = lines.map((line, i) => (
+    `<text x="50%" y="${height * 0.3 + i * fontSize * 1.3}" font-size="${fontSize}" text-anchor="middle" font-family="DejaVu Sans, sans-serif" fill="#fff">${escapeXml(line)}</text>`
+  )).join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <defs>
+      <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0" stop-color="hsl(${hue}, 55%, 40%)"/>
+        <stop offset="1" stop-color="hsl(${accentHue}, 60%, 25%)"/>
+      </linearGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#bg)"/>
+    <text x="50%" y="${height * 0.12}" font-size="${Math.round(fontSize * 0.7)}" text-anchor="middle" font-family="DejaVu Sans, sans-serif" fill="#ffffffb0">MOCK · ${escapeXml(model?.name || 'Unknown model')} · ${variant + 1}/${count}</text>
+    ${text}
+  </svg>`;
+
+  // Show the input images as a strip of thumbnails along the bottom edge
+  const thumbSize = Math.round(Math.min(width, height) / 5);
+  const inputs = decodeInputImages(input, model).slice(0, 5);
+  const thumbnails = await Promise.all(inputs.map(async (buffer, i) => {
+    try {
+      const thumbnail = await sharp(buffer).resize(thumbSize, thumbSize, { fit: 'cover' }).png().toBuffer();
+      return {
+        input: thumbnail,
+        left: Math.round(width * 0.05) + i * (thumbSize + 8),
+        top: height - thumbSize - Math.round(height * 0.05)
+      };
+    } catch (error) {
+      console.warn('Mock provider could not decode an input image:', error.message);
+      return null;
+    }
+  }));
+
+  const format = OUTPUT_FORMATS[input.output_format] || 'png';
+  const buffer = await sharp(Buffer.from(svg))
+    .composite(thumbnails.filter(Boolean))
+    .toFormat(format)
+    .toBuffer();
+
+  return `data:image/${format};base64,${buffer.toString('base64')}`;
+};
+
+// Upscalers resize the input image (a Buffer or data URL) by the requested factor
+const renderUpscale = async (input) => {
+  const image = Buffer.isBuffer(input.image)
+    ? input.image
+    : Buffer.from(String(input.image || '').split(',')[1] || '', 'base64');
+  const scale = parseInt(String(input.upscale_factor).replace(/\D/g, ''), 10) || 2;
+  const { width, height } = await sharp(image).metadata();
+  const buffer = await sharp(image)
+    .resize(width * scale, height * scale, { kernel: 'lanczos3' })
+    .png()
+    .toBuffer();
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+};
+
+// Pick a failure mode for this run, if any
+const failureFor = (input) => {
+  const directive = String(input.prompt || '').match(/\[mock:([a-z-]+)\]/);
+  if (directive && MOCK_FAILURE_MODES.includes(directive[1])) return directive[1];
+  if (FAILURE_MODE && Math.random() < FAILURE_RATE) return FAILURE_MODE;
+  return null;
+};
+
+export default class MockReplicate {
+  constructor() {
+    this.models = {
+      get: async (owner, name) => ({ owner, name, description: 'Mock model' })
+    };
+  }
+
+  async run(ref, options, progress) {
+    const input = options.input || {};
+    const model = MODELS.find(entry => entry.replicateModel === ref);
+    const url = `${API_BASE}/models/${ref}/predictions`;
+    const prediction = {
+      id: `mock-${crypto.randomBytes(6).toString('hex')}`,
+      model: ref,
+      status: 'starting',
+      logs: '',
+      output: null,
+      error: null
+    };
+
+    console.log(`[mock] Running ${ref}`);
+    const failure = failureFor(input);
+    if (failure && failure !== 'prediction-failed') {
+      await sleep(Math.min(LATENCY_MS, 200));
+      throw createApiError(failure, url);
+    }
+
+    progress?.({ ...prediction });
+
+    // Walk through "processing" updates with tqdm-style log lines
+    const steps = 5;
+    for (let step = 1; step <= steps; step++) {
+      await sleep(LATENCY_MS / steps);
+      prediction.status = 'processing';
+      prediction.logs += `${Math.round(step / steps * 100)}%|${'█'.repeat(step)}${' '.repeat(steps - step)}| ${step}/${steps}\n`;
+      progress?.({ ...prediction });
+    }
+
+    if (failure === 'prediction-failed') {
+      prediction.status = 'failed';
+      prediction.error = 'Mock prediction failed';
+      progress?.({ ...prediction });
+      throw new Error(`Prediction failed: ${prediction.error}`);
+    }
+
+    const upscaler = UPSCALERS.find(entry => entry.replicateModel === ref);
+    const count = model?.imageCountParam ? Math.max(1, parseInt(input[model.imageCountParam], 10) || 1) : 1;
+    const urls = upscaler
+      ? [await renderUpscale(input)]
+      : await Promise.all(
+        Array.from({ length: count }, (_, variant) => renderPlaceholder({ model, input, variant, count }))
+      );
+
+    prediction.status = 'succeeded';
+    prediction.output = urls;
+    progress?.({ ...prediction });
+
+    // Match the output shape the real model returns (upscalers return a single URL)
+    if (upscaler) return urls[0];
+    switch (model?.outputShape) {
+      case 'url':
+        return urls[0];
+      case 'output_paths':
+        return { output_paths: urls };
+      default:
+        return urls;
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import Busboy from 'busboy';
+import { MAX_UPLOAD_BYTES } from './imageUploads.js';
+
+// multipart/form-data uploads. Every file part is streamed to a temporary file as it
+// arrives instead of being buffered, so a request holding several large photos never sits
+// in memory; normalizeUpload() then decodes each file from disk. Files over the size limit
+// are cut off while streaming and reported instead of being received whole.
+//
+// Configuration:
+// - UPLOAD_MAX_FILES: most files accepted in one request (default 20)
+// - UPLOAD_MAX_MB: largest accepted file (see lib/imageUploads.js)
+
+export const MAX_UPLOAD_FILES = parseInt(process.env.UPLOAD_MAX_FILES, 10) || 20;
+
+const requestError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const isMultipartRequest = req => Boolean(req.is('multipart/form-data'));
+
+// Middleware: 415 for upload routes called with anything but multipart/form-data
+export const requireMultipart = (req, res, next) => {
+  if (!isMultipartRequest(req)) {
+    return res.status(415).json({ error: 'Multipart upload required', details: 'Send the images as multipart/form-data file fields' });
+  }
+  next();
+};
+
+// Receive a multipart request. Resolves with { fields, files, cleanup } where `files` are
+// { field, name, mimeType, path, size, truncated } in the order they were sent; call
+// cleanup() once they have been processed. Rejects with statusCode 400 for a malformed
+// body and 413 for too many files.
+export const receiveMultipartUpload = (req, { maxFiles = MAX_UPLOAD_FILES } = {}) => new Promise((resolve, reject) => {
+  let busboy;
+  try {
+    busboy = Busboy({
+      headers: req.headers,
+      // One byte over the limit marks a file as too large
+      limits: { files: maxFiles, fileSize: Math.floor(MAX_UPLOAD_BYTES) + 1, fields: 50, fieldSize: 64 * 1024 }
+    });
+  } catch (error) {
+    reject(requestError(`Invalid multipart request: ${error.message}`, 400));
+    return;
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-'));
+  const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true });
+  const fields = {};
+  const files = [];
+  const writes = [];
+  let failed = false;
+
+  const fail = (error) => {
+    if (failed) return;
+    failed = true;
+    req.unpipe(busboy);
+    // Drain the rest of the request so the error response can be sent
+    req.resume();
+    cleanup().finally(() => reject(error));
+  };
+
+  busboy.on('field', (name, value) => {
+    fields[name] = value;
+  });
+
+  busboy.on('file', (field, stream, { filename, mimeType }) => {
+    const file = {
+      field,
+      name: path.basename(filename || `file-${files.length + 1}`),
+      mimeType,
+      path: path.join(dir, String(files.length)),
+      size: 0,
+      truncated: false
+    };
+    files.push(file);
+    stream.on('data', (chunk) => {
+      file.size += chunk.length;
+    });
+    // Past the limit busboy discards the rest of the file
+    stream.on('limit', () => {
+      file.truncated = true;
+    });
+    const write = pipeline(stream, fs.createWriteStream(file.path));
+    // Failures are reported on close, or not at all once the request has failed
+    write.catch(() => {});
+    writes.push(write);
+  });
+
+  busboy.on('filesLimit', () => fail(requestError(`At most ${maxFiles} files can be uploaded in one request`, 413)));
+  busboy.on('error', error => fail(requestError(`Invalid multipart request: ${error.message}`, 400)));
+  req.on('aborted', () => fail(requestError('The upload was aborted', 400)));
+
+  busboy.on('close', async () => {
+    try {
+      await Promise.all(writes);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    if (!failed) resolve({ fields, files, cleanup });
+  });
+
+  req.pipe(busboy);
+});
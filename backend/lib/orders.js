@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+// Customer orders: each order owns its customer photos, the chosen base portrait,
+// every generation made for it and the final approved image.
+const store = createJsonStore('orders', { orders: [] });
+
+export const ORDER_STATUSES = ['new', 'in-progress', 'awaiting-approval', 'approved', 'delivered', 'cancelled'];
+
+// Fields a client may set directly through create/update
+const EDITABLE_FIELDS = ['customerName', 'customerEmail', 'petName', 'notes', 'status'];
+
+// Reference to a stored image as kept on an order
+const imageRef = ({ category, filename, url, name }) => ({
+  category,
+  filename,
+  url: url || `/uploads/${category}/${filename}`,
+  ...(name ? { name } : {})
+});
+
+const sameImage = (a, b) => a && b && a.category === b.category && a.filename === b.filename;
+
+export const listOrders = ({ status, search } = {}) => {
+  const term = search?.trim().toLowerCase();
+  return store.read().orders
+    .filter(order => !status || order.status === status)
+    .filter(order => !term || [order.customerName, order.customerEmail, order.petName]
+      .some(value => value?.toLowerCase().includes(term)))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+};
+
+export const getOrder = (id) => store.read().orders.find(order => order.id === id) || null;
+
+export const createOrder = (fields) => {
+  const now = new Date().toISOString();
+  const order = {
+    id: crypto.randomUUID(),
+    customerName: '',
+    customerEmail: '',
+    petName: '',
+    notes: '',
+    status: 'new',
+    customerPhotos: [],
+    baseImage: null,
+    generations: [],
+    approvedImage: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) order[field] = fields[field];
+  });
+
+  store.update(doc => {
+    doc.orders.push(order);
+  });
+  return order;
+};
+
+// Apply a change to one order. Returns the updated order, or null if it does not exist.
+const mutateOrder = (id, mutate) => {
+  let updated = null;
+  store.update(doc => {
+    const order = doc.orders.find(item => item.id === id);
+    if (!order) return;
+    mutate(order);
+    order.updatedAt = new Date().toISOString();
+    updated = order;
+  });
+  return updated;
+};
+
+export const isOrderGeneration = (order, image) => order.generations.some(item => sameImage(item, image));
+
+// Update editable fields plus the base image and approved image references
+// (callers check the approved image with isOrderGeneration first)
+export const updateOrder = (id, changes) => {
+  return mutateOrder(id, target => {
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) target[field] = changes[field];
+    });
+    if (changes.baseImage !== undefined) {
+      target.baseImage = changes.baseImage ? imageRef(changes.baseImage) : null;
+    }
+    if (changes.approvedImage !== undefined) {
+      target.approvedImage = changes.approvedImage ? imageRef(changes.approvedImage) : null;
+      if (target.approvedImage && ['new', 'in-progress', 'awaiting-approval'].includes(target.status)) {
+        target.status = 'approved';
+      }
+    }
+  });
+};
+
+export const addOrderCustomerPhoto = (id, image) => mutateOrder(id, order => {
+  order.customerPhotos.push({ ...imageRef(image), addedAt: new Date().toISOString() });
+});
+
+export const removeOrderCustomerPhoto = (id, filename) => mutateOrder(id, order => {
+  order.customerPhotos = order.customerPhotos.filter(photo => photo.filename !== filename);
+});
+
+// Attach a saved generation; the order moves to "in-progress" once work starts
+export const addOrderGeneration = (id, image, details = {}) => mutateOrder(id, order => {
+  order.generations.push({ ...imageRef(image), ...details, addedAt: new Date().toISOString() });
+  if (order.status === 'new') order.status = 'in-progress';
+});
+
+// Whether any order refers to an image, whatever the order's status
+export const isImageOnOrder = (category, filename) => {
+  const target = { category, filename };
+  return store.read().orders.some(order => (
+    sameImage(order.baseImage, target) ||
+    sameImage(order.approvedImage, target) ||
+    order.customerPhotos.some(photo => sameImage(photo, target)) ||
+    order.generations.some(image => sameImage(image, target))
+  ));
+};
+
+// Drop every reference to an image that was deleted from storage
+export const detachImageFromOrders = (category, filename) => {
+  const target = { category, filename };
+  if (!isImageOnOrder(category, filename)) return;
+
+  store.update(doc => {
+    doc.orders.forEach(order => {
+      if (sameImage(order.baseImage, target)) order.baseImage = null;
+      if (sameImage(order.approvedImage, target)) order.approvedImage = null;
+      order.customerPhotos = order.customerPhotos.filter(photo => !sameImage(photo, target));
+      order.generations = order.generations.filter(image => !sameImage(image, target));
+    });
+  });
+};
+
+// "<category>/<filename>" of every image an order still needs: everything on orders that are
+// not delivered or cancelled, and the approved image of every order
+export const orderImageKeys = () => {
+  const keys = new Set();
+  const add = image => image && keys.add(`${image.category}/${image.filename}`);
+  store.read().orders.forEach(order => {
+    add(order.approvedImage);
+    if (['delivered', 'cancelled'].includes(order.status)) return;
+    add(order.baseImage);
+    order.customerPhotos.forEach(add);
+    order.generations.forEach(add);
+  });
+  return keys;
+};
@@ -0,0 +1,56 @@
+import sharp from 'sharp';
+
+// Perceptual hashes for spotting re-uploads of the same picture. The difference hash
+// (dHash) shrinks the image to 9x8 grey pixels and records whether each pixel is brighter
+// than its right-hand neighbour: 64 bits that survive re-encoding, resizing and small
+// edits. Two hashes are compared by their Hamming distance (number of differing bits).
+// Blank and near-uniform images have no brightness differences to record and would all
+// hash to (nearly) 0000000000000000, so they get no hash and are never reported as duplicates.
+//
+// Configuration:
+// - DUPLICATE_MAX_DISTANCE: largest Hamming distance (0-64) still reported as a likely
+//   duplicate (default 6)
+// - DUPLICATE_SCOPE: where uploads are compared by default, "category" (default) or "library"
+
+export const DUPLICATE_MAX_DISTANCE = (() => {
+  const value = parseInt(process.env.DUPLICATE_MAX_DISTANCE, 10);
+  return Number.isInteger(value) && value >= 0 && value <= 64 ? value : 6;
+})();
+
+export const DUPLICATE_SCOPES = ['category', 'library'];
+export const DEFAULT_DUPLICATE_SCOPE = DUPLICATE_SCOPES.includes(process.env.DUPLICATE_SCOPE) ? process.env.DUPLICATE_SCOPE : 'category';
+
+// Grey levels (0-255) between the darkest and brightest pixel of the 9x8 thumbnail below
+// which an image counts as featureless
+const FEATURELESS_RANGE = 8;
+
+// 64-bit dHash of an image as 16 hex digits, or null for a featureless image
+export const computePerceptualHash = async (input) => {
+  const pixels = await sharp(input, { failOn: 'none' })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  if (Math.max(...pixels) - Math.min(...pixels) < FEATURELESS_RANGE) return null;
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      hash = (hash << 1n) | (pixels[row * 9 + column] > pixels[row * 9 + column + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+export const hammingDistance = (a, b) => {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (difference) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+};
@@ -0,0 +1,188 @@
+import sharp from 'sharp';
+import { COLOR_PROFILES, DEFAULT_COLOR_PROFILE, colorProfileUnavailableReason, iccProfileFor } from './colorProfiles.js';
+
+// In-process print export: re-encodes an image with its print resolution (DPI) set and
+// transparency flattened onto a chosen background.
+//
+// - jpeg: DPI in the JFIF header; always flattened (JPEG has no alpha channel)
+// - png: DPI in the pHYs chunk; flattened only when a background is given
+// - tiff: DPI in the XResolution/YResolution tags; flattened only when a background is given
+//
+// Every export is converted to an output color profile (sRGB, Adobe RGB or CMYK, see
+// colorProfiles.js) which is embedded in the file. CMYK is written as JPEG or TIFF only.
+//
+// Print-size exports also crop (centred) and resample to the exact pixel size of a physical
+// print, e.g. 8x10 inches at 300 DPI = 2400x3000 px.
+//
+// Configuration:
+// - PRINT_UPSCALE_WARNING: upscale factor above which a print export is flagged as likely to
+//   look soft (default 2)
+
+export const EXPORT_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  tiff: { extension: 'tif', contentType: 'image/tiff' }
+};
+
+export const DEFAULT_DPI = 300;
+const DEFAULT_BACKGROUND = '#ffffff';
+const MAX_DPI = 1200;
+const CMYK_FORMATS = ['jpeg', 'tiff'];
+
+// Longest side of soft-proof previews
+const PROOF_MAX_SIZE = 1024;
+
+// Print sizes in inches, portrait (width <= height)
+export const PRINT_SIZES = {
+  '8x10': { width: 8, height: 10 },
+  '11x14': { width: 11, height: 14 },
+  '16x20': { width: 16, height: 20 },
+  '24x36': { width: 24, height: 36 }
+};
+
+// "auto" follows the shape of the source image
+export const PRINT_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+export const UPSCALE_WARNING_FACTOR = parseFloat(process.env.PRINT_UPSCALE_WARNING) || 2;
+
+const FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff' };
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const normalizeColor = (value) => {
+  const hex = value.replace('#', '').toLowerCase();
+  return `#${hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex}`;
+};
+
+const invalidOption = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Validate { format, dpi, background, colorProfile } from a request body.
+// Returns the normalized options or throws an error with statusCode 400.
+export const parseExportOptions = ({ format = 'jpeg', dpi = DEFAULT_DPI, background, colorProfile = DEFAULT_COLOR_PROFILE } = {}) => {
+  const formatId = FORMAT_ALIASES[String(format).toLowerCase()] || String(format).toLowerCase();
+  if (!EXPORT_FORMATS[formatId]) {
+    throw invalidOption(`Unsupported format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const resolution = Number(dpi);
+  if (!Number.isInteger(resolution) || resolution < 72 || resolution > MAX_DPI) {
+    throw invalidOption(`DPI must be a whole number between 72 and ${MAX_DPI}`);
+  }
+
+  if (background !== undefined && background !== null && background !== '' && !HEX_COLOR.test(background)) {
+    throw invalidOption('Background must be a hex color such as #ffffff');
+  }
+
+  const profileId = String(colorProfile || DEFAULT_COLOR_PROFILE).toLowerCase();
+  if (!COLOR_PROFILES[profileId]) {
+    throw invalidOption(`Unsupported color profile "${colorProfile}". Use one of: ${Object.keys(COLOR_PROFILES).join(', ')}`);
+  }
+  if (COLOR_PROFILES[profileId].space === 'cmyk' && !CMYK_FORMATS.includes(formatId)) {
+    throw invalidOption(`CMYK exports must be ${CMYK_FORMATS.join(' or ')}`);
+  }
+  const unavailable = colorProfileUnavailableReason(profileId);
+  if (unavailable) {
+    throw invalidOption(unavailable);
+  }
+
+  return {
+    format: formatId,
+    dpi: resolution,
+    background: background ? normalizeColor(background) : null,
+    colorProfile: profileId
+  };
+};
+
+// Validate { size, orientation } from a request body. Throws an error with statusCode 400.
+export const parsePrintSize = ({ size, orientation = 'auto' } = {}) => {
+  if (!PRINT_SIZES[size]) {
+    throw invalidOption(`Unsupported print size "${size}". Use one of: ${Object.keys(PRINT_SIZES).join(', ')}`);
+  }
+  if (!PRINT_ORIENTATIONS.includes(orientation)) {
+    throw invalidOption(`Orientation must be one of: ${PRINT_ORIENTATIONS.join(', ')}`);
+  }
+  return { size, orientation };
+};
+
+// Target pixel size for a print and how far the source has to be enlarged to fill it.
+// The source is cropped to the print's aspect ratio, so the factor is set by the tighter side.
+export const planPrintExport = ({ size, orientation }, dpi, source) => {
+  const resolved = orientation === 'auto'
+    ? (source.width > source.height ? 'landscape' : 'portrait')
+    : orientation;
+  const inches = resolved === 'landscape'
+    ? { width: PRINT_SIZES[size].height, height: PRINT_SIZES[size].width }
+    : { ...PRINT_SIZES[size] };
+  const width = Math.round(inches.width * dpi);
+  const height = Math.round(inches.height * dpi);
+  const upscaleFactor = Math.round(Math.max(width / source.width, height / source.height) * 100) / 100;
+
+  return {
+    size,
+    orientation: resolved,
+    dpi,
+    inches,
+    width,
+    height,
+    source: { width: source.width, height: source.height },
+    upscaleFactor,
+    warning: upscaleFactor > UPSCALE_WARNING_FACTOR
+      ? `The image is enlarged ${upscaleFactor}x to reach ${width}x${height} px; the print may look soft`
+      : null
+  };
+};
+
+// Download filename with the extension of the export format
+export const exportFilename = (filename, format) => {
+  const base = (filename || 'artwork').replace(/\.[a-z0-9]+$/i, '');
+  return `${base}.${EXPORT_FORMATS[format].extension}`;
+};
+
+// Sharp pipeline that writes the export. Without `input` it is a duplex stream that reads
+// the source image; `resize` ({ width, height }) crops and resamples to an exact print size.
+export const createPrintPipeline = ({ format, dpi, background, colorProfile = DEFAULT_COLOR_PROFILE }, { input, resize } = {}) => {
+  const pipeline = input === undefined ? sharp({ failOn: 'error' }) : sharp(input, { failOn: 'error' });
+
+  if (resize) {
+    // Apply any EXIF orientation first so the crop matches what viewers show
+    pipeline.rotate().resize(resize.width, resize.height, { fit: 'cover', position: 'centre', kernel: 'lanczos3' });
+  }
+
+  // CMYK output has no alpha channel either
+  if (format === 'jpeg' || background || COLOR_PROFILES[colorProfile].space === 'cmyk') {
+    pipeline.flatten({ background: background || DEFAULT_BACKGROUND });
+  }
+
+  pipeline.withMetadata({ density: dpi }).withIccProfile(iccProfileFor(colorProfile));
+
+  if (format === 'jpeg') {
+    pipeline.jpeg({ quality: 95, chromaSubsampling: '4:4:4' });
+  } else if (format === 'png') {
+    pipeline.png({ compressionLevel: 9 });
+  } else {
+    // TIFF resolution is given in pixels per millimetre
+    pipeline.tiff({ compression: 'lzw', xres: dpi / 25.4, yres: dpi / 25.4, resolutionUnit: 'inch' });
+  }
+
+  return pipeline;
+};
+
+// Soft proof: a preview-sized export converted back to sRGB for the screen, showing how the
+// output profile changes the colors (e.g. saturated colors that CMYK cannot reproduce).
+// Resolves with a JPEG buffer.
+export const renderSoftProof = async (input, options) => {
+  const preview = await sharp(input, { failOn: 'error' })
+    .rotate()
+    .resize(PROOF_MAX_SIZE, PROOF_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .toBuffer();
+  const printed = await createPrintPipeline(options, { input: preview }).toBuffer();
+  return sharp(printed)
+    .flatten({ background: options.background || DEFAULT_BACKGROUND })
+    .withIccProfile('srgb')
+    .jpeg({ quality: 90 })
+    .toBuffer();
+};
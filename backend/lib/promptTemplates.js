@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+// Reusable prompt templates. The body holds one prompt per line with {variable}
+// placeholders that are filled in per order before generation. A template may be
+// attached to a renaissance category so it is offered when that style is selected.
+const store = createJsonStore('prompt-templates', { templates: [] });
+
+export const TEMPLATE_VARIABLES = ['pet_name', 'species', 'breed', 'outfit', 'subject_count'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Placeholder names used in a template body, in order of first appearance
+export const extractVariables = (body) => [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+// Returns an error message for an invalid body, or null
+export const validateTemplateBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Template body required';
+  }
+  const unknown = extractVariables(body).filter(name => !TEMPLATE_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown template variable(s): ${unknown.map(name => `{${name}}`).join(', ')}. Supported: ${TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')}`;
+  }
+  return null;
+};
+
+const withVariables = (template) => ({ ...template, variables: extractVariables(template.body) });
+
+export const listTemplates = ({ category } = {}) => store.read().templates
+  .filter(template => !category || !template.category || template.category === category)
+  .map(withVariables)
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+export const getTemplate = (id) => {
+  const template = store.read().templates.find(item => item.id === id);
+  return template ? withVariables(template) : null;
+};
+
+export const createTemplate = ({ name, body, category = null, description = '' }) => {
+  const now = new Date().toISOString();
+  const template = {
+    id: crypto.randomUUID(),
+    name,
+    description,
+    category: category || null,
+    body,
+    createdAt: now,
+    updatedAt: now
+  };
+  store.update(doc => {
+    doc.templates.push(template);
+  });
+  return withVariables(template);
+};
+
+// Returns the updated template, or null if it does not exist
+export const updateTemplate = (id, changes) => {
+  let updated = null;
+  store.update(doc => {
+    const template = doc.templates.find(item => item.id === id);
+    if (!template) return;
+    ['name', 'description', 'body'].forEach(field => {
+      if (changes[field] !== undefined) template[field] = changes[field];
+    });
+    if (changes.category !== undefined) template.category = changes.category || null;
+    template.updatedAt = new Date().toISOString();
+    updated = template;
+  });
+  return updated ? withVariables(updated) : null;
+};
+
+export const deleteTemplate = (id) => {
+  let deleted = false;
+  store.update(doc => {
+    const remaining = doc.templates.filter(item => item.id !== id);
+    deleted = remaining.length !== doc.templates.length;
+    doc.templates = remaining;
+  });
+  return deleted;
+};
+
+// Make the templates of a deleted category general; returns how many were changed
+export const detachTemplatesFromCategory = (category) => {
+  let changed = 0;
+  store.update(doc => {
+    doc.templates.forEach(template => {
+      if (template.category !== category) return;
+      template.category = null;
+      template.updatedAt = new Date().toISOString();
+      changed++;
+    });
+  });
+  return changed;
+};
+
+// Fill in the placeholders and split into the batch prompt list (one prompt per non-empty line).
+// Throws with the missing variable names if any placeholder has no value.
+export const expandTemplate = (template, values = {}) => {
+  const missing = template.variables.filter(name => !String(values[name] ?? '').trim());
+  if (missing.length > 0) {
+    const error = new Error(`Missing value for ${missing.map(name => `{${name}}`).join(', ')}`);
+    error.missing = missing;
+    throw error;
+  }
+
+  return template.body
+    .replace(PLACEHOLDER_PATTERN, (_, name) => String(values[name]).trim())
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+};
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { createJsonStore } from './jsonStore.js';
+
+// Watermarked customer proofs: a downscaled JPEG of a library image with a text or logo
+// watermark, tiled across the image or placed in the bottom-right corner. Each proof gets
+// an unguessable token; GET /proofs/<token> serves it without a login, while the clean
+// master stays behind the authenticated /uploads route.
+//
+// Configuration:
+// - PROOF_WATERMARK_TEXT: default watermark text (default "PROOF")
+// - PROOF_WATERMARK_LOGO: path to a PNG or SVG logo for logo watermarks (optional)
+// - PROOF_WATERMARK_LAYOUT: default layout, "tiled" (default) or "corner"
+// - PROOF_WATERMARK_OPACITY: default opacity between 0.05 and 1 (default 0.35)
+// - PROOF_MAX_SIZE: default longest side of a proof in pixels (default 1200)
+
+const store = createJsonStore('proofs', { proofs: [] });
+
+export const WATERMARK_TYPES = ['text', 'logo'];
+export const WATERMARK_LAYOUTS = ['tiled', 'corner'];
+
+const MAX_TEXT_LENGTH = 60;
+const MIN_PROOF_SIZE = 256;
+const MAX_PROOF_SIZE = 2400;
+
+const LOGO_FILE = (() => {
+  const file = process.env.PROOF_WATERMARK_LOGO;
+  if (!file) return null;
+  if (!fs.existsSync(file)) {
+    console.warn(`PROOF_WATERMARK_LOGO "${file}" does not exist; logo watermarks are disabled`);
+    return null;
+  }
+  return path.resolve(file);
+})();
+
+const DEFAULTS = {
+  type: 'text',
+  text: process.env.PROOF_WATERMARK_TEXT || 'PROOF',
+  layout: WATERMARK_LAYOUTS.includes(process.env.PROOF_WATERMARK_LAYOUT) ? process.env.PROOF_WATERMARK_LAYOUT : 'tiled',
+  opacity: parseFloat(process.env.PROOF_WATERMARK_OPACITY) || 0.35,
+  maxSize: parseInt(process.env.PROOF_MAX_SIZE, 10) || 1200
+};
+
+export const watermarkDefaults = () => ({ ...DEFAULTS, logoAvailable: Boolean(LOGO_FILE) });
+
+const invalidOption = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Validate { type, text, layout, opacity, maxSize } from a request body, filling in the
+// configured defaults. Throws an error with statusCode 400.
+export const parseProofOptions = (body = {}) => {
+  const options = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach((key) => {
+    if (body[key] !== undefined && body[key] !== null && body[key] !== '') options[key] = body[key];
+  });
+
+  if (!WATERMARK_TYPES.includes(options.type)) {
+    throw invalidOption(`Watermark type must be one of: ${WATERMARK_TYPES.join(', ')}`);
+  }
+  if (options.type === 'logo' && !LOGO_FILE) {
+    throw invalidOption('No watermark logo is configured (PROOF_WATERMARK_LOGO)');
+  }
+  options.text = String(options.text).trim();
+  if (options.type === 'text' && (!options.text || options.text.length > MAX_TEXT_LENGTH)) {
+    throw invalidOption(`Watermark text must be 1-${MAX_TEXT_LENGTH} characters`);
+  }
+  if (!WATERMARK_LAYOUTS.includes(options.layout)) {
+    throw invalidOption(`Watermark layout must be one of: ${WATERMARK_LAYOUTS.join(', ')}`);
+  }
+  options.opacity = Number(options.opacity);
+  if (!(options.opacity >= 0.05 && options.opacity <= 1)) {
+    throw invalidOption('Watermark opacity must be between 0.05 and 1');
+  }
+  options.maxSize = Number(options.maxSize);
+  if (!Number.isInteger(options.maxSize) || options.maxSize < MIN_PROOF_SIZE || options.maxSize > MAX_PROOF_SIZE) {
+    throw invalidOption(`Proof size must be a whole number between ${MIN_PROOF_SIZE} and ${MAX_PROOF_SIZE}`);
+  }
+
+  return options.type === 'logo'
+    ? { type: 'logo', layout: options.layout, opacity: options.opacity, maxSize: options.maxSize }
+    : { type: 'text', text: options.text, layout: options.layout, opacity: options.opacity, maxSize: options.maxSize };
+};
+
+const escapeXml = value => value.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+// White text with a dark outline so the mark shows on light and dark images alike
+const textWatermark = ({ text, layout, opacity }, width, height) => {
+  if (layout === 'tiled') {
+    const tileWidth = Math.max(160, Math.round(width / 3));
+    const tileHeight = Math.round(tileWidth * 0.6);
+    const fontSize = Math.min(tileHeight * 0.35, (tileWidth * 1.1) / (text.length * 0.6));
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${tileWidth}" height="${tileHeight}">
+      <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" transform="rotate(-30 ${tileWidth / 2} ${tileHeight / 2})"
+        font-family="DejaVu Sans, Arial, sans-serif" font-weight="bold" font-size="${fontSize}"
+        fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity * 0.6}" stroke-width="${Math.max(1, fontSize / 40)}">${escapeXml(text)}</text>
+    </svg>`;
+    return { input: Buffer.from(svg), tile: true };
+  }
+
+  const fontSize = Math.max(14, Math.round(Math.min(width, height) / 14));
+  const padding = Math.round(fontSize * 0.6);
+  const markWidth = Math.min(width, Math.ceil(text.length * fontSize * 0.65) + padding * 2);
+  const markHeight = Math.min(height, Math.round(fontSize * 1.4) + padding * 2);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${markWidth}" height="${markHeight}">
+    <text x="${markWidth - padding}" y="${markHeight - padding}" text-anchor="end"
+      font-family="DejaVu Sans, Arial, sans-serif" font-weight="bold" font-size="${fontSize}"
+      fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity * 0.6}" stroke-width="${Math.max(1, fontSize / 40)}">${escapeXml(text)}</text>
+  </svg>`;
+  return { input: Buffer.from(svg), gravity: 'southeast' };
+};
+
+const logoWatermark = async ({ layout, opacity }, width) => {
+  const logoWidth = Math.max(48, Math.round(width / (layout === 'tiled' ? 4 : 5)));
+  const padding = Math.round(logoWidth * (layout === 'tiled' ? 0.4 : 0.15));
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+  const logo = await sharp(LOGO_FILE)
+    .resize(logoWidth, null, { fit: 'inside' })
+    .ensureAlpha()
+    .linear([1, 1, 1, opacity], [0, 0, 0, 0])
+    .extend(layout === 'tiled'
+      ? { top: padding, bottom: padding, left: padding, right: padding, background: transparent }
+      : { bottom: padding, right: padding, background: transparent })
+    .png()
+    .toBuffer();
+  return layout === 'tiled' ? { input: logo, tile: true } : { input: logo, gravity: 'southeast' };
+};
+
+// Render a proof from image data. Resolves with a JPEG buffer and its dimensions.
+export const renderProof = async (input, options) => {
+  const { data, info } = await sharp(input, { failOn: 'error' })
+    .rotate()
+    .resize(options.maxSize, options.maxSize, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .toBuffer({ resolveWithObject: true });
+
+  const watermark = options.type === 'logo'
+    ? await logoWatermark(options, info.width)
+    : textWatermark(options, info.width, info.height);
+
+  const proof = await sharp(data).composite([watermark]).jpeg({ quality: 82 }).toBuffer();
+  return { data: proof, width: info.width, height: info.height };
+};
+
+// Public URL of a proof
+export const proofUrl = token => `/proofs/${token}`;
+
+// Register a proof file for an original. Any earlier proof of the same original is revoked;
+// its record is returned so the caller can delete the file.
+export const registerProof = ({ category, filename, original, watermark }) => {
+  const proof = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    category,
+    filename,
+    original,
+    watermark,
+    createdAt: new Date().toISOString()
+  };
+  let previous = null;
+  store.update((doc) => {
+    previous = doc.proofs.find(entry => entry.original.category === original.category && entry.original.filename === original.filename) || null;
+    doc.proofs = doc.proofs.filter(entry => entry !== previous);
+    doc.proofs.push(proof);
+  });
+  return { proof, previous };
+};
+
+export const getProofByToken = (token) => {
+  if (typeof token !== 'string' || token.length < 20) return null;
+  return store.read().proofs.find(entry => entry.token === token) || null;
+};
+
+// Revoke the proof of an original (or the proof stored as category/filename itself).
+// Returns the removed record, or null.
+export const revokeProof = (category, filename) => {
+  let removed = null;
+  store.update((doc) => {
+    removed = doc.proofs.find(entry => entry.category === category && (entry.original.filename === filename || entry.filename === filename)) || null;
+    if (removed) doc.proofs = doc.proofs.filter(entry => entry !== removed);
+  });
+  return removed;
+};
@@ -0,0 +1,133 @@
+// Classification of provider (Replicate) failures and retry with backoff.
+//
+// Replicate's client throws an ApiError whose `response` carries the HTTP status and
+// whose message ends with the response body ("... failed with status 429 Too Many
+// Requests: {json}."); failed predictions throw "Prediction failed: <error>".
+// Errors are classified from that status and body rather than from message wording.
+//
+// Configuration:
+// - GENERATION_MAX_RETRIES: retries after the first attempt for transient failures (default 3)
+// - GENERATION_RETRY_BASE_MS: base delay for exponential backoff (default 1000)
+// - GENERATION_RETRY_MAX_MS: cap on a single delay (default 30000)
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+export const RETRY_CONFIG = {
+  maxRetries: readInt(process.env.GENERATION_MAX_RETRIES, 3),
+  baseDelayMs: readInt(process.env.GENERATION_RETRY_BASE_MS, 1000),
+  maxDelayMs: readInt(process.env.GENERATION_RETRY_MAX_MS, 30000)
+};
+
+// Classification -> HTTP status we answer with, user-facing message, and whether to retry
+const CLASSIFICATIONS = {
+  authentication: { statusCode: 401, error: 'Authentication failed', retryable: false },
+  insufficient_credits: { statusCode: 402, error: 'Insufficient credits', retryable: false },
+  not_found: { statusCode: 404, error: 'Model not found', retryable: false },
+  invalid_input: { statusCode: 422, error: 'Invalid generation input', retryable: false },
+  rate_limited: { statusCode: 429, error: 'Rate limit exceeded', retryable: true },
+  provider_unavailable: { statusCode: 503, error: 'Provider unavailable', retryable: true },
+  network: { statusCode: 503, error: 'Could not reach provider', retryable: true },
+  prediction_failed: { statusCode: 502, error: 'Prediction failed', retryable: false },
+  unknown: { statusCode: 500, error: 'Image generation failed', retryable: false }
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+const classifyStatus = (status) => {
+  if (status === 401 || status === 403) return 'authentication';
+  if (status === 402) return 'insufficient_credits';
+  if (status === 404) return 'not_found';
+  if (status === 429) return 'rate_limited';
+  if (status === 400 || status === 422) return 'invalid_input';
+  if (status >= 500) return 'provider_unavailable';
+  return 'unknown';
+};
+
+// Pull the HTTP status and JSON body out of a Replicate ApiError
+const parseApiError = (error) => {
+  const match = error.message?.match(/failed with status (\d{3})[^:]*: ([\s\S]*)\.$/);
+  const status = error.response?.status || (match ? parseInt(match[1], 10) : null);
+  let body = null;
+  if (match) {
+    try {
+      body = JSON.parse(match[2]);
+    } catch {
+      body = { detail: match[2] };
+    }
+  }
+  return { status, body };
+};
+
+// Retry-After header (seconds or HTTP date) in milliseconds
+const readRetryAfter = (response) => {
+  const value = response?.headers?.get?.('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = new Date(value).getTime();
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Describe a provider failure: { classification, statusCode, error, details, retryable, providerStatus, retryAfterMs }
+export const classifyProviderError = (error) => {
+  let classification = 'unknown';
+  let providerStatus = null;
+  let details = error.message;
+  let retryAfterMs = null;
+
+  if (error.name === 'ApiError' || error.response) {
+    const { status, body } = parseApiError(error);
+    providerStatus = status;
+    classification = status ? classifyStatus(status) : 'unknown';
+    details = body?.detail || body?.title || error.message;
+    retryAfterMs = readRetryAfter(error.response);
+  } else if (error.message?.startsWith('Prediction failed:')) {
+    classification = 'prediction_failed';
+    details = error.message.replace(/^Prediction failed:\s*/, '');
+  } else if (NETWORK_ERROR_CODES.includes(error.code || error.cause?.code) || error.message === 'fetch failed') {
+    classification = 'network';
+  }
+
+  return {
+    classification,
+    ...CLASSIFICATIONS[classification],
+    details,
+    providerStatus,
+    retryAfterMs
+  };
+};
+
+// Full-jitter exponential backoff, never shorter than the provider's Retry-After
+export const retryDelay = (attempt, retryAfterMs = null) => {
+  const ceiling = Math.min(RETRY_CONFIG.maxDelayMs, RETRY_CONFIG.baseDelayMs * 2 ** attempt);
+  const delay = Math.random() * ceiling;
+  return Math.round(retryAfterMs ? Math.max(delay, retryAfterMs) : delay);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `operation` and retry transient provider failures. Resolves with
+// { value, retries }; on final failure the thrown error carries `classification`
+// (from classifyProviderError) and `retries`.
+export const withProviderRetries = async (operation, { onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { value: await operation(attempt), retries: attempt };
+    } catch (error) {
+      const classification = classifyProviderError(error);
+      error.classification = classification;
+      error.retries = attempt;
+
+      if (!classification.retryable || attempt >= RETRY_CONFIG.maxRetries) {
+        throw error;
+      }
+
+      const delayMs = retryDelay(attempt, classification.retryAfterMs);
+      onRetry?.({ attempt: attempt + 1, delayMs, classification });
+      await sleep(delayMs);
+    }
+  }
+};
@@ -0,0 +1,350 @@
+// Model provider registry
+// Each model declares its Replicate ID, the parameters it accepts (with defaults and
+// limits, also used by the frontend to render controls) and how to read its output.
+// outputShape documents what the model returns: 'url' (a single URL string), 'urls'
+// (an array of URLs) or 'output_paths' (an object with an output_paths array).
+// costPerImage estimates the USD price of one output image from the model input; these
+// are planning figures based on published per-image prices, not billing data.
+
+const ASPECT_RATIO_LABELS = {
+  '1:1': 'Square (1:1)',
+  '3:2': 'Landscape (3:2)',
+  '2:3': 'Portrait (2:3)',
+  '4:3': 'Landscape (4:3)',
+  '3:4': 'Portrait (3:4)',
+  '16:9': 'Widescreen (16:9)',
+  '9:16': 'Vertical (9:16)',
+  '21:9': 'Ultrawide (21:9)'
+};
+
+const aspectRatioParam = (values, defaultValue = '1:1') => ({
+  key: 'aspect_ratio',
+  label: 'Aspect Ratio',
+  type: 'select',
+  options: values.map(value => ({ value, label: ASPECT_RATIO_LABELS[value] || value })),
+  default: defaultValue
+});
+
+const outputFormatParam = (values, defaultValue = 'webp') => ({
+  key: 'output_format',
+  label: 'Output Format',
+  type: 'select',
+  options: values.map(value => ({ value, label: value.toUpperCase() })),
+  default: defaultValue
+});
+
+// Output parsers for the shapes Replicate models return
+const toUrl = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  // FileOutput objects (newer Replicate clients) expose url()
+  if (typeof value.url === 'function') return value.url().toString();
+  return null;
+};
+
+export const parseUrlOutput = (output) => {
+  if (Array.isArray(output)) return output.map(toUrl).filter(Boolean);
+  if (typeof output === 'string') return [output];
+  if (output && output.output) return parseUrlOutput(output.output);
+  const url = toUrl(output);
+  return url ? [url] : [];
+};
+
+const parseOutputPaths = (output) => {
+  if (output && output.output_paths) {
+    return parseUrlOutput(output.output_paths);
+  }
+  return parseUrlOutput(output);
+};
+
+// OpenAI image prices per image by quality and output size (square vs. 3:2 / 2:3).
+// "auto" lets OpenAI pick the quality, so it is budgeted as the most expensive tier.
+const OPENAI_IMAGE_PRICES = {
+  low: { square: 0.011, wide: 0.016 },
+  medium: { square: 0.042, wide: 0.063 },
+  high: { square: 0.167, wide: 0.25 }
+};
+
+const openaiImageCost = (input) => {
+  const tier = OPENAI_IMAGE_PRICES[input.quality] || OPENAI_IMAGE_PRICES.high;
+  return input.aspect_ratio === '1:1' ? tier.square : tier.wide;
+};
+
+export const MODELS = [
+  {
+    id: 'openai-image-1.5',
+    name: 'OpenAI Image 1.5',
+    description: 'Latest OpenAI generation with quality controls and reference images',
+    replicateModel: 'openai/gpt-image-1.5',
+    inputImages: { key: 'input_images', max: 5 },
+    imageCountParam: 'number_of_images',
+    supportsApiKey: true,
+    supportsUserId: true,
+    parameters: [
+      aspectRatioParam(['1:1', '3:2', '2:3']),
+      {
+        key: 'quality',
+        label: 'Quality',
+        type: 'select',
+        options: [
+          { value: 'auto', label: 'Auto' },
+          { value: 'low', label: 'Low' },
+          { value: 'medium', label: 'Medium' },
+          { value: 'high', label: 'High' }
+        ],
+        default: 'auto'
+      },
+      {
+        key: 'background',
+        label: 'Background',
+        type: 'select',
+        options: [
+          { value: 'auto', label: 'Auto' },
+          { value: 'transparent', label: 'Transparent' },
+          { value: 'opaque', label: 'Opaque' }
+        ],
+        default: 'auto'
+      },
+      {
+        key: 'moderation',
+        label: 'Moderation',
+        type: 'select',
+        options: [
+          { value: 'auto', label: 'Auto' },
+          { value: 'low', label: 'Low' }
+        ],
+        default: 'auto'
+      },
+      outputFormatParam(['webp', 'png', 'jpeg']),
+      {
+        key: 'input_fidelity',
+        label: 'Input Fidelity',
+        type: 'select',
+        options: [
+          { value: 'low', label: 'Low' },
+          { value: 'high', label: 'High' }
+        ],
+        default: 'low'
+      },
+      { key: 'number_of_images', label: 'Number of Images', type: 'range', min: 1, max: 10, step: 1, default: 1 },
+      { key: 'output_compression', label: 'Output Compression', type: 'range', min: 0, max: 100, step: 5, default: 90, unit: '%' }
+    ],
+    costPerImage: openaiImageCost,
+    outputShape: 'urls',
+    parseOutput: parseUrlOutput
+  },
+  {
+    id: 'seedream',
+    name: 'Seedream-3',
+    description: 'High-quality artistic images with guidance control',
+    replicateModel: 'bytedance/seedream-3',
+    inputImages: null,
+    imageCountParam: null,
+    parameters: [
+      aspectRatioParam(['1:1', '3:4', '4:3', '2:3', '3:2', '16:9', '9:16', '21:9']),
+      {
+        key: 'size',
+        label: 'Size',
+        type: 'select',
+        options: [
+          { value: 'small', label: 'Small' },
+          { value: 'regular', label: 'Regular' },
+          { value: 'big', label: 'Big' }
+        ],
+        default: 'regular'
+      },
+      { key: 'guidance_scale', label: 'Guidance Scale', type: 'range', min: 1, max: 10, step: 0.5, default: 2.5 }
+    ],
+    costPerImage: () => 0.03,
+    outputShape: 'url',
+    parseOutput: parseUrlOutput
+  },
+  {
+    id: 'flux-schnell',
+    name: 'Flux Schnell',
+    description: 'Fast, high-quality generation (1-4 steps)',
+    replicateModel: 'black-forest-labs/flux-schnell',
+    inputImages: null,
+    imageCountParam: 'num_outputs',
+    parameters: [
+      aspectRatioParam(['1:1', '3:4', '4:3', '2:3', '3:2', '16:9', '9:16', '21:9']),
+      { key: 'num_inference_steps', label: 'Inference Steps', type: 'range', min: 1, max: 4, step: 1, default: 4 },
+      { key: 'go_fast', label: 'Go Fast', type: 'boolean', default: true },
+      {
+        key: 'megapixels',
+        label: 'Megapixels',
+        type: 'select',
+        options: [
+          { value: '1', label: '1 MP' },
+          { value: '0.25', label: '0.25 MP' }
+        ],
+        default: '1'
+      },
+      { key: 'num_outputs', label: 'Number of Images', type: 'range', min: 1, max: 4, step: 1, default: 1 },
+      outputFormatParam(['webp', 'jpg', 'png']),
+      { key: 'output_quality', label: 'Output Quality', type: 'range', min: 0, max: 100, step: 5, default: 80, unit: '%' }
+    ],
+    costPerImage: () => 0.003,
+    outputShape: 'urls',
+    parseOutput: parseUrlOutput
+  },
+  {
+    id: 'flux-1.1-pro',
+    name: 'Flux 1.1 Pro',
+    description: 'Premium quality with prompt upsampling and a reference image',
+    replicateModel: 'black-forest-labs/flux-1.1-pro',
+    inputImages: { key: 'image_prompt', max: 1 },
+    imageCountParam: null,
+    parameters: [
+      aspectRatioParam(['1:1', '3:4', '4:3', '2:3', '3:2', '16:9', '9:16']),
+      { key: 'safety_tolerance', label: 'Safety Tolerance', type: 'range', min: 1, max: 6, step: 1, default: 2 },
+      { key: 'prompt_upsampling', label: 'Prompt Upsampling', type: 'boolean', default: false },
+      outputFormatParam(['webp', 'jpg', 'png']),
+      { key: 'output_quality', label: 'Output Quality', type: 'range', min: 0, max: 100, step: 5, default: 80, unit: '%' }
+    ],
+    costPerImage: () => 0.04,
+    outputShape: 'url',
+    parseOutput: parseUrlOutput
+  },
+  {
+    id: 'stable-diffusion',
+    name: 'Stable Diffusion',
+    description: 'Classic model with background removal options',
+    replicateModel: 'zedge/stable-diffusion',
+    inputImages: null,
+    imageCountParam: 'num_outputs',
+    parameters: [
+      { key: 'width', label: 'Width', type: 'range', min: 512, max: 1536, step: 64, default: 1024, unit: 'px' },
+      { key: 'height', label: 'Height', type: 'range', min: 512, max: 1536, step: 64, default: 1024, unit: 'px' },
+      { key: 'num_outputs', label: 'Number of Images', type: 'range', min: 1, max: 4, step: 1, default: 1 },
+      { key: 'remove_background', label: 'Remove Background', type: 'boolean', default: false }
+    ],
+    // Billed by GPU time, which grows with the pixel count (about $0.0025 per megapixel)
+    costPerImage: (input) => 0.0025 * ((input.width * input.height) / (1024 * 1024)),
+    outputShape: 'output_paths',
+    parseOutput: parseOutputPaths
+  }
+];
+
+export const DEFAULT_MODEL_ID = 'openai-image-1.5';
+
+// ENABLED_MODELS (comma-separated IDs) limits which registry entries are offered
+const enabledIds = process.env.ENABLED_MODELS
+  ? process.env.ENABLED_MODELS.split(',').map(id => id.trim()).filter(Boolean)
+  : null;
+
+export const getEnabledModels = () => {
+  return enabledIds ? MODELS.filter(model => enabledIds.includes(model.id)) : MODELS;
+};
+
+export const getModel = (id) => {
+  return getEnabledModels().find(model => model.id === (id || DEFAULT_MODEL_ID)) || null;
+};
+
+// Round a range value to the nearest step from its minimum (whole numbers for whole steps),
+// without floating point residue such as 2.5000000000000004
+const snapToStep = (param, number) => {
+  if (!param.step) return number;
+  const decimals = (String(param.step).split('.')[1] || '').length;
+  return Number((param.min + Math.round((number - param.min) / param.step) * param.step).toFixed(decimals));
+};
+
+// Coerce a single request value against its parameter definition, falling back to the default
+const coerceParam = (param, value) => {
+  if (value === undefined || value === null || value === '') return param.default;
+
+  switch (param.type) {
+    case 'select': {
+      const match = param.options.find(option => String(option.value) === String(value));
+      return match ? match.value : param.default;
+    }
+    case 'range': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return param.default;
+      return Math.min(param.max, Math.max(param.min, snapToStep(param, number)));
+    }
+    case 'boolean':
+      return value === true || value === 'true';
+    default:
+      return value;
+  }
+};
+
+// Build the Replicate input for a model from a flat request body
+export const buildModelInput = (model, body) => {
+  const input = { prompt: body.prompt.trim() };
+
+  model.parameters.forEach(param => {
+    input[param.key] = coerceParam(param, body[param.key]);
+  });
+
+  const images = Array.isArray(body.input_images) ? body.input_images.filter(Boolean) : [];
+  if (model.inputImages && images.length > 0) {
+    const allowed = images.slice(0, model.inputImages.max);
+    input[model.inputImages.key] = model.inputImages.max === 1 ? allowed[0] : allowed;
+  }
+
+  if (model.supportsApiKey) {
+    // OpenAI API key is optional - Replicate uses proxy if not provided
+    const apiKey = body.openai_api_key || process.env.OPENAI_API_KEY;
+    if (apiKey) input.openai_api_key = apiKey;
+  }
+
+  if (model.supportsUserId && body.user_id) {
+    input.user_id = body.user_id;
+  }
+
+  return input;
+};
+
+// Estimated cost of a generation before it runs: the requested image count times the per-image price
+export const estimateGenerationCost = (model, input) => {
+  const imageCount = model.imageCountParam ? Number(input[model.imageCountParam]) || 1 : 1;
+  const perImage = model.costPerImage ? model.costPerImage(input) : 0;
+  return { perImage, imageCount, total: perImage * imageCount, currency: 'USD' };
+};
+
+// Public description of a model for API clients (no functions)
+export const describeModel = (model) => ({
+  id: model.id,
+  name: model.name,
+  description: model.description,
+  replicateModel: model.replicateModel,
+  inputImages: model.inputImages,
+  imageCountParam: model.imageCountParam,
+  supportsApiKey: Boolean(model.supportsApiKey),
+  supportsUserId: Boolean(model.supportsUserId),
+  parameters: model.parameters
+});
+
+// Availability of each model on Replicate, checked in the background and cached
+const AVAILABILITY_TTL_MS = 60 * 60 * 1000;
+const availability = new Map();
+
+export const getModelAvailability = (id) => availability.get(id) || { status: 'unknown', checkedAt: null };
+
+export const refreshModelAvailability = async (replicate) => {
+  await Promise.all(getEnabledModels().map(async (model) => {
+    const cached = availability.get(model.id);
+    if (cached && Date.now() - new Date(cached.checkedAt).getTime() < AVAILABILITY_TTL_MS) return;
+
+    const [owner, name] = model.replicateModel.split('/');
+    try {
+      await replicate.models.get(owner, name);
+      availability.set(model.id, { status: 'available', checkedAt: new Date().toISOString() });
+    } catch (error) {
+      console.warn(`Model ${model.replicateModel} unavailable:`, error.message);
+      availability.set(model.id, { status: 'unavailable', checkedAt: new Date().toISOString(), error: error.message });
+    }
+  }));
+};
+
+// Parameters as stored with results: no secrets and no bulky base64 image payloads
+export const summarizeInput = (model, input) => {
+  const { openai_api_key: _apiKey, ...rest } = input;
+  if (model.inputImages && rest[model.inputImages.key]) {
+    rest.input_image_count = [].concat(rest[model.inputImages.key]).length;
+    delete rest[model.inputImages.key];
+  }
+  return rest;
+};
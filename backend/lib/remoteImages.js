@@ -0,0 +1,118 @@
+import axios from 'axios';
+import { Transform } from 'stream';
+
+// Guarded fetches of remote images (model outputs, export sources). Only https URLs on
+// allowlisted hosts are fetched, redirects are checked against the same list, and the
+// response must be an image no larger than the size cap.
+//
+// Configuration:
+// - REMOTE_IMAGE_HOSTS: comma-separated hostnames images may be fetched from; "*.example.com"
+//   matches subdomains (default: replicate.delivery and its subdomains)
+// - REMOTE_IMAGE_MAX_MB: largest remote image accepted (default 50)
+
+const ALLOWED_HOSTS = (process.env.REMOTE_IMAGE_HOSTS || 'replicate.delivery,*.replicate.delivery')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+export const MAX_REMOTE_IMAGE_BYTES = (parseFloat(process.env.REMOTE_IMAGE_MAX_MB) || 50) * 1024 * 1024;
+
+const TIMEOUT_MS = 30000;
+
+const rejected = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hostAllowed = (hostname) => ALLOWED_HOSTS.some(pattern => (
+  pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern
+));
+
+// Throws (statusCode 400/403) unless the URL may be fetched
+export const assertRemoteImageUrl = (imageUrl) => {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch {
+    throw rejected('Invalid image URL');
+  }
+
+  if (url.protocol !== 'https:') {
+    throw rejected('Only https image URLs can be fetched');
+  }
+  if (url.username || url.password || (url.port && url.port !== '443')) {
+    throw rejected('Image URLs cannot carry credentials or a custom port');
+  }
+  if (!hostAllowed(url.hostname.toLowerCase())) {
+    throw rejected(`Fetching images from "${url.hostname}" is not allowed (see REMOTE_IMAGE_HOSTS)`, 403);
+  }
+  return url;
+};
+
+// Content type of an image response, or an error (415 not an image, 413 too large)
+const checkResponseHeaders = (headers) => {
+  const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!contentType.startsWith('image/')) {
+    throw rejected(`Remote file is not an image (${contentType || 'no content type'})`, 415);
+  }
+  const length = parseInt(headers['content-length'], 10);
+  if (length > MAX_REMOTE_IMAGE_BYTES) {
+    throw rejected(`Remote image is larger than ${MAX_REMOTE_IMAGE_BYTES / 1024 / 1024} MB`, 413);
+  }
+  return contentType;
+};
+
+const request = async (imageUrl, responseType) => {
+  assertRemoteImageUrl(imageUrl);
+  try {
+    return await axios.get(imageUrl, {
+      responseType,
+      timeout: TIMEOUT_MS,
+      maxContentLength: MAX_REMOTE_IMAGE_BYTES,
+      maxRedirects: 3,
+      // Every redirect hop must pass the same checks
+      beforeRedirect: (options) => assertRemoteImageUrl(`${options.protocol}//${options.host}${options.path}`)
+    });
+  } catch (error) {
+    // Redirect rejections arrive wrapped by the HTTP client
+    if (error.cause?.statusCode) throw error.cause;
+    if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+      throw rejected(`Remote image is larger than ${MAX_REMOTE_IMAGE_BYTES / 1024 / 1024} MB`, 413);
+    }
+    throw error;
+  }
+};
+
+// Download a remote image into memory. Resolves with { data, contentType }.
+export const fetchRemoteImage = async (imageUrl) => {
+  const response = await request(imageUrl, 'arraybuffer');
+  const contentType = checkResponseHeaders(response.headers);
+  return { data: Buffer.from(response.data), contentType };
+};
+
+// Open a remote image as a stream that errors (413) once it passes the size cap
+export const openRemoteImageStream = async (imageUrl) => {
+  const response = await request(imageUrl, 'stream');
+  try {
+    checkResponseHeaders(response.headers);
+  } catch (error) {
+    response.data.destroy();
+    throw error;
+  }
+
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_REMOTE_IMAGE_BYTES) {
+        callback(rejected(`Remote image is larger than ${MAX_REMOTE_IMAGE_BYTES / 1024 / 1024} MB`, 413));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  response.data.on('error', error => limiter.destroy(error));
+  limiter.on('close', () => response.data.destroy());
+  return response.data.pipe(limiter);
+};
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { storage } from './storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Cached downscaled copies of library images for grids and previews, so listings don't
+// load full-resolution files. Renditions are created in the background when an image is
+// saved; images saved before that (or replaced since) are picked up the next time they
+// are listed. Until then listings fall back to the original URL.
+//
+// Files live in RENDITIONS_DIR/<category>/<filename>.<rendition>.<format> and are served
+// at /renditions/... They are a local cache, also when the originals are in object storage.
+//
+// Configuration:
+// - RENDITIONS_DIR: where renditions are cached (default: ".renditions" in the uploads volume)
+// - RENDITION_FORMAT: "webp" (default) or "avif"
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+export const RENDITIONS_DIR = process.env.RENDITIONS_DIR || path.join(UPLOADS_DIR, '.renditions');
+
+// Longest side in pixels; smaller images are not enlarged
+export const RENDITION_SIZES = {
+  thumbnail: 320,
+  preview: 1280
+};
+
+const FORMATS = {
+  webp: { contentType: 'image/webp', options: { quality: 80 } },
+  avif: { contentType: 'image/avif', options: { quality: 50 } }
+};
+
+const FORMAT = FORMATS[process.env.RENDITION_FORMAT] ? process.env.RENDITION_FORMAT : 'webp';
+export const RENDITION_CONTENT_TYPE = FORMATS[FORMAT].contentType;
+
+const renditionName = (filename, rendition) => `${filename}.${rendition}.${FORMAT}`;
+const renditionPath = (category, filename, rendition) => path.join(RENDITIONS_DIR, category, renditionName(filename, rendition));
+
+// Create (or replace) every rendition of a stored image. Renditions get the source's
+// modification time (or later), so renditionUrls() can tell when the source has changed
+// even if the storage server's clock differs from ours.
+export const createRenditions = async (category, filename) => {
+  const source = await storage.stat(category, filename);
+  if (!source) return null;
+  const dir = path.join(RENDITIONS_DIR, category);
+  fs.mkdirSync(dir, { recursive: true });
+  const input = await storage.read(category, filename);
+  const stamp = new Date(Math.max(Date.now(), source.modifiedAt.getTime() + 1000));
+
+  for (const [rendition, size] of Object.entries(RENDITION_SIZES)) {
+    const target = renditionPath(category, filename, rendition);
+    const tempPath = `${target}.${process.pid}.tmp`;
+    await sharp(input, { failOn: 'none' })
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(FORMAT, FORMATS[FORMAT].options)
+      .toFile(tempPath);
+    fs.utimesSync(tempPath, stamp, stamp);
+    fs.renameSync(tempPath, target);
+  }
+  return source;
+};
+
+export const removeRenditions = (category, filename) => {
+  Object.keys(RENDITION_SIZES).forEach((rendition) => {
+    fs.rmSync(renditionPath(category, filename, rendition), { force: true });
+  });
+};
+
+// Background queue: renditions are made one at a time so a large backfill doesn't compete
+// with requests for the CPU. Files that fail (e.g. not an image) are not retried until they
+// change: listings pass the source's `modifiedAt` to check that.
+const pending = new Set();
+const failed = new Map(); // key -> source mtime (ms) when it failed
+let queue = Promise.resolve();
+
+export const queueRenditions = (category, filename, modifiedAt = null) => {
+  const key = `${category}/${filename}`;
+  if (pending.has(key)) return;
+  if (modifiedAt && failed.get(key) === modifiedAt.getTime()) return;
+  pending.add(key);
+  queue = queue
+    .then(() => createRenditions(category, filename))
+    .then(() => failed.delete(key))
+    .catch(async (error) => {
+      const source = await storage.stat(category, filename).catch(() => null);
+      if (source) failed.set(key, source.modifiedAt.getTime());
+      console.warn(`Failed to create renditions for ${key}:`, error.message);
+    })
+    .finally(() => pending.delete(key));
+};
+
+// { thumbnailUrl, previewUrl } for an image whose renditions are up to date, or null.
+// `modifiedAt` (the source file's mtime) busts browser caches when a file is replaced.
+export const renditionUrls = (category, filename, modifiedAt) => {
+  const urls = {};
+  for (const rendition of Object.keys(RENDITION_SIZES)) {
+    let stats;
+    try {
+      stats = fs.statSync(renditionPath(category, filename, rendition));
+    } catch {
+      return null;
+    }
+    if (stats.mtimeMs < modifiedAt.getTime()) return null;
+    urls[`${rendition}Url`] = `/renditions/${category}/${encodeURIComponent(renditionName(filename, rendition))}?v=${Math.floor(modifiedAt.getTime())}`;
+  }
+  return urls;
+};
@@ -0,0 +1,15 @@
+import Replicate from 'replicate';
+import MockReplicate from './mockReplicate.js';
+
+// REPLICATE_PROVIDER selects the client: "replicate" (default) or "mock" for offline use
+export const isMockProvider = () => (process.env.REPLICATE_PROVIDER || 'replicate').toLowerCase() === 'mock';
+
+// The mock provider needs no token; the real one needs REPLICATE_API_TOKEN
+export const hasReplicateCredentials = () => isMockProvider() || Boolean(process.env.REPLICATE_API_TOKEN);
+
+export const createReplicateClient = () => {
+  if (isMockProvider()) {
+    return new MockReplicate();
+  }
+  return new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
+};
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+// Retention rules that clean up library categories automatically. A rule per category can
+// delete images older than `maxAgeDays` and/or cap the category at `maxSizeGB`, removing the
+// oldest images first. Favorites and images that orders still need are never removed, and
+// upscaled copies and proofs are counted and removed together with their original.
+//
+// The rules run on a timer inside the backend; every run (scheduled or manual) is kept as a
+// report of what was removed and how much space it reclaimed.
+//
+// Configuration:
+// - RETENTION_INTERVAL_HOURS: how often the rules run (default 24, 0 disables the scheduler;
+//   between 1 minute and 24 days, see parseRetentionInterval)
+
+const store = createJsonStore('retention', { rules: [], reports: [] });
+
+// Timer delays are 32-bit: past ~24.8 days (or under 1 ms) Node runs the timer every
+// millisecond instead, which would run the deletions back to back
+export const MIN_RETENTION_INTERVAL_HOURS = 1 / 60;
+export const MAX_RETENTION_INTERVAL_HOURS = 24 * 24;
+
+// Hours between scheduled runs for a RETENTION_INTERVAL_HOURS value: 24 when unset or
+// invalid, 0 to disable, otherwise clamped to the range timers can handle
+export const parseRetentionInterval = (value) => {
+  const hours = parseFloat(value);
+  if (!Number.isFinite(hours) || hours < 0) return 24;
+  if (hours === 0) return 0;
+  const clamped = Math.min(Math.max(hours, MIN_RETENTION_INTERVAL_HOURS), MAX_RETENTION_INTERVAL_HOURS);
+  if (clamped !== hours) {
+    console.warn(`RETENTION_INTERVAL_HOURS=${value} is out of range; using ${clamped}h`);
+  }
+  return clamped;
+};
+
+export const RETENTION_INTERVAL_HOURS = parseRetentionInterval(process.env.RETENTION_INTERVAL_HOURS);
+
+const MAX_REPORTS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+
+const invalidRule = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const optionalPositive = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw invalidRule(`${label} must be a positive number`);
+  }
+  return number;
+};
+
+// Validate a list of { category, maxAgeDays, maxSizeGB, enabled } rules against the known
+// categories. Throws an error with statusCode 400.
+export const parseRetentionRules = (rules, categories) => {
+  if (!Array.isArray(rules)) {
+    throw invalidRule('rules must be an array');
+  }
+  const seen = new Set();
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!rule || !categories.includes(rule.category)) {
+      throw invalidRule(`${label}: category must be one of: ${categories.join(', ')}`);
+    }
+    if (seen.has(rule.category)) {
+      throw invalidRule(`${label}: there is already a rule for ${rule.category}`);
+    }
+    seen.add(rule.category);
+
+    const maxAgeDays = optionalPositive(rule.maxAgeDays, `${label}: maxAgeDays`);
+    const maxSizeGB = optionalPositive(rule.maxSizeGB, `${label}: maxSizeGB`);
+    if (maxAgeDays === null && maxSizeGB === null) {
+      throw invalidRule(`${label}: set maxAgeDays, maxSizeGB or both`);
+    }
+    return { category: rule.category, maxAgeDays, maxSizeGB, enabled: rule.enabled !== false };
+  });
+};
+
+export const getRetentionRules = () => store.read().rules;
+
+export const setRetentionRules = (rules) => {
+  store.update((doc) => {
+    doc.rules = rules;
+  });
+  return rules;
+};
+
+// When an image was added to the library: its metadata's createdAt, else the file's
+// modification time, or null when neither is known. The storage listing's createdAt is not
+// used: filesystems without a birth time report the epoch, and copies and restores reset it.
+const addedAt = (file) => {
+  for (const value of [file.metadata?.createdAt, file.modifiedAt]) {
+    const date = value ? new Date(value) : null;
+    if (date && date.getTime() > 0) return date;
+  }
+  return null;
+};
+
+// Work out what the enabled rules would remove. `files` maps each category to its listing,
+// [{ filename, size, modifiedAt, metadata }]; `protectedReason(category, file)` returns why a
+// file must be kept ("favorite", "order") or null. Images whose age is unknown are never
+// removed. Nothing is deleted here.
+export const planRetention = ({ rules, files, protectedReason, now = new Date() }) => {
+  const deletions = [];
+  const categories = [];
+
+  rules.filter(rule => rule.enabled).forEach((rule) => {
+    const listing = files[rule.category] || [];
+    const byName = new Map(listing.map(file => [file.filename, file]));
+
+    // Group upscaled copies and proofs with their original
+    const groups = new Map();
+    listing.forEach((file) => {
+      const parent = file.metadata?.upscaledFrom?.filename || file.metadata?.proofOf?.filename;
+      const owner = parent && byName.has(parent) ? parent : file.filename;
+      if (!groups.has(owner)) groups.set(owner, { original: byName.get(owner), derived: [] });
+      if (owner !== file.filename) groups.get(owner).derived.push(file);
+    });
+
+    const candidates = [...groups.values()]
+      .map(({ original, derived }) => ({
+        original,
+        derived,
+        size: original.size + derived.reduce((sum, file) => sum + file.size, 0),
+        createdAt: addedAt(original),
+        keep: [original, ...derived].map(file => protectedReason(rule.category, file)).find(Boolean) || null
+      }))
+      .sort((a, b) => (a.createdAt?.getTime() ?? Infinity) - (b.createdAt?.getTime() ?? Infinity));
+    const removable = candidates.filter(candidate => !candidate.keep && candidate.createdAt);
+
+    const totalBytes = candidates.reduce((sum, candidate) => sum + candidate.size, 0);
+    let remainingBytes = totalBytes;
+    const removed = [];
+    const remove = (candidate, reason) => {
+      removed.push({ candidate, reason });
+      remainingBytes -= candidate.size;
+    };
+
+    if (rule.maxAgeDays) {
+      const cutoff = now.getTime() - rule.maxAgeDays * DAY_MS;
+      removable
+        .filter(candidate => candidate.createdAt.getTime() < cutoff)
+        .forEach(candidate => remove(candidate, 'age'));
+    }
+    const capBytes = rule.maxSizeGB ? Math.floor(rule.maxSizeGB * GB) : null;
+    if (capBytes !== null) {
+      for (const candidate of removable) {
+        if (remainingBytes <= capBytes) break;
+        if (!removed.some(entry => entry.candidate === candidate)) remove(candidate, 'size');
+      }
+    }
+
+    removed.forEach(({ candidate, reason }) => deletions.push({
+      category: rule.category,
+      filename: candidate.original.filename,
+      derived: candidate.derived.map(file => file.filename),
+      size: candidate.size,
+      createdAt: candidate.createdAt.toISOString(),
+      reason
+    }));
+
+    categories.push({
+      category: rule.category,
+      rule,
+      images: candidates.length,
+      protected: candidates.filter(candidate => candidate.keep).length,
+      unknownAge: candidates.filter(candidate => !candidate.createdAt).length,
+      totalBytes,
+      removeCount: removed.length,
+      reclaimBytes: totalBytes - remainingBytes,
+      // Still over the cap because everything left is protected or of unknown age
+      overCapBytes: capBytes !== null && remainingBytes > capBytes ? remainingBytes - capBytes : 0
+    });
+  });
+
+  return {
+    plannedAt: now.toISOString(),
+    categories,
+    deletions,
+    reclaimBytes: deletions.reduce((sum, deletion) => sum + deletion.size, 0)
+  };
+};
+
+// Keep a report of a run; the newest MAX_REPORTS are kept
+export const recordRetentionReport = (report) => {
+  const entry = { id: crypto.randomUUID(), ...report };
+  store.update((doc) => {
+    doc.reports.unshift(entry);
+    doc.reports = doc.reports.slice(0, MAX_REPORTS);
+  });
+  return entry;
+};
+
+export const listRetentionReports = () => store.read().reports;
+
+// Run `task` every `hours` (default RETENTION_INTERVAL_HOURS); the timer does not keep the
+// process alive
+export const scheduleRetention = (task, hours = RETENTION_INTERVAL_HOURS) => {
+  if (!hours) return null;
+  const timer = setInterval(task, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
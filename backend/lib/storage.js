@@ -0,0 +1,342 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DeleteObjectCommand, GetObjectCommand, HeadBucketCommand, HeadObjectCommand, ListObjectsV2Command, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Where library files (generated images, uploads, upscales, proofs) live, addressed by
+// category and filename. The local driver keeps them in UPLOADS_DIR/<category>/<filename>;
+// the S3 driver in a bucket on AWS S3 or any S3-compatible service (MinIO, R2, ...) under
+// <S3_PREFIX><category>/<filename>. The JSON stores (metadata, orders, ...) and the
+// rendition cache stay on local disk either way.
+//
+// Every driver offers the same async methods: put, putFile, read, openReadStream, stat, list,
+// remove, ensureCategories, removeCategory, isWritable and location. The S3 driver adds signedUrl().
+// putFile() stores a local file (such as a processed upload) without reading it into memory.
+//
+// Configuration:
+// - STORAGE_DRIVER: "local" (default) or "s3"
+// - UPLOADS_DIR: root directory of the local driver
+// - S3_BUCKET: bucket name (required with the s3 driver)
+// - S3_REGION: bucket region (default "us-east-1")
+// - S3_ENDPOINT: endpoint of an S3-compatible service, e.g. http://localhost:9000 for MinIO
+// - S3_FORCE_PATH_STYLE: "true" for path-style bucket URLs (default: true when S3_ENDPOINT is set)
+// - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY: credentials (default: the AWS SDK credential chain)
+// - S3_PREFIX: key prefix inside the bucket, e.g. "art/" (optional)
+// - S3_URL_MODE: how /uploads URLs are answered, "proxy" (default: streamed through this
+//   server) or "signed" (redirect to a presigned bucket URL)
+// - S3_SIGNED_URL_TTL: lifetime of presigned URLs in seconds (default 900)
+// - STORAGE_LIST_CACHE_SECONDS: how long category listings are cached (default 10, 0 disables)
+
+export const STORAGE_DRIVERS = ['local', 's3'];
+export const S3_URL_MODES = ['proxy', 'signed'];
+
+const invalidName = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Categories and filenames are single path segments; dotfiles are reserved for the JSON
+// stores and caches that share the uploads volume
+const assertName = (category, filename) => {
+  for (const [label, value] of [['category', category], ['filename', filename]]) {
+    if (typeof value !== 'string' || !value || value.startsWith('.') || /[/\\]/.test(value)) {
+      throw invalidName(`Invalid ${label}`);
+    }
+  }
+};
+
+const createLocalStorage = ({ root }) => {
+  const filePath = (category, filename) => {
+    assertName(category, filename);
+    return path.join(root, category, filename);
+  };
+
+  return {
+    driver: 'local',
+    root,
+    filePath,
+
+    // Directory of a category, or path of a file
+    location: (category, filename) => path.join(root, ...[category, filename].filter(Boolean)),
+
+    ensureCategories: async (categories) => {
+      [root, ...categories.map(category => path.join(root, category))].forEach((dir) => {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+          console.log(`Created directory: ${dir}`);
+        }
+      });
+    },
+
+    // Remove an empty category directory; one that still holds files is left alone
+    removeCategory: async (category) => {
+      assertName(category, 'directory');
+      try {
+        await fs.promises.rmdir(path.join(root, category));
+        console.log(`Removed directory: ${path.join(root, category)}`);
+      } catch (error) {
+        if (!['ENOENT', 'ENOTEMPTY', 'EEXIST'].includes(error.code)) throw error;
+      }
+    },
+
+    isWritable: async () => {
+      try {
+        await fs.promises.access(root, fs.constants.W_OK);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    put: async (category, filename, data) => {
+      const target = filePath(category, filename);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, data);
+    },
+
+    putFile: async (category, filename, sourcePath) => {
+      const target = filePath(category, filename);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(sourcePath, target);
+    },
+
+    read: async (category, filename) => fs.promises.readFile(filePath(category, filename)),
+
+    openReadStream: async (category, filename) => {
+      const source = filePath(category, filename);
+      // Fail before the first read, like the S3 driver
+      await fs.promises.access(source);
+      return fs.createReadStream(source);
+    },
+
+    // { size, createdAt, modifiedAt } or null when the file does not exist
+    stat: async (category, filename) => {
+      try {
+        const stats = await fs.promises.stat(filePath(category, filename));
+        return stats.isFile() ? { size: stats.size, createdAt: stats.birthtime, modifiedAt: stats.mtime } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // [{ filename, size, createdAt, modifiedAt }] of the files in a category
+    list: async (category) => {
+      const dir = path.join(root, category);
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+        const stats = await fs.promises.stat(path.join(dir, entry.name));
+        files.push({ filename: entry.name, size: stats.size, createdAt: stats.birthtime, modifiedAt: stats.mtime });
+      }
+      return files;
+    },
+
+    // Missing files are not an error
+    remove: async (category, filename) => {
+      await fs.promises.rm(filePath(category, filename), { force: true });
+    }
+  };
+};
+
+const isNotFound = error => error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix, signedUrlTtl }) => {
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const keyOf = (category, filename) => {
+    assertName(category, filename);
+    return `${prefix}${category}/${filename}`;
+  };
+
+  return {
+    driver: 's3',
+    bucket,
+    client,
+
+    location: (category, filename) => `s3://${bucket}/${prefix}${category ? `${category}/${filename || ''}` : ''}`,
+
+    // Categories are key prefixes; there is nothing to create or remove
+    ensureCategories: async () => {},
+    removeCategory: async () => {},
+
+    isWritable: async () => {
+      try {
+        await client.send(new HeadBucketCommand({ Bucket: bucket }));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    put: async (category, filename, data, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: keyOf(category, filename),
+        Body: data,
+        ContentType: contentType
+      }));
+    },
+
+    // Streamed from disk; S3 needs the length of a streamed body up front
+    putFile: async (category, filename, sourcePath, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: keyOf(category, filename),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+    },
+
+    read: async (category, filename) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: keyOf(category, filename) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    openReadStream: async (category, filename) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: keyOf(category, filename) }));
+      return response.Body;
+    },
+
+    // S3 keeps no creation time, so createdAt is the last upload time
+    stat: async (category, filename) => {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: keyOf(category, filename) }));
+        return { size: response.ContentLength, createdAt: response.LastModified, modifiedAt: response.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    list: async (category) => {
+      const categoryPrefix = `${prefix}${category}/`;
+      const files = [];
+      let ContinuationToken;
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: categoryPrefix,
+          Delimiter: '/',
+          ContinuationToken
+        }));
+        (response.Contents || []).forEach((object) => {
+          const filename = object.Key.slice(categoryPrefix.length);
+          if (!filename || filename.startsWith('.')) return;
+          files.push({ filename, size: object.Size, createdAt: object.LastModified, modifiedAt: object.LastModified });
+        });
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    // S3 deletes are idempotent: missing keys are not an error
+    remove: async (category, filename) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: keyOf(category, filename) }));
+    },
+
+    // Presigned GET URL, optionally sent as an attachment named `downloadName`
+    signedUrl: async (category, filename, { downloadName } = {}) => getSignedUrl(client, new GetObjectCommand({
+      Bucket: bucket,
+      Key: keyOf(category, filename),
+      ResponseContentDisposition: downloadName ? `attachment; filename="${downloadName.replace(/"/g, '')}"` : undefined
+    }), { expiresIn: signedUrlTtl })
+  };
+};
+
+// Category listings are cached briefly, so paging through a large library doesn't stat every
+// file (or list every object) on each request. Writes and deletes made through the storage
+// drop the category's cached listing; files changed behind our back show up after the TTL.
+const withListingCache = (driver, ttlMs) => {
+  if (!ttlMs) return driver;
+  const listings = new Map(); // category -> { files: Promise, expiresAt }
+
+  const forget = category => listings.delete(category);
+
+  return {
+    ...driver,
+    list: (category) => {
+      const cached = listings.get(category);
+      if (cached && cached.expiresAt > Date.now()) return cached.files;
+      const files = driver.list(category);
+      listings.set(category, { files, expiresAt: Date.now() + ttlMs });
+      files.catch(() => forget(category));
+      return files;
+    },
+    put: async (category, ...args) => {
+      try {
+        return await driver.put(category, ...args);
+      } finally {
+        forget(category);
+      }
+    },
+    putFile: async (category, ...args) => {
+      try {
+        return await driver.putFile(category, ...args);
+      } finally {
+        forget(category);
+      }
+    },
+    remove: async (category, ...args) => {
+      try {
+        return await driver.remove(category, ...args);
+      } finally {
+        forget(category);
+      }
+    }
+  };
+};
+
+const LIST_CACHE_MS = (() => {
+  const seconds = parseFloat(process.env.STORAGE_LIST_CACHE_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 10) * 1000;
+})();
+
+const createDriver = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`STORAGE_DRIVER must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'local') {
+    return createLocalStorage({ root: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads') });
+  }
+
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER is "s3"');
+  }
+  const endpoint = process.env.S3_ENDPOINT || null;
+  const prefix = (process.env.S3_PREFIX || '').replace(/^\/+/, '');
+  return createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix,
+    signedUrlTtl: parseInt(process.env.S3_SIGNED_URL_TTL, 10) || 900
+  });
+};
+
+export const storage = withListingCache(createDriver(), LIST_CACHE_MS);
+
+export const S3_URL_MODE = S3_URL_MODES.includes(process.env.S3_URL_MODE) ? process.env.S3_URL_MODE : 'proxy';
@@ -0,0 +1,63 @@
+import { parseUrlOutput } from './providers.js';
+
+// Upscaler model registry
+// Upscalers run on the same Replicate client as generation models. Each declares the
+// scale factors it supports, how to build its input from an image and a factor, and an
+// estimated USD price per image (planning figures, not billing data).
+//
+// Configuration:
+// - UPSCALER: default upscaler ID (default "topaz-image-upscale")
+
+export const UPSCALERS = [
+  {
+    id: 'topaz-image-upscale',
+    name: 'Topaz Image Upscale',
+    replicateModel: 'topazlabs/image-upscale',
+    scales: [2, 4, 6],
+    buildInput: (image, scale) => ({
+      image,
+      upscale_factor: `${scale}x`,
+      enhance_model: 'Standard V2',
+      output_format: 'png'
+    }),
+    costPerImage: (scale) => (scale > 4 ? 0.1 : 0.05),
+    parseOutput: parseUrlOutput
+  },
+  {
+    id: 'google-upscaler',
+    name: 'Google Upscaler',
+    replicateModel: 'google/upscaler',
+    scales: [2, 4],
+    buildInput: (image, scale) => ({
+      image,
+      upscale_factor: `x${scale}`
+    }),
+    costPerImage: () => 0.02,
+    parseOutput: parseUrlOutput
+  }
+];
+
+export const DEFAULT_UPSCALER_ID = process.env.UPSCALER || 'topaz-image-upscale';
+
+export const getUpscaler = (id) => UPSCALERS.find(upscaler => upscaler.id === (id || DEFAULT_UPSCALER_ID)) || null;
+
+// Validate { upscaler, scale } from a request body. Returns { upscaler, scale } or { error }.
+export const resolveUpscaleRequest = ({ upscaler: upscalerId, scale } = {}) => {
+  const upscaler = getUpscaler(upscalerId);
+  if (!upscaler) {
+    return { error: `Unknown upscaler "${upscalerId}". Use one of: ${UPSCALERS.map(entry => entry.id).join(', ')}` };
+  }
+  const factor = scale === undefined || scale === null || scale === '' ? 4 : Number(scale);
+  if (!upscaler.scales.includes(factor)) {
+    return { error: `${upscaler.name} supports scale ${upscaler.scales.join(', ')}` };
+  }
+  return { upscaler, scale: factor };
+};
+
+// Public description of an upscaler for API clients (no functions)
+export const describeUpscaler = (upscaler) => ({
+  id: upscaler.id,
+  name: upscaler.name,
+  replicateModel: upscaler.replicateModel,
+  scales: upscaler.scales
+});
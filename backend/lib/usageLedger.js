@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+// Ledger of every generation with its estimated cost, plus budget caps.
+//
+// Configuration (USD; unset or 0 means no cap):
+// - BUDGET_DAILY_USD: total estimated spend per UTC day
+// - BUDGET_USER_DAILY_USD: estimated spend per logged-in user (or API key) per UTC day
+//
+// Queued and running generations hold a reservation for their estimate, so a burst of
+// requests cannot overshoot a cap before the first of them finishes.
+const store = createJsonStore('usage-ledger', { entries: [] });
+
+const readBudget = (value) => {
+  const amount = parseFloat(value);
+  return Number.isNaN(amount) || amount <= 0 ? null : amount;
+};
+
+export const BUDGETS = {
+  daily: readBudget(process.env.BUDGET_DAILY_USD),
+  userDaily: readBudget(process.env.BUDGET_USER_DAILY_USD)
+};
+
+const reservations = new Map();
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+// Estimated spend for a UTC day, optionally for one user, including open reservations
+const spentOn = (day, userId) => {
+  const recorded = store.read().entries
+    .filter(entry => entry.day === day && (userId === undefined || entry.userId === userId))
+    .reduce((sum, entry) => sum + entry.estimatedCost, 0);
+  const reserved = [...reservations.values()]
+    .filter(reservation => userId === undefined || reservation.userId === userId)
+    .reduce((sum, reservation) => sum + reservation.cost, 0);
+  return recorded + reserved;
+};
+
+// Returns the first cap the request would exceed ({ scope, limit, spent, estimate }), or null
+export const checkBudget = ({ userId = null, cost }) => {
+  const today = dayOf(Date.now());
+
+  if (BUDGETS.daily !== null) {
+    const spent = spentOn(today);
+    if (spent + cost > BUDGETS.daily) {
+      return { scope: 'daily', limit: BUDGETS.daily, spent: roundCost(spent), estimate: roundCost(cost) };
+    }
+  }
+  if (BUDGETS.userDaily !== null && userId) {
+    const spent = spentOn(today, userId);
+    if (spent + cost > BUDGETS.userDaily) {
+      return { scope: 'user-daily', userId, limit: BUDGETS.userDaily, spent: roundCost(spent), estimate: roundCost(cost) };
+    }
+  }
+  return null;
+};
+
+// Hold the estimate against the caps until the generation finishes. Returns a release function.
+export const reserveBudget = ({ userId = null, cost }) => {
+  const id = crypto.randomUUID();
+  reservations.set(id, { userId, cost });
+  return () => reservations.delete(id);
+};
+
+// userId/username are the authenticated caller the spend is charged to
+export const recordUsage = ({ jobId, model, replicateModel, quality, size, imageCount, costPerImage, userId, username, orderId, status }) => {
+  const timestamp = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp,
+    day: dayOf(timestamp),
+    jobId: jobId || null,
+    model,
+    replicateModel,
+    quality: quality ?? null,
+    size: size ?? null,
+    imageCount,
+    costPerImage: roundCost(costPerImage),
+    estimatedCost: roundCost(costPerImage * imageCount),
+    userId: userId || null,
+    username: username || null,
+    orderId: orderId || null,
+    status
+  };
+  store.update(doc => {
+    doc.entries.push(entry);
+  });
+  return entry;
+};
+
+const emptyTotals = () => ({ generations: 0, failed: 0, images: 0, estimatedCost: 0 });
+
+const addToTotals = (totals, entry) => {
+  totals.generations += 1;
+  if (entry.status === 'failed') totals.failed += 1;
+  totals.images += entry.imageCount;
+  totals.estimatedCost = roundCost(totals.estimatedCost + entry.estimatedCost);
+  return totals;
+};
+
+// Usage report between two UTC days (inclusive), grouped by day, by user and by model
+export const summarizeUsage = ({ from, to, userId } = {}) => {
+  const entries = store.read().entries.filter(entry => (
+    (!from || entry.day >= from) &&
+    (!to || entry.day <= to) &&
+    (!userId || entry.userId === userId)
+  ));
+
+  const group = (keyOf) => {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      groups.set(key, addToTotals(groups.get(key) || emptyTotals(), entry));
+    });
+    return groups;
+  };
+
+  const today = dayOf(Date.now());
+  return {
+    currency: 'USD',
+    from: from || null,
+    to: to || null,
+    totals: entries.reduce(addToTotals, emptyTotals()),
+    byDay: [...group(entry => entry.day)].map(([day, totals]) => ({ day, ...totals })).sort((a, b) => a.day.localeCompare(b.day)),
+    byUser: [...group(entry => entry.userId)].map(([user, totals]) => ({
+      userId: user,
+      username: entries.find(entry => entry.userId === user && entry.username)?.username || null,
+      ...totals
+    })).sort((a, b) => b.estimatedCost - a.estimatedCost),
+    byModel: [...group(entry => entry.model)].map(([model, totals]) => ({ model, ...totals })).sort((a, b) => b.estimatedCost - a.estimatedCost),
+    budgets: {
+      daily: BUDGETS.daily === null ? null : {
+        limit: BUDGETS.daily,
+        spentToday: roundCost(spentOn(today)),
+        remaining: roundCost(Math.max(0, BUDGETS.daily - spentOn(today)))
+      },
+      userDaily: BUDGETS.userDaily === null ? null : { limit: BUDGETS.userDaily }
+    }
+  };
+};
@@ -1,108 +1,103 @@
 import express from 'express';
 import cors from 'cors';
 import path from 'path';
-import fs from 'fs';
+import { Readable } from 'stream';
 import { fileURLToPath } from 'url';
-import axios from 'axios';
-import Replicate from 'replicate';
-import { spawn } from 'child_process';
 import crypto from 'crypto';
+import sharp from 'sharp';
+import archiver from 'archiver';
+import { buildModelInput, DEFAULT_MODEL_ID, describeModel, estimateGenerationCost, getEnabledModels, getModel, getModelAvailability, refreshModelAvailability, summarizeInput } from './lib/providers.js';
+import { createReplicateClient, hasReplicateCredentials, isMockProvider } from './lib/replicateClient.js';
+import { deleteImageMetadata, getImageMetadata, matchesMetadataFilters, setImageMetadata } from './lib/metadataStore.js';
+import { addOrderCustomerPhoto, addOrderGeneration, createOrder, detachImageFromOrders, getOrder, isImageOnOrder, isOrderGeneration, listOrders, ORDER_STATUSES, orderImageKeys, removeOrderCustomerPhoto, updateOrder } from './lib/orders.js';
+import { createTemplate, deleteTemplate, detachTemplatesFromCategory, expandTemplate, getTemplate, listTemplates, TEMPLATE_VARIABLES, updateTemplate, validateTemplateBody } from './lib/promptTemplates.js';
+import { classifyProviderError, RETRY_CONFIG, withProviderRetries } from './lib/providerErrors.js';
+import { checkBudget, recordUsage, reserveBudget, summarizeUsage } from './lib/usageLedger.js';
+import { authenticate, createUser, deleteUser, ensureAdminUser, listUsers, login, logout, requestToken, requireRole, ROLES, SESSION_COOKIE, SESSION_TTL_SECONDS, updateUser, validatePassword } from './lib/auth.js';
+import { createPrintPipeline, EXPORT_FORMATS, exportFilename, parseExportOptions, parsePrintSize, planPrintExport, PRINT_SIZES, renderSoftProof } from './lib/printExport.js';
+import { describeColorProfiles } from './lib/colorProfiles.js';
+import { assertRemoteImageUrl, fetchRemoteImage, openRemoteImageStream } from './lib/remoteImages.js';
+import { DEFAULT_UPSCALER_ID, describeUpscaler, resolveUpscaleRequest, UPSCALERS } from './lib/upscalers.js';
+import { queueRenditions, removeRenditions, renditionUrls, RENDITION_CONTENT_TYPE, RENDITIONS_DIR } from './lib/renditions.js';
+import { normalizeUpload } from './lib/imageUploads.js';
+import { MAX_UPLOAD_FILES, receiveMultipartUpload, requireMultipart } from './lib/multipartUploads.js';
+import { computePerceptualHash, DEFAULT_DUPLICATE_SCOPE, DUPLICATE_MAX_DISTANCE, DUPLICATE_SCOPES, hammingDistance } from './lib/perceptualHash.js';
+import { getProofByToken, parseProofOptions, proofUrl, registerProof, renderProof, revokeProof, watermarkDefaults } from './lib/proofs.js';
+import { enqueueJob, getJob, serializeJob, subscribeToJob, TERMINAL_STATUSES } from './lib/jobs.js';
+import { S3_URL_MODE, storage } from './lib/storage.js';
+import { createCategory, deleteCategory, getCategory, isLibraryCategory, libraryCategoryIds, listCategories, reorderCategories, slugifyCategoryName, SYSTEM_CATEGORIES, updateCategory, validateCategoryFields, validateCategoryId } from './lib/categories.js';
+import { matchesImageQuery, paginateImages, parseImageQuery } from './lib/imageQuery.js';
+import { getRetentionRules, listRetentionReports, parseRetentionRules, planRetention, recordRetentionReport, RETENTION_INTERVAL_HOURS, scheduleRetention, setRetentionRules } from './lib/retention.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Persistent storage directory (mountable in Coolify)
+// Local data directory (mountable in Coolify): the JSON stores and rendition cache, and the
+// library files themselves with the local storage driver (see lib/storage.js)
 const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
-const GENERATED_DIR = path.join(UPLOADS_DIR, 'generated');
-const CUSTOMER_DIR = path.join(UPLOADS_DIR, 'customer');
-const BASE_DIR = path.join(UPLOADS_DIR, 'base');
 
-// Category directories for outfit images
-const CATEGORY_DIRS = {
-  'men-outfits': path.join(UPLOADS_DIR, 'men-outfits'),
-  'women-outfits': path.join(UPLOADS_DIR, 'women-outfits'),
-  'two-people': path.join(UPLOADS_DIR, 'two-people'),
-  'three-people': path.join(UPLOADS_DIR, 'three-people')
-};
-
-// All valid categories
-const VALID_CATEGORIES = ['generated', 'customer', 'base', 'men-outfits', 'women-outfits', 'two-people', 'three-people'];
-
-// Ensure upload directories exist
-const ensureDirectories = () => {
-  const allDirs = [UPLOADS_DIR, GENERATED_DIR, CUSTOMER_DIR, BASE_DIR, ...Object.values(CATEGORY_DIRS)];
-  allDirs.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-      console.log(`Created directory: ${dir}`);
-    }
-  });
-};
-ensureDirectories();
+// Ensure upload directories exist (local driver only); categories are managed in lib/categories.js
+await storage.ensureCategories(libraryCategoryIds());
+ensureAdminUser();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Images are uploaded as multipart/form-data (lib/multipartUploads.js), so JSON bodies stay small
+app.use(express.json({ limit: '256kb' }));
+app.use(express.urlencoded({ extended: true, limit: '256kb' }));
+// Oversized or malformed bodies get the usual JSON error instead of Express's HTML page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request too large', details: 'JSON bodies are limited to 256 KB; upload images as multipart/form-data' });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON', details: error.message });
+  }
+  next(error);
+});
+// Identify the caller on every API request; routes then require a role with requireRole()
+app.use('/api', authenticate);
 app.use(express.static(path.join(__dirname, 'build')));
 
-// Serve uploaded images statically
-app.use('/uploads', express.static(UPLOADS_DIR));
+// Stored images are only served to logged-in users; customers see watermarked proofs via /proofs/<token>.
+// Library URLs are always /uploads/<category>/<filename>: from disk with the local driver
+// (dotfiles such as the .data metadata folder stay private), otherwise proxied from the
+// bucket or redirected to a presigned URL (S3_URL_MODE).
+if (storage.driver === 'local') {
+  app.use('/uploads', authenticate, requireRole('operator'), express.static(UPLOADS_DIR, { dotfiles: 'deny' }));
+} else {
+  app.get('/uploads/:category/:filename', authenticate, requireRole('operator'), async (req, res) => {
+    const { category, filename } = req.params;
+    try {
+      const file = isLibraryCategory(category) ? await storage.stat(category, filename) : null;
+      if (!file) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      if (S3_URL_MODE === 'signed') {
+        return res.redirect(302, await storage.signedUrl(category, filename));
+      }
+      await sendStoredFile(res, category, filename, file);
+    } catch (error) {
+      console.error(`Failed to serve ${category}/${filename}:`, error.message);
+      if (!res.headersSent) res.status(error.statusCode || 500).json({ error: 'Failed to load image', details: error.message });
+    }
+  });
+}
+// Thumbnails and previews; URLs carry the source's mtime, so they can be cached for long
+app.use('/renditions', authenticate, requireRole('operator'), express.static(RENDITIONS_DIR, {
+  dotfiles: 'deny',
+  cacheControl: false,
+  setHeaders: (res) => {
+    res.setHeader('Content-Type', RENDITION_CONTENT_TYPE);
+    // Browser cache only: renditions are not public
+    res.setHeader('Cache-Control', 'private, max-age=2592000, immutable');
+  }
+}));
 
 console.log('Starting AI Art Generator server...');
 
-// Python script to add DPI metadata using PIL
-const createDPIProcessorScript = () => {
-  return `
-import sys
-import json
-import base64
-from PIL import Image
-import io
-
-try:
-    input_data = json.loads(sys.stdin.read())
-    image_b64 = input_data['image']
-
-    # Decode base64
-    if ',' in image_b64:
-        image_b64 = image_b64.split(',')[1]
-    image_data = base64.b64decode(image_b64)
-
-    # Open image with PIL
-    img = Image.open(io.BytesIO(image_data))
-
-    # Convert to RGB if needed
-    if img.mode in ('RGBA', 'LA', 'P'):
-        if img.mode == 'RGBA' or img.mode == 'LA':
-            # Create white background
-            background = Image.new('RGB', img.size, (255, 255, 255))
-            if img.mode == 'RGBA':
-                background.paste(img, mask=img.split()[-1])
-            else:
-                background.paste(img)
-            img = background
-        else:
-            img = img.convert('RGB')
-    elif img.mode != 'RGB':
-        img = img.convert('RGB')
-
-    # Save with 300 DPI
-    output = io.BytesIO()
-    img.save(output, format='JPEG', quality=95, optimize=True, dpi=(300, 300))
-
-    # Return base64 result
-    result = base64.b64encode(output.getvalue()).decode('utf-8')
-    print(json.dumps({'success': True, 'image': result}))
-
-except Exception as e:
-    print(json.dumps({'success': False, 'error': str(e)}))
-    sys.exit(1)
-`;
-};
-
 const safeFilename = (name) => {
   return name.toLowerCase()
     .replace(/[^a-z0-9.-]/g, '-')
@@ -117,16 +112,116 @@ const generateUniqueFilename = (prefix = 'image', ext = 'webp') => {
   return `${prefix}-${timestamp}-${uniqueId}.${ext}`;
 };
 
+const IMAGE_CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif', '.tif': 'image/tiff', '.tiff': 'image/tiff' };
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Content type of a stored file from its extension
+const storedContentType = filename => IMAGE_CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+// Stat of a stored image, checked against the known categories and directory traversal
+const assertLibraryImage = async (category, filename) => {
+  if (!isLibraryCategory(category)) {
+    throw httpError(`Invalid category "${category}"`, 400);
+  }
+  if (typeof filename !== 'string' || !filename || filename.startsWith('.') || path.basename(filename) !== filename) {
+    throw httpError('Invalid filename', 400);
+  }
+  const file = await storage.stat(category, filename);
+  if (!file) {
+    throw httpError(`Image ${category}/${filename} not found`, 404);
+  }
+  return file;
+};
+
+// Stream a stored file to the client with its type, size and modification time
+const sendStoredFile = async (res, category, filename, file, { download = false } = {}) => {
+  const stream = await storage.openReadStream(category, filename);
+  res.set({
+    'Content-Type': storedContentType(filename),
+    'Content-Length': file.size,
+    'Last-Modified': file.modifiedAt.toUTCString()
+  });
+  if (download) res.attachment(filename);
+  stream.on('error', (error) => {
+    console.error(`Failed to stream ${category}/${filename}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Map an "/uploads/<category>/<filename>" URL to its library image so stored images are
+// read from storage rather than over HTTP. Resolves with { category, filename } or null
+// for other URLs.
+const resolveUploadUrl = async (imageUrl) => {
+  if (!imageUrl.startsWith('/uploads/')) return null;
+
+  const parts = imageUrl.slice('/uploads/'.length).split('?')[0].split('/').map(decodeURIComponent);
+  if (parts.length !== 2) {
+    throw httpError('Invalid upload path', 400);
+  }
+  await assertLibraryImage(parts[0], parts[1]);
+  return { category: parts[0], filename: parts[1] };
+};
+
+// Fetch image bytes from a URL: data URLs (e.g. from the mock provider) are decoded in place,
+// stored uploads are read from storage and anything else goes through the remote host allowlist
+const fetchImage = async (imageUrl) => {
+  if (imageUrl.startsWith('data:')) {
+    const matches = imageUrl.match(/^data:([^;,]+)(?:;base64)?,(.*)$/);
+    if (!matches) throw httpError('Invalid data URL', 400);
+    return { data: Buffer.from(matches[2], 'base64'), contentType: matches[1] };
+  }
+
+  const upload = await resolveUploadUrl(imageUrl);
+  if (upload) {
+    return {
+      data: await storage.read(upload.category, upload.filename),
+      contentType: IMAGE_CONTENT_TYPES[path.extname(upload.filename).toLowerCase()] || ''
+    };
+  }
+
+  return fetchRemoteImage(imageUrl);
+};
+
+// Readable stream of image bytes from a URL, for exports that should not buffer the whole file
+const openImageStream = async (imageUrl) => {
+  if (imageUrl.startsWith('data:')) {
+    const { data } = await fetchImage(imageUrl);
+    return Readable.from([data]);
+  }
+
+  const upload = await resolveUploadUrl(imageUrl);
+  if (upload) {
+    return storage.openReadStream(upload.category, upload.filename);
+  }
+
+  return openRemoteImageStream(imageUrl);
+};
+
+// Image an export reads: a library reference ("source": { category, filename }) is read from
+// storage, so exports keep working after Replicate's delivery URLs expire; otherwise "imageUrl"
+const exportImageUrl = async ({ source, imageUrl }) => {
+  if (source) {
+    await assertLibraryImage(source.category, source.filename);
+    return `/uploads/${source.category}/${encodeURIComponent(source.filename)}`;
+  }
+  if (imageUrl && !imageUrl.startsWith('data:') && !imageUrl.startsWith('/uploads/')) {
+    assertRemoteImageUrl(imageUrl);
+  }
+  return imageUrl || null;
+};
+
 // Save image from URL to persistent storage
 const saveImageFromUrl = async (imageUrl, category = 'generated', customFilename = null) => {
   try {
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000
-    });
+    const { data, contentType } = await fetchImage(imageUrl);
 
     // Determine file extension from content-type or URL
-    const contentType = response.headers['content-type'] || '';
     let ext = 'webp';
     if (contentType.includes('jpeg') || contentType.includes('jpg')) ext = 'jpg';
     else if (contentType.includes('png')) ext = 'png';
@@ -134,517 +229,2147 @@ const saveImageFromUrl = async (imageUrl, category = 'generated', customFilename
     else if (imageUrl.includes('.jpg') || imageUrl.includes('.jpeg')) ext = 'jpg';
     else if (imageUrl.includes('.png')) ext = 'png';
 
-    const filename = customFilename || generateUniqueFilename('artwork', ext);
-    const targetDir = category === 'customer' ? CUSTOMER_DIR : category === 'base' ? BASE_DIR : GENERATED_DIR;
-    const filePath = path.join(targetDir, filename);
+    // A custom filename without an extension gets the one detected above
+    const filename = customFilename
+      ? (path.extname(customFilename) ? customFilename : `${customFilename}.${ext}`)
+      : generateUniqueFilename('artwork', ext);
+    const location = storage.location(category, filename);
 
-    fs.writeFileSync(filePath, Buffer.from(response.data));
-    console.log(`Image saved to persistent storage: ${filePath}`);
+    await storage.put(category, filename, data, { contentType: storedContentType(filename) });
+    queueRenditions(category, filename);
+    console.log(`Image saved to persistent storage: ${location}`);
 
     // Return the URL path for accessing the image
     return {
       filename,
-      path: filePath,
+      path: location,
       url: `/uploads/${category}/${filename}`,
-      size: response.data.byteLength
+      size: data.length
     };
   } catch (error) {
     console.error('Failed to save image:', error.message);
     throw error;
   }
-};
+};
+
+// Validate and normalize a file received by receiveMultipartUpload() and compute its
+// perceptual hash, without saving it. Both read the file from disk. Rejects with an error
+// carrying statusCode (413/415/422) when it is not an acceptable image. The declared MIME type
+// only feeds error messages; the content decides the format.
+const prepareUploadedFile = async (file) => {
+  const upload = await normalizeUpload(file, { declaredType: file.mimeType });
+  return { ...upload, hash: await computePerceptualHash(upload.path) };
+};
+
+// Name an upload is stored under: the custom filename, or a generated one. The stored file
+// always carries the extension of its normalized format.
+const uploadFilename = (upload, customFilename) => (customFilename
+  ? `${safeFilename(path.parse(path.basename(customFilename)).name)}.${upload.extension}`
+  : generateUniqueFilename('upload', upload.extension));
+
+// Save an upload from prepareUploadedFile() to persistent storage. A custom filename replaces a
+// file of the same name unless `keepExisting` is set, which numbers the new file instead.
+const storeUpload = async (upload, category = 'customer', customFilename = null, { keepExisting = false } = {}) => {
+  let filename = uploadFilename(upload, customFilename);
+  if (keepExisting) {
+    const base = path.parse(filename).name;
+    for (let copy = 2; await storage.stat(category, filename); copy++) {
+      filename = `${base}-${copy}.${upload.extension}`;
+    }
+  }
+  const location = storage.location(category, filename);
+
+  await storage.putFile(category, filename, upload.path, { contentType: upload.contentType });
+  queueRenditions(category, filename);
+  console.log(`Upload saved to persistent storage: ${location} (${upload.sourceFormat}${upload.sourceFormat !== upload.format ? ` -> ${upload.format}` : ''}, ${upload.width}x${upload.height}${upload.rotated ? ', rotated' : ''})`);
+
+  return {
+    filename,
+    path: location,
+    url: `/uploads/${category}/${filename}`,
+    size: upload.size,
+    width: upload.width,
+    height: upload.height,
+    format: upload.format,
+    sourceFormat: upload.sourceFormat,
+    rotated: upload.rotated,
+    hash: upload.hash
+  };
+};
+
+// Map a Replicate prediction update to job progress (0-100) and a status message
+const predictionProgress = (prediction) => {
+  if (prediction.status === 'starting') {
+    return { progress: 10, message: 'Waiting for model to start' };
+  }
+  if (prediction.status === 'processing') {
+    // Many models log tqdm-style progress ("45%|████..."), use the latest value if present
+    const matches = [...(prediction.logs || '').matchAll(/(\d{1,3})%/g)];
+    const percent = matches.length > 0 ? Math.min(100, parseInt(matches[matches.length - 1][1], 10)) : 0;
+    return { progress: 20 + percent * 0.65, message: 'Generating image' };
+  }
+  if (prediction.status === 'succeeded') {
+    return { progress: 90, message: 'Saving image' };
+  }
+  return null;
+};
+
+// Determine error type and status code for a failed generation
+const describeGenerationError = (error, model) => {
+  // Provider failures were already classified by withProviderRetries; anything else
+  // (e.g. a malformed output) is classified the same way here
+  const classification = error.classification || classifyProviderError(error);
+  let details = classification.details;
+
+  if (classification.classification === 'authentication') {
+    details = `Invalid or missing Replicate API token (${details})`;
+  } else if (classification.classification === 'not_found') {
+    details = `The ${model?.name || 'requested'} model is not available (${details})`;
+  }
+
+  return {
+    statusCode: classification.statusCode,
+    error: classification.error,
+    details,
+    classification: classification.classification,
+    retryable: classification.retryable,
+    providerStatus: classification.providerStatus,
+    retries: error.retries || 0,
+    timestamp: new Date().toISOString(),
+    success: false
+  };
+};
+
+// Check a generation's input_images: library images ({ category, filename }, such as files
+// sent to POST /api/generate/inputs) or http(s) URLs the provider fetches itself. Image data
+// is not accepted in the JSON body.
+const validateInputImages = async (images) => {
+  if (images === undefined || images === null) return;
+  if (!Array.isArray(images)) {
+    throw httpError('input_images must be an array', 400);
+  }
+  for (const image of images) {
+    if (image && typeof image === 'object') {
+      await assertLibraryImage(image.category, image.filename);
+    } else if (typeof image !== 'string' || !/^https?:\/\//.test(image)) {
+      throw httpError('input_images entries must be library images ({ "category", "filename" }) or http(s) URLs; upload files with POST /api/generate/inputs first', 400);
+    }
+  }
+};
+
+// Library input images are read from storage and handed to the Replicate client as buffers,
+// which uploads them; URLs are passed through
+const loadInputImages = async (images) => Promise.all((images || []).map(image => (
+  typeof image === 'string' ? image : storage.read(image.category, image.filename)
+)));
+
+// Run a single generation against Replicate, reporting progress as it goes
+const runGeneration = async (model, body, report) => {
+  // Initialize Replicate (or the offline mock provider)
+  const replicate = createReplicateClient();
+
+  // Try the generation with detailed logging
+  console.log(`Starting image generation with ${model.name}...`);
+
+  try {
+    const replicateModel = model.replicateModel;
+    const inputParams = buildModelInput(model, { ...body, input_images: await loadInputImages(body.input_images) });
+
+    if (model.inputImages && inputParams[model.inputImages.key]) {
+      const count = [].concat(inputParams[model.inputImages.key]).length;
+      console.log(`Adding ${count} reference image(s)`);
+    }
+
+    console.log('Input parameters:', summarizeInput(model, inputParams));
+    console.log(`Calling ${replicateModel}...`);
+    report(5, 'Submitting to Replicate');
+
+    // Use the selected model, forwarding prediction updates as job progress.
+    // Transient failures (rate limits, 5xx, network) are retried with backoff.
+    const { value: output, retries } = await withProviderRetries(() => replicate.run(replicateModel, {
+      input: inputParams
+    }, (prediction) => {
+      const update = predictionProgress(prediction);
+      if (update) report(update.progress, update.message);
+    }), {
+      onRetry: ({ attempt, delayMs, classification }) => {
+        console.warn(`${replicateModel} failed (${classification.classification}, provider status ${classification.providerStatus ?? 'n/a'}); retry ${attempt}/${RETRY_CONFIG.maxRetries} in ${delayMs}ms`);
+        report(5, `Retrying after ${classification.error.toLowerCase()} (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries + 1})`);
+      }
+    });
+
+    console.log(`Replicate API call successful${retries > 0 ? ` after ${retries} retr${retries === 1 ? 'y' : 'ies'}` : ''}`);
+    console.log('Output type:', typeof output);
+    console.log('Output:', Array.isArray(output) ? `Array with ${output.length} items` : output);
+
+    // Each model knows its own output shape (arrays, strings, output_paths)
+    const imageUrls = model.parseOutput(output);
+
+    if (imageUrls.length === 0) {
+      throw new Error('No image URL received from Replicate');
+    }
+
+    console.log(`Received ${imageUrls.length} image URL(s):`, imageUrls);
+    report(92, imageUrls.length > 1 ? `Saving ${imageUrls.length} images` : 'Saving image');
+
+    const groupId = crypto.randomUUID();
+    const parameters = summarizeInput(model, inputParams);
+
+    // Save every generated image to persistent storage, along with how it was made
+    const images = await Promise.all(imageUrls.map(async (imageUrl, index) => {
+      let savedImage = null;
+      try {
+        savedImage = await saveImageFromUrl(imageUrl, 'generated');
+        console.log(`Image ${index + 1}/${imageUrls.length} saved to persistent storage: ${savedImage.url}`);
+
+        setImageMetadata('generated', savedImage.filename, {
+          source: 'generation',
+          prompt: inputParams.prompt,
+          model: model.id,
+          modelName: model.name,
+          replicateModel,
+          parameters,
+          baseImage: body.base_image || null,
+          customerPhotos: Array.isArray(body.customer_photos) ? body.customer_photos : [],
+          groupId,
+          variantIndex: index,
+          variantCount: imageUrls.length,
+          orderId: body.order_id || null,
+          sourceUrl: imageUrl.startsWith('data:') ? null : imageUrl
+        });
+
+        // Attach the image to its customer order, if the generation was made for one
+        if (body.order_id) {
+          addOrderGeneration(body.order_id, {
+            category: 'generated',
+            filename: savedImage.filename,
+            url: savedImage.url
+          }, { prompt: inputParams.prompt, model: model.id, groupId });
+        }
+      } catch (saveError) {
+        console.warn(`Failed to save image ${index + 1} to persistent storage:`, saveError.message);
+        // Continue without saving - image is still available via external URL
+      }
+      return {
+        index,
+        imageUrl,
+        localUrl: savedImage?.url || null,
+        savedImage
+      };
+    }));
+
+    return {
+      // First image kept at the top level for single-image clients
+      imageUrl: images[0].imageUrl,
+      localUrl: images[0].localUrl,
+      savedImage: images[0].savedImage,
+      groupId,
+      images,
+      imageCount: images.length,
+      prompt: inputParams.prompt,
+      timestamp: new Date().toISOString(),
+      model: model.id,
+      modelName: model.name,
+      replicateModel: replicateModel,
+      parameters,
+      retries,
+      success: true
+    };
+
+  } catch (replicateError) {
+    const classification = replicateError.classification || classifyProviderError(replicateError);
+    console.error('Replicate API Error:', replicateError.message);
+    console.error('Error details:', {
+      classification: classification.classification,
+      providerStatus: classification.providerStatus,
+      retryable: classification.retryable,
+      retries: replicateError.retries || 0,
+      details: classification.details
+    });
+
+    throw replicateError;
+  }
+};
+
+// Send a stored image through an upscaler model and save the result next to the original.
+// The two are linked in metadata: the original's `upscaled` and the copy's `upscaledFrom`.
+const runUpscale = async ({ category, filename, upscaler, scale }, report) => {
+  const replicate = createReplicateClient();
+  const image = await storage.read(category, filename);
+
+  console.log(`Upscaling ${category}/${filename} ${scale}x with ${upscaler.name}...`);
+  report(5, `Submitting to ${upscaler.name}`);
+
+  const { value: output, retries } = await withProviderRetries(() => replicate.run(upscaler.replicateModel, {
+    input: upscaler.buildInput(image, scale)
+  }, (prediction) => {
+    const update = predictionProgress(prediction);
+    if (update) report(update.progress, prediction.status === 'processing' ? 'Upscaling image' : update.message);
+  }), {
+    onRetry: ({ attempt, delayMs, classification }) => {
+      console.warn(`${upscaler.replicateModel} failed (${classification.classification}); retry ${attempt}/${RETRY_CONFIG.maxRetries} in ${delayMs}ms`);
+      report(5, `Retrying after ${classification.error.toLowerCase()} (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries + 1})`);
+    }
+  });
+
+  const [imageUrl] = upscaler.parseOutput(output);
+  if (!imageUrl) {
+    throw new Error(`No image URL received from ${upscaler.name}`);
+  }
+
+  report(92, 'Saving upscaled image');
+  const savedImage = await saveImageFromUrl(imageUrl, category, `${path.parse(filename).name}-upscaled-${scale}x`);
+  const { width, height } = await sharp(await storage.read(category, savedImage.filename)).metadata();
+
+  setImageMetadata(category, savedImage.filename, {
+    source: 'upscale',
+    upscaledFrom: { category, filename, url: `/uploads/${category}/${filename}` },
+    upscaler: upscaler.id,
+    scale,
+    width,
+    height
+  });
+  const upscaled = {
+    filename: savedImage.filename,
+    url: savedImage.url,
+    upscaler: upscaler.id,
+    scale,
+    width,
+    height,
+    createdAt: new Date().toISOString()
+  };
+  // Only the latest upscale is kept
+  const previous = getImageMetadata(category, filename)?.upscaled;
+  if (previous && previous.filename !== savedImage.filename) {
+    await storage.remove(category, previous.filename);
+    removeRenditions(category, previous.filename);
+    deleteImageMetadata(category, previous.filename);
+  }
+  setImageMetadata(category, filename, { upscaled });
+  console.log(`Upscaled image saved: ${savedImage.url} (${width}x${height})`);
+
+  return { ...upscaled, retries };
+};
+
+// Run an upscale and record it in the usage ledger
+const upscaleWithUsage = async ({ category, filename, upscaler, scale, userId, username, orderId, jobId }, report) => {
+  const logUsage = (status) => recordUsage({
+    jobId,
+    model: upscaler.id,
+    replicateModel: upscaler.replicateModel,
+    size: `${scale}x`,
+    imageCount: 1,
+    costPerImage: upscaler.costPerImage(scale),
+    userId,
+    username,
+    orderId,
+    status
+  });
+
+  try {
+    const upscaled = await runUpscale({ category, filename, upscaler, scale }, report);
+    logUsage('succeeded');
+    return upscaled;
+  } catch (error) {
+    logUsage('failed');
+    throw error;
+  }
+};
+
+// Dollar amounts for messages; sub-dollar estimates keep a third decimal so cheap models don't show as $0.00
+const formatUsd = (amount) => `$${amount.toFixed(amount < 1 ? 3 : 2)}`;
+
+// ========================================
+// Authentication and User Endpoints
+// ========================================
+
+const sessionCookie = (req, token, maxAgeSeconds) => [
+  `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Strict',
+  `Max-Age=${maxAgeSeconds}`,
+  ...(req.secure ? ['Secure'] : [])
+].join('; ');
+
+// Log in with username and password. The session token is set as an HttpOnly cookie
+// (used by the web app, including <img> and EventSource requests) and also returned for API clients.
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+
+  const session = login(username, password);
+  if (!session) {
+    console.log(`Failed login for "${username}"`);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  console.log(`User logged in: ${session.user.username} (${session.user.role})`);
+  res.set('Set-Cookie', sessionCookie(req, session.token, SESSION_TTL_SECONDS));
+  res.json({ success: true, ...session });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = requestToken(req);
+  if (token) logout(token);
+  res.set('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ success: true });
+});
+
+// The logged-in user
+app.get('/api/auth/me', requireRole('operator'), (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json({ success: true, users: listUsers(), roles: ROLES });
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    const { username, password, role = 'operator' } = req.body;
+    if (!username?.trim()) {
+      return res.status(400).json({ error: 'Username required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const user = createUser({ username, password, role });
+    console.log(`User created by ${req.user.username}: ${user.username} (${user.role})`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Failed to create user:', error.message);
+    res.status(error.statusCode || 500).json({ error: 'Failed to create user', details: error.message });
+  }
+});
+
+// Change a user's role or password
+app.patch('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const { role, password } = req.body;
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
+
+    const user = updateUser(req.params.id, { role, password });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`User updated by ${req.user.username}: ${user.username}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Failed to update user:', error.message);
+    res.status(error.statusCode || 500).json({ error: 'Failed to update user', details: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (!deleteUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`User deleted by ${req.user.username}: ${req.params.id}`);
+    res.json({ success: true, message: 'User deleted' });
+  } catch (error) {
+    console.error('Failed to delete user:', error.message);
+    res.status(error.statusCode || 500).json({ error: 'Failed to delete user', details: error.message });
+  }
+});
+
+// Main generate endpoint - queues a generation job and returns its ID right away
+app.post('/api/generate', requireRole('operator'), async (req, res) => {
+  console.log('AI Generation request received');
+
+  try {
+    const { prompt, model: modelId } = req.body;
+
+    // Validate prompt
+    if (!prompt?.trim()) {
+      console.log('No prompt provided');
+      return res.status(400).json({ error: 'Prompt required' });
+    }
+
+    // Resolve the requested model from the provider registry
+    const model = getModel(modelId);
+    if (!model) {
+      console.log(`Unknown model requested: ${modelId}`);
+      return res.status(400).json({
+        error: 'Unknown model',
+        details: `Model "${modelId}" is not available. Use one of: ${getEnabledModels().map(m => m.id).join(', ')}`
+      });
+    }
+
+    // Generations made for a customer order are attached to it once saved
+    if (req.body.order_id && !getOrder(req.body.order_id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    try {
+      await validateInputImages(req.body.input_images);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: 'Invalid input image', details: error.message });
+    }
+
+    console.log(`Processing prompt: "${prompt.trim()}"`);
+    console.log(`Using model: ${model.name}`);
+
+    // Check for API token (not needed by the mock provider)
+    if (!hasReplicateCredentials()) {
+      console.log('REPLICATE_API_TOKEN not configured');
+      return res.status(500).json({
+        error: 'Replicate API token not configured',
+        details: 'Please set REPLICATE_API_TOKEN environment variable'
+      });
+    }
+
+    // Optional upscale of every saved image once the generation finishes
+    let upscale = null;
+    if (req.body.upscale) {
+      upscale = resolveUpscaleRequest(req.body.upscale);
+      if (upscale.error) {
+        return res.status(400).json({ error: 'Invalid upscale option', details: upscale.error });
+      }
+    }
+
+    // Estimate the cost up front and refuse the request if it would exceed a budget cap.
+    // Spend is charged to the logged-in caller; the body's user_id only goes to the model.
+    const { id: userId, username } = req.user;
+    const input = buildModelInput(model, req.body);
+    const estimate = estimateGenerationCost(model, input);
+    const upscaleCost = upscale ? upscale.upscaler.costPerImage(upscale.scale) * estimate.imageCount : 0;
+    const totalCost = estimate.total + upscaleCost;
+    const overBudget = checkBudget({ userId, cost: totalCost });
+    if (overBudget) {
+      const who = overBudget.scope === 'user-daily' ? `Daily budget for user "${username}"` : 'Daily budget';
+      console.log(`Generation refused: ${who} of $${overBudget.limit} reached`);
+      return res.status(402).json({
+        error: 'Budget exceeded',
+        details: `${who} of ${formatUsd(overBudget.limit)} reached: ${formatUsd(overBudget.spent)} already spent or reserved, this request is estimated at ${formatUsd(overBudget.estimate)}`,
+        budget: overBudget
+      });
+    }
+    const releaseBudget = reserveBudget({ userId, cost: totalCost });
+
+    // Ledger entry for this generation; the cost follows the number of images actually returned
+    const logUsage = (jobId, status, imageCount) => recordUsage({
+      jobId,
+      model: model.id,
+      replicateModel: model.replicateModel,
+      quality: input.quality,
+      size: input.width && input.height ? `${input.width}x${input.height}` : [input.aspect_ratio, input.size].filter(Boolean).join(' '),
+      imageCount,
+      costPerImage: estimate.perImage,
+      userId,
+      username,
+      orderId: req.body.order_id,
+      status
+    });
+
+    const job = enqueueJob(
+      'generation',
+      { prompt: prompt.trim(), model: model.id, orderId: req.body.order_id || null, estimatedCost: totalCost },
+      async (report, currentJob) => {
+        try {
+          const result = await runGeneration(model, req.body, report);
+          const usage = logUsage(currentJob.id, 'succeeded', result.imageCount);
+          let upscaleCostTotal = 0;
+
+          // An upscale failure leaves the generation itself successful
+          if (upscale) {
+            for (const image of result.images.filter(item => item.savedImage)) {
+              try {
+                image.upscaled = await upscaleWithUsage({
+                  category: 'generated',
+                  filename: image.savedImage.filename,
+                  ...upscale,
+                  userId,
+                  username,
+                  orderId: req.body.order_id,
+                  jobId: currentJob.id
+                }, (progress, message) => report(92 + progress * 0.07, message));
+                upscaleCostTotal += upscale.upscaler.costPerImage(upscale.scale);
+              } catch (error) {
+                console.warn(`Upscale of ${image.savedImage.filename} failed:`, error.message);
+                image.upscaleError = describeGenerationError(error, upscale.upscaler).details;
+              }
+            }
+          }
+          return { ...result, estimatedCost: usage.estimatedCost + upscaleCostTotal };
+        } catch (error) {
+          logUsage(currentJob.id, 'failed', 0);
+          throw error;
+        } finally {
+          releaseBudget();
+        }
+      },
+      (error) => {
+        const description = describeGenerationError(error, model);
+        console.error(`Generation failed: ${description.classification} after ${description.retries} retr${description.retries === 1 ? 'y' : 'ies'} - ${description.details}`);
+        return description;
+      }
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      estimatedCost: totalCost,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('Generation request failed:', error);
+    const { statusCode, ...body } = describeGenerationError(error);
+    res.status(statusCode).json(body);
+  }
+});
+
+// Upload input images for a generation (customer photos without an order, reference images)
+// as multipart/form-data. They go through the usual upload checks and are stored in the
+// customer category; pass the returned { category, filename } in `input_images`.
+app.post('/api/generate/inputs', requireRole('operator'), requireMultipart, async (req, res) => {
+  let received;
+  try {
+    received = await receiveMultipartUpload(req);
+  } catch (error) {
+    console.error('Failed to receive input images:', error.message);
+    return res.status(error.statusCode || 500).json({ error: 'Upload failed', details: error.message });
+  }
+
+  try {
+    if (received.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded', details: 'Send the images as multipart/form-data file fields' });
+    }
+
+    const results = [];
+    for (const file of received.files) {
+      try {
+        const upload = await prepareUploadedFile(file);
+        const savedImage = await storeUpload(upload, 'customer');
+        setImageMetadata('customer', savedImage.filename, {
+          source: 'upload',
+          originalFilename: file.name,
+          phash: upload.hash
+        });
+        results.push({ file: file.name, statusCode: 201, success: true, category: 'customer', ...savedImage });
+      } catch (error) {
+        results.push(failedUploadResult(file, error));
+      }
+    }
+    res.json({ success: true, results, summary: summarizeUploadResults(results) });
+  } catch (error) {
+    console.error('Failed to store input images:', error.message);
+    res.status(500).json({ error: 'Failed to store input images', details: error.message });
+  } finally {
+    await received.cleanup();
+  }
+});
+
+// ========================================
+// Usage Endpoints
+// ========================================
+
+// Estimated spend by day, user and model. Optional ?from=&to= (YYYY-MM-DD, UTC) and ?user_id=
+app.get('/api/usage', requireRole('admin'), (req, res) => {
+  const { from, to, user_id: userId } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ error: 'Invalid date', details: 'Use YYYY-MM-DD for from and to' });
+  }
+
+  try {
+    res.json({ success: true, ...summarizeUsage({ from, to, userId }) });
+  } catch (error) {
+    console.error('Failed to summarize usage:', error.message);
+    res.status(500).json({ error: 'Failed to summarize usage', details: error.message });
+  }
+});
+
+// ========================================
+// Job Status Endpoints
+// ========================================
+
+// Get the current state of a job
+app.get('/api/jobs/:id', requireRole('operator'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Stream job updates as Server-Sent Events until the job finishes
+app.get('/api/jobs/:id/events', requireRole('operator'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (state) => {
+    res.write(`event: status\ndata: ${JSON.stringify(state)}\n\n`);
+    if (TERMINAL_STATUSES.includes(state.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Keep proxies from closing an idle connection while the model runs
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribeToJob(job.id, send);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', cleanup);
+
+  // Always send the current state first so late subscribers see finished jobs
+  send(serializeJob(job));
+});
+
+// ========================================
+// Print Export Endpoints
+// ========================================
+
+// Status for an export whose source could not be read: rejected URLs, bad local paths and
+// missing files are client errors, anything else (network, decoding) is a server error
+const exportErrorStatus = (error) => error.statusCode || (error.code === 'ENOENT' ? 404 : 500);
+
+// Image dimensions as viewers show them (EXIF orientations 5-8 are stored rotated by 90 degrees)
+const displaySize = async (data) => {
+  const metadata = await sharp(data).metadata();
+  return metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+};
+
+// Stream an export pipeline to the response as a file download. `source` (optional) is piped
+// into the pipeline; errors before the first byte become a JSON 500, later ones abort the response.
+const streamExport = (res, { source, pipeline, downloadName, headers }) => {
+  const downloadHeaders = {
+    ...headers,
+    'Content-Disposition': `attachment; filename="${downloadName}"`
+  };
+
+  const fail = (error) => {
+    console.error('Print export failed:', error.message);
+    source?.destroy();
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    Object.keys(downloadHeaders).forEach(name => res.removeHeader(name));
+    res.status(500).json({ error: 'Image processing failed', details: error.message });
+  };
+  source?.on('error', fail);
+  pipeline.on('error', fail);
+
+  res.set(downloadHeaders);
+  res.on('finish', () => {
+    if (res.statusCode === 200) console.log(`Export sent: ${downloadName}`);
+  });
+
+  (source ? source.pipe(pipeline) : pipeline).pipe(res);
+};
+
+// Print export: re-encode an image as JPEG, PNG or TIFF with its DPI set and a color profile
+// embedded (sRGB by default), streamed back as a file download. Transparency is flattened
+// onto `background` (white for JPEG and CMYK by default).
+app.post('/api/download-with-dpi', requireRole('operator'), async (req, res) => {
+  const { filename } = req.body;
+
+  let imageUrl;
+  try {
+    imageUrl = await exportImageUrl(req.body);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: 'Invalid image source', details: error.message });
+  }
+  if (!imageUrl) {
+    return res.status(400).json({ error: 'Image URL or library source required' });
+  }
+
+  let options;
+  try {
+    options = parseExportOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid export options', details: error.message });
+  }
+
+  const downloadName = exportFilename(filename ? safeFilename(filename) : 'artwork', options.format);
+  console.log(`Exporting ${options.format.toUpperCase()} (${options.colorProfile}) at ${options.dpi} DPI: ${downloadName}`);
+
+  try {
+    const source = await openImageStream(imageUrl);
+    streamExport(res, {
+      source,
+      pipeline: createPrintPipeline(options),
+      downloadName,
+      headers: {
+        'Content-Type': EXPORT_FORMATS[options.format].contentType,
+        'X-DPI-Processing': 'true',
+        'X-DPI-Value': String(options.dpi),
+        'X-Color-Profile': options.colorProfile
+      }
+    });
+  } catch (error) {
+    console.error('Download proxy failed:', error.message);
+    res.status(exportErrorStatus(error)).json({
+      error: 'Failed to process image',
+      details: error.message
+    });
+  }
+});
+
+// Print-size export: crop and resample to the exact pixel size of a physical print
+// (e.g. 16x20 inches at 300 DPI = 4800x6000 px). With `dryRun` only the plan is returned,
+// including the upscale factor and a warning when the enlargement would visibly soften the print.
+app.post('/api/export/print', requireRole('operator'), async (req, res) => {
+  const { filename, dryRun } = req.body;
+
+  let imageUrl;
+  try {
+    imageUrl = await exportImageUrl(req.body);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: 'Invalid image source', details: error.message });
+  }
+  if (!imageUrl) {
+    return res.status(400).json({ error: 'Image URL or library source required' });
+  }
+
+  let options;
+  let printSize;
+  try {
+    options = parseExportOptions(req.body);
+    printSize = parsePrintSize(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid export options', details: error.message });
+  }
+
+  try {
+    const { data } = await fetchImage(imageUrl);
+    const plan = planPrintExport(printSize, options.dpi, await displaySize(data));
+
+    if (dryRun) {
+      return res.json({ success: true, plan });
+    }
+
+    const baseName = filename ? safeFilename(filename).replace(/\.[a-z0-9]+$/, '') : 'artwork';
+    const downloadName = exportFilename(`${baseName}-${plan.inches.width}x${plan.inches.height}`, options.format);
+    console.log(`Exporting ${plan.inches.width}x${plan.inches.height} in print (${plan.width}x${plan.height} px, upscale ${plan.upscaleFactor}x): ${downloadName}`);
+    if (plan.warning) console.warn(`Print export warning: ${plan.warning}`);
+
+    streamExport(res, {
+      pipeline: createPrintPipeline(options, { input: data, resize: plan }),
+      downloadName,
+      headers: {
+        'Content-Type': EXPORT_FORMATS[options.format].contentType,
+        'X-DPI-Value': String(options.dpi),
+        'X-Print-Size': `${plan.inches.width}x${plan.inches.height}`,
+        'X-Upscale-Factor': String(plan.upscaleFactor),
+        'X-Color-Profile': options.colorProfile
+      }
+    });
+  } catch (error) {
+    console.error('Print export failed:', error.message);
+    res.status(exportErrorStatus(error)).json({
+      error: 'Failed to process image',
+      details: error.message
+    });
+  }
+});
+
+// Soft proof: a screen preview (sRGB JPEG, at most 1024 px) of how an export with the given
+// format, color profile and background will look once printed
+app.post('/api/export/soft-proof', requireRole('operator'), async (req, res) => {
+  let imageUrl;
+  try {
+    imageUrl = await exportImageUrl(req.body);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: 'Invalid image source', details: error.message });
+  }
+  if (!imageUrl) {
+    return res.status(400).json({ error: 'Image URL or library source required' });
+  }
+
+  let options;
+  try {
+    options = parseExportOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid export options', details: error.message });
+  }
+
+  try {
+    const { data } = await fetchImage(imageUrl);
+    const proof = await renderSoftProof(data, options);
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'no-store',
+      'X-Color-Profile': options.colorProfile
+    });
+    res.send(proof);
+  } catch (error) {
+    console.error('Soft proof failed:', error.message);
+    res.status(exportErrorStatus(error)).json({
+      error: 'Failed to render soft proof',
+      details: error.message
+    });
+  }
+});
+
+const ZIP_MAX_IMAGES = parseInt(process.env.ZIP_MAX_IMAGES, 10) || 100;
+
+// Batch export: every image goes through the same export (format, DPI, background and
+// optionally a print size) and the results are streamed back as one ZIP archive with a
+// manifest.json of prompts and parameters. Images are processed one at a time; a failed
+// image is recorded in the manifest instead of aborting the archive.
+app.post('/api/export/zip', requireRole('operator'), async (req, res) => {
+  const { images, archiveName } = req.body;
+
+  if (!Array.isArray(images) || images.length === 0) {
+    return res.status(400).json({ error: 'Images required', details: 'Send "images" as a list of { source } or { imageUrl } entries' });
+  }
+  if (images.length > ZIP_MAX_IMAGES) {
+    return res.status(400).json({ error: 'Too many images', details: `An archive can hold at most ${ZIP_MAX_IMAGES} images` });
+  }
+
+  let entries;
+  try {
+    entries = await Promise.all(images.map(async (image, index) => ({ image, index, imageUrl: await exportImageUrl(image || {}) })));
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: 'Invalid image source', details: error.message });
+  }
+  const missing = entries.find(entry => !entry.imageUrl);
+  if (missing) {
+    return res.status(400).json({ error: 'Invalid image source', details: `Image ${missing.index + 1} has no imageUrl or library source` });
+  }
+
+  let options;
+  let printSize = null;
+  try {
+    options = parseExportOptions(req.body);
+    if (req.body.size) printSize = parsePrintSize(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid export options', details: error.message });
+  }
+
+  const zipName = `${archiveName ? safeFilename(archiveName).replace(/\.zip$/, '') : `artwork-${Date.now()}`}.zip`;
+  console.log(`Exporting ${entries.length} image(s) to ${zipName} (${options.format.toUpperCase()}, ${options.dpi} DPI${printSize ? `, ${printSize.size} in` : ''})`);
+
+  // Already-compressed JPEGs are stored as-is; PNG and TIFF still shrink a little
+  const archive = archiver('zip', options.format === 'jpeg' ? { store: true } : { zlib: { level: 6 } });
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      archive.abort();
+    }
+  });
+  archive.on('warning', error => console.warn('ZIP export warning:', error.message));
+  archive.on('error', (error) => {
+    console.error('ZIP export failed:', error.message);
+    res.destroy(error);
+  });
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${zipName}"`
+  });
+  archive.pipe(res);
+
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    options: { ...options, ...(printSize || {}) },
+    images: []
+  };
+
+  for (const { image, index, imageUrl } of entries) {
+    if (aborted) return;
+
+    const metadata = image.source ? getImageMetadata(image.source.category, image.source.filename) : null;
+    const baseName = safeFilename(image.filename || image.source?.filename || `image-${index + 1}`).replace(/\.[a-z0-9]+$/, '');
+    const record = {
+      file: null,
+      source: image.source || (imageUrl.startsWith('data:') ? 'data-url' : imageUrl),
+      prompt: image.prompt || metadata?.prompt || null,
+      model: image.model || metadata?.model || null,
+      parameters: image.parameters || metadata?.parameters || null
+    };
+
+    try {
+      const { data } = await fetchImage(imageUrl);
+      let plan = null;
+      if (printSize) {
+        plan = planPrintExport(printSize, options.dpi, await displaySize(data));
+        record.print = { inches: plan.inches, width: plan.width, height: plan.height, upscaleFactor: plan.upscaleFactor, warning: plan.warning };
+      }
+      const output = await createPrintPipeline(options, { input: data, resize: plan || undefined }).toBuffer();
+
+      record.file = exportFilename(`${String(index + 1).padStart(3, '0')}-${baseName}`, options.format);
+      // Wait for the entry to be written so only one image is held in memory at a time
+      const written = new Promise(resolve => archive.once('entry', resolve));
+      archive.append(output, { name: record.file });
+      await written;
+    } catch (error) {
+      console.warn(`ZIP export: image ${index + 1} failed:`, error.message);
+      record.error = error.message;
+    }
+    manifest.images.push(record);
+  }
+
+  if (aborted) return;
+  manifest.exported = manifest.images.filter(record => record.file).length;
+  manifest.failed = manifest.images.length - manifest.exported;
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  console.log(`ZIP export sent: ${zipName} (${manifest.exported} exported, ${manifest.failed} failed)`);
+});
+
+// ========================================
+// Customer Order Endpoints
+// ========================================
+
+const ORDER_TEXT_FIELDS = {
+  customerName: 'Customer name',
+  customerEmail: 'Customer email',
+  petName: 'Pet name',
+  notes: 'Notes'
+};
+
+// Validate the client-editable order fields shared by create and update
+const validateOrderFields = (body) => {
+  const field = Object.keys(ORDER_TEXT_FIELDS).find(key => body[key] !== undefined && typeof body[key] !== 'string');
+  if (field) {
+    return `${ORDER_TEXT_FIELDS[field]} must be a string`;
+  }
+  if (body.customerName !== undefined && !body.customerName.trim()) {
+    return 'Customer name cannot be empty';
+  }
+  if (body.status !== undefined && !ORDER_STATUSES.includes(body.status)) {
+    return `Status must be one of: ${ORDER_STATUSES.join(', ')}`;
+  }
+  return null;
+};
+
+// List orders, optionally filtered by status or a customer/pet search term
+app.get('/api/orders', requireRole('operator'), (req, res) => {
+  try {
+    const { status, search } = req.query;
+    const orders = listOrders({ status, search });
+    res.json({ success: true, count: orders.length, orders, statuses: ORDER_STATUSES });
+  } catch (error) {
+    console.error('Failed to list orders:', error.message);
+    res.status(500).json({ error: 'Failed to list orders', details: error.message });
+  }
+});
+
+// Create an order
+app.post('/api/orders', requireRole('operator'), (req, res) => {
+  try {
+    if (req.body.customerName === undefined) {
+      return res.status(400).json({ error: 'Customer name required' });
+    }
+    const validationError = validateOrderFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const order = createOrder({ ...req.body, customerName: req.body.customerName.trim() });
+    console.log(`Order created: ${order.id} (${order.customerName})`);
+    res.status(201).json({ success: true, order });
+  } catch (error) {
+    console.error('Failed to create order:', error.message);
+    res.status(500).json({ error: 'Failed to create order', details: error.message });
+  }
+});
+
+// Get a single order
+app.get('/api/orders/:id', requireRole('operator'), (req, res) => {
+  const order = getOrder(req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  res.json({ success: true, order });
+});
+
+// Update order details, status, base image or approved image
+app.patch('/api/orders/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const order = getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const validationError = validateOrderFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { baseImage, approvedImage } = req.body;
+    if (baseImage) {
+      if (typeof baseImage !== 'object' || (baseImage.name !== undefined && typeof baseImage.name !== 'string')) {
+        return res.status(400).json({ error: 'Invalid base image', details: 'Base image must be { category, filename, name }' });
+      }
+      try {
+        await assertLibraryImage(baseImage.category, baseImage.filename);
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.statusCode === 404 ? 'Base image not found' : 'Invalid base image', details: error.message });
+      }
+    }
+    if (approvedImage && !isOrderGeneration(order, approvedImage)) {
+      return res.status(400).json({ error: 'Approved image must be one of this order\'s generations' });
+    }
+
+    const changes = { ...req.body };
+    if (changes.customerName !== undefined) changes.customerName = changes.customerName.trim();
+    // Only the reference is kept; the URL is derived from it
+    if (baseImage) changes.baseImage = { category: baseImage.category, filename: baseImage.filename, name: baseImage.name };
+    const updated = updateOrder(order.id, changes);
+    console.log(`Order updated: ${order.id}`);
+    res.json({ success: true, order: updated });
+  } catch (error) {
+    console.error('Failed to update order:', error.message);
+    res.status(500).json({ error: 'Failed to update order', details: error.message });
+  }
+});
+
+// Save a prepared upload in the customer category and add it to the order's photos
+const addOrderPhoto = async (order, upload, name) => {
+  const savedImage = await storeUpload(upload, 'customer');
+  setImageMetadata('customer', savedImage.filename, {
+    source: 'upload',
+    originalFilename: name || null,
+    orderId: order.id,
+    phash: upload.hash
+  });
+  const updated = addOrderCustomerPhoto(order.id, {
+    category: 'customer',
+    filename: savedImage.filename,
+    url: savedImage.url,
+    name: name || savedImage.filename
+  });
+  return { savedImage, order: updated };
+};
+
+// Upload customer photos into the order (stored in the customer category) as
+// multipart/form-data, answered with the order and a result per file
+app.post('/api/orders/:id/photos', requireRole('operator'), requireMultipart, async (req, res) => {
+  const order = getOrder(req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  let received;
+  try {
+    received = await receiveMultipartUpload(req);
+  } catch (error) {
+    console.error('Failed to receive order photos:', error.message);
+    return res.status(error.statusCode || 500).json({ error: 'Upload failed', details: error.message });
+  }
+
+  try {
+    if (received.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded', details: 'Send the photos as multipart/form-data file fields' });
+    }
+
+    let updated = order;
+    const results = [];
+    for (const file of received.files) {
+      try {
+        const added = await addOrderPhoto(order, await prepareUploadedFile(file), file.name);
+        updated = added.order;
+        results.push({ file: file.name, statusCode: 201, success: true, ...added.savedImage });
+      } catch (error) {
+        results.push(failedUploadResult(file, error));
+      }
+    }
+    res.json({ success: true, order: updated, results, summary: summarizeUploadResults(results) });
+  } catch (error) {
+    console.error('Failed to add order photos:', error.message);
+    res.status(500).json({ error: 'Failed to add order photos', details: error.message });
+  } finally {
+    await received.cleanup();
+  }
+});
+
+// Remove a customer photo from the order and delete the stored file
+app.delete('/api/orders/:id/photos/:filename', requireRole('admin'), async (req, res) => {
+  try {
+    const order = getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { filename } = req.params;
+    if (!order.customerPhotos.some(photo => photo.filename === filename)) {
+      return res.status(404).json({ error: 'Photo not found on this order' });
+    }
+
+    if (await storage.stat('customer', filename)) {
+      await storage.remove('customer', filename);
+      removeRenditions('customer', filename);
+      deleteImageMetadata('customer', filename);
+    }
+
+    const updated = removeOrderCustomerPhoto(order.id, filename);
+    res.json({ success: true, order: updated });
+  } catch (error) {
+    console.error('Failed to remove order photo:', error.message);
+    res.status(500).json({ error: 'Failed to remove order photo', details: error.message });
+  }
+});
+
+// ========================================
+// Category Endpoints
+// ========================================
+
+// Library categories for base images, in tab order. The system categories (generated,
+// customer, base) are always there and cannot be changed.
+app.get('/api/categories', requireRole('operator'), (req, res) => {
+  res.json({ success: true, categories: listCategories(), system: SYSTEM_CATEGORIES });
+});
+
+// Create a category and its storage directory: { name, id?, description, icon, subjectCount }.
+// The id (directory name) defaults to a slug of the name and cannot be changed later.
+app.post('/api/categories', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, description, icon, subjectCount } = req.body;
+    const validationError = validateCategoryFields({ name, description, icon, subjectCount });
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid category', details: validationError });
+    }
+    if (req.body.id !== undefined && typeof req.body.id !== 'string') {
+      return res.status(400).json({ error: 'Invalid category id', details: 'Category id must be a string' });
+    }
+    const id = req.body.id || slugifyCategoryName(name);
+    const idError = validateCategoryId(id);
+    if (idError) {
+      return res.status(getCategory(id) ? 409 : 400).json({ error: 'Invalid category id', details: idError });
+    }
+
+    await storage.ensureCategories([id]);
+    const category = createCategory({ id, name, description, icon, subjectCount });
+    console.log(`Category created: ${category.id} (${category.name})`);
+    res.status(201).json({ success: true, category });
+  } catch (error) {
+    console.error('Failed to create category:', error.message);
+    res.status(500).json({ error: 'Failed to create category', details: error.message });
+  }
+});
+
+// Put the categories in a new order: { ids: [every category id, in order] }
+app.put('/api/categories/order', requireRole('admin'), (req, res) => {
+  try {
+    const orderError = reorderCategories(req.body.ids);
+    if (orderError) {
+      return res.status(400).json({ error: 'Invalid order', details: orderError });
+    }
+    res.json({ success: true, categories: listCategories() });
+  } catch (error) {
+    console.error('Failed to reorder categories:', error.message);
+    res.status(500).json({ error: 'Failed to reorder categories', details: error.message });
+  }
+});
+
+// Rename a category or change its description, icon or subject count
+app.patch('/api/categories/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!getCategory(req.params.id)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    const { name, description, icon, subjectCount } = req.body;
+    const validationError = validateCategoryFields({ name, description, icon, subjectCount }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid category', details: validationError });
+    }
+
+    const category = updateCategory(req.params.id, { name, description, icon, subjectCount });
+    res.json({ success: true, category });
+  } catch (error) {
+    console.error('Failed to update category:', error.message);
+    res.status(500).json({ error: 'Failed to update category', details: error.message });
+  }
+});
+
+// Delete an empty category with its directory. Its prompt templates become general and its
+// retention rule is dropped.
+app.delete('/api/categories/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!getCategory(id)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    const files = await storage.list(id);
+    if (files.length > 0) {
+      return res.status(409).json({
+        error: 'Category not empty',
+        details: `Delete or move its ${files.length} image(s) first`,
+        count: files.length
+      });
+    }
+
+    deleteCategory(id);
+    await storage.removeCategory(id);
+    const templates = detachTemplatesFromCategory(id);
+    setRetentionRules(getRetentionRules().filter(rule => rule.category !== id));
+    console.log(`Category deleted: ${id}`);
+    res.json({ success: true, id, templatesDetached: templates });
+  } catch (error) {
+    console.error('Failed to delete category:', error.message);
+    res.status(500).json({ error: 'Failed to delete category', details: error.message });
+  }
+});
+
+// ========================================
+// Prompt Template Endpoints
+// ========================================
+
+// Templates can be attached to a renaissance category, or left general (null)
+const validateTemplateCategory = (category) => {
+  if (category && !getCategory(category)) {
+    return `Category must be one of: ${listCategories().map(item => item.id).join(', ')}`;
+  }
+  return null;
+};
+
+// List templates; with ?category= only that category's templates plus general ones
+app.get('/api/prompt-templates', requireRole('operator'), (req, res) => {
+  try {
+    const templates = listTemplates({ category: req.query.category });
+    res.json({ success: true, count: templates.length, templates, variables: TEMPLATE_VARIABLES });
+  } catch (error) {
+    console.error('Failed to list prompt templates:', error.message);
+    res.status(500).json({ error: 'Failed to list prompt templates', details: error.message });
+  }
+});
+
+// Create a template
+app.post('/api/prompt-templates', requireRole('operator'), (req, res) => {
+  try {
+    const { name, body, category, description } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({ error: 'Template name required' });
+    }
+    const validationError = validateTemplateBody(body) || validateTemplateCategory(category);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const template = createTemplate({ name: name.trim(), body, category, description });
+    console.log(`Prompt template created: ${template.name}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('Failed to create prompt template:', error.message);
+    res.status(500).json({ error: 'Failed to create prompt template', details: error.message });
+  }
+});
+
+// Update a template's name, description, body or category
+app.patch('/api/prompt-templates/:id', requireRole('operator'), (req, res) => {
+  try {
+    if (!getTemplate(req.params.id)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { name, body, category } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Template name cannot be empty' });
+    }
+    const validationError = (body !== undefined && validateTemplateBody(body)) || validateTemplateCategory(category);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const template = updateTemplate(req.params.id, { ...req.body, name: name?.trim() });
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Failed to update prompt template:', error.message);
+    res.status(500).json({ error: 'Failed to update prompt template', details: error.message });
+  }
+});
 
-// Save base64 image to persistent storage
-const saveImageFromBase64 = (base64Data, category = 'customer', customFilename = null) => {
+// Delete a template
+app.delete('/api/prompt-templates/:id', requireRole('admin'), (req, res) => {
   try {
-    // Remove data URL prefix if present
-    let imageData = base64Data;
-    let ext = 'png';
-
-    if (base64Data.startsWith('data:')) {
-      const matches = base64Data.match(/^data:image\/(\w+);base64,(.+)$/);
-      if (matches) {
-        ext = matches[1] === 'jpeg' ? 'jpg' : matches[1];
-        imageData = matches[2];
-      }
+    if (!deleteTemplate(req.params.id)) {
+      return res.status(404).json({ error: 'Template not found' });
     }
+    console.log(`Prompt template deleted: ${req.params.id}`);
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    console.error('Failed to delete prompt template:', error.message);
+    res.status(500).json({ error: 'Failed to delete prompt template', details: error.message });
+  }
+});
 
-    const buffer = Buffer.from(imageData, 'base64');
-    const filename = customFilename || generateUniqueFilename('upload', ext);
-    const targetDir = getCategoryDir(category);
-    const filePath = path.join(targetDir, filename);
-
-    fs.writeFileSync(filePath, buffer);
-    console.log(`Base64 image saved to persistent storage: ${filePath}`);
+// Fill in a template's variables and return the batch prompt list
+app.post('/api/prompt-templates/:id/expand', requireRole('operator'), (req, res) => {
+  const template = getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
 
-    return {
-      filename,
-      path: filePath,
-      url: `/uploads/${category}/${filename}`,
-      size: buffer.length
-    };
+  try {
+    const prompts = expandTemplate(template, req.body.variables);
+    res.json({ success: true, prompts });
   } catch (error) {
-    console.error('Failed to save base64 image:', error.message);
-    throw error;
+    res.status(400).json({ error: error.message, missing: error.missing });
   }
-};
+});
 
-// Main generate endpoint
-app.post('/api/generate', async (req, res) => {
-  console.log('AI Generation request received');
+// ========================================
+// Persistent Storage API Endpoints
+// ========================================
 
+// List images in persistent storage, filtered, sorted and optionally paged (see
+// lib/imageQuery.js). `category` takes one category or a comma-separated list; `totals`
+// counts the matches per category. `thumbnailUrl` and `previewUrl` point at cached renditions;
+// images without up-to-date renditions get them queued and fall back to `url`.
+app.get('/api/images', requireRole('operator'), async (req, res) => {
   try {
-    // Extract OpenAI Image 1.5 parameters from request body
-    const {
-      prompt,
-      aspect_ratio = '1:1',
-      quality,
-      background,
-      moderation,
-      output_format,
-      input_fidelity,
-      number_of_images,
-      output_compression,
-      input_images,
-      user_id,
-      openai_api_key
-    } = req.body;
-
-    // Validate prompt
-    if (!prompt?.trim()) {
-      console.log('No prompt provided');
-      return res.status(400).json({ error: 'Prompt required' });
+    const { category, prompt, baseImage, model, parameters } = req.query;
+    const categories = category ? String(category).split(',').map(value => value.trim()) : libraryCategoryIds();
+    const invalid = categories.find(cat => !isLibraryCategory(cat));
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid category', details: `Unknown category "${invalid}"` });
     }
 
-    console.log(`Processing prompt: "${prompt.trim()}"`);
-    console.log(`Using model: OpenAI Image 1.5`);
+    let query;
+    try {
+      query = parseImageQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid query', details: error.message });
+    }
 
-    // Check for API token
-    const token = process.env.REPLICATE_API_TOKEN;
-    if (!token) {
-      console.log('REPLICATE_API_TOKEN not configured');
-      return res.status(500).json({
-        error: 'Replicate API token not configured',
-        details: 'Please set REPLICATE_API_TOKEN environment variable'
-      });
+    const filters = { prompt, baseImage, model, parameters };
+    const matches = [];
+    const totals = {};
+
+    for (const cat of categories) {
+      totals[cat] = 0;
+      for (const file of await storage.list(cat)) {
+        const image = {
+          filename: file.filename,
+          category: cat,
+          size: file.size,
+          createdAt: file.createdAt,
+          modifiedAt: file.modifiedAt,
+          metadata: getImageMetadata(cat, file.filename)
+        };
+        if (matchesMetadataFilters(image.metadata, filters) && matchesImageQuery(image, query)) {
+          matches.push(image);
+          totals[cat]++;
+        }
+      }
     }
 
-    console.log('API token found, initializing Replicate...');
+    // Renditions are only looked up for the page being returned
+    const page = paginateImages(matches, query);
+    const images = page.images.map((image) => {
+      const url = `/uploads/${image.category}/${image.filename}`;
+      const renditions = renditionUrls(image.category, image.filename, image.modifiedAt);
+      if (!renditions) queueRenditions(image.category, image.filename, image.modifiedAt);
+      const { metadata, ...file } = image;
+      return {
+        ...file,
+        url,
+        thumbnailUrl: renditions?.thumbnailUrl || url,
+        previewUrl: renditions?.previewUrl || url,
+        metadata
+      };
+    });
 
-    // Initialize Replicate
-    const replicate = new Replicate({ auth: token });
+    res.json({
+      success: true,
+      count: images.length,
+      total: page.total,
+      totals,
+      images,
+      nextCursor: page.nextCursor,
+      sort: query.sort,
+      order: query.order,
+      storage: {
+        driver: storage.driver,
+        uploadsDir: storage.location(),
+        generatedDir: storage.location('generated'),
+        customerDir: storage.location('customer')
+      }
+    });
+  } catch (error) {
+    console.error('Failed to list images:', error.message);
+    res.status(500).json({ error: 'Failed to list images', details: error.message });
+  }
+});
 
-    // Try the generation with detailed logging
-    console.log(`Starting image generation with OpenAI Image 1.5...`);
+// Library images that look like an upload: every image in `categories` within `maxDistance`
+// of `hash`, closest first. Upscaled copies and proofs are derived from other images and are
+// skipped, as are featureless images (a null hash). Hashes of images stored before hashing
+// existed are computed and saved on the way.
+const findDuplicateImages = async (hash, { categories, maxDistance }) => {
+  if (!hash) return [];
+
+  const duplicates = [];
+  for (const category of categories) {
+    for (const file of await storage.list(category)) {
+      const { filename } = file;
+      const metadata = getImageMetadata(category, filename);
+      if (metadata?.upscaledFrom || metadata?.proofOf) continue;
+
+      let phash = metadata?.phash;
+      if (phash === undefined) {
+        try {
+          phash = await computePerceptualHash(await storage.read(category, filename));
+        } catch {
+          continue;
+        }
+        setImageMetadata(category, filename, { phash });
+      }
+      if (!phash) continue;
+
+      const distance = hammingDistance(hash, phash);
+      if (distance <= maxDistance) {
+        const url = `/uploads/${category}/${filename}`;
+        duplicates.push({
+          category,
+          filename,
+          url,
+          thumbnailUrl: renditionUrls(category, filename, file.modifiedAt)?.thumbnailUrl || url,
+          distance
+        });
+      }
+    }
+  }
+  return duplicates.sort((a, b) => a.distance - b.distance);
+};
 
-    try {
-      // GPT Image 1.5 via Replicate API (supports reference images)
-      const replicateModel = "openai/gpt-image-1.5";
+const DUPLICATE_ACTIONS = ['ask', 'skip', 'replace', 'keep'];
+
+// Validate the options of a library upload. Returns { options } or { error, details } for 400.
+const parseLibraryUploadOptions = ({
+  category = 'customer',
+  onDuplicate = 'ask',
+  duplicateScope = DEFAULT_DUPLICATE_SCOPE,
+  maxDistance = DUPLICATE_MAX_DISTANCE,
+  replace
+}) => {
+  if (!isLibraryCategory(category)) {
+    return { error: 'Invalid category' };
+  }
 
-      // OpenAI API key is optional - Replicate uses proxy if not provided
-      const apiKey = openai_api_key || process.env.OPENAI_API_KEY;
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    return { error: 'Invalid onDuplicate', details: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` };
+  }
 
-      // Map aspect_ratio to supported values (1:1, 3:2, 2:3)
-      let mappedAspectRatio = aspect_ratio;
+  if (!DUPLICATE_SCOPES.includes(duplicateScope)) {
+    return { error: 'Invalid duplicateScope', details: `duplicateScope must be one of: ${DUPLICATE_SCOPES.join(', ')}` };
+  }
 
-      // Validate aspect ratio - only 1:1, 3:2, 2:3 are supported
-      if (!['1:1', '3:2', '2:3'].includes(aspect_ratio)) {
-        mappedAspectRatio = '1:1'; // Default fallback
-      }
+  const distanceLimit = Number(maxDistance);
+  if (!Number.isInteger(distanceLimit) || distanceLimit < 0 || distanceLimit > 64) {
+    return { error: 'Invalid maxDistance', details: 'maxDistance must be a whole number between 0 and 64' };
+  }
 
-      const inputParams = {
-        prompt: prompt.trim(),
-        aspect_ratio: mappedAspectRatio,
-        quality: quality || 'auto',
-        number_of_images: Math.min(number_of_images || 1, 10),
-        output_format: output_format || 'webp',
-        output_compression: output_compression || 90,
-        background: background || 'auto',
-        moderation: moderation || 'auto'
-      };
+  return { options: { category, onDuplicate, duplicateScope, maxDistance: distanceLimit, replace: replace || null } };
+};
 
-      // Add OpenAI API key if provided (optional - uses Replicate proxy if not set)
-      if (apiKey) {
-        inputParams.openai_api_key = apiKey;
-      }
+// Check a prepared upload for duplicates and save it as `filename` according to
+// `onDuplicate`. Returns { statusCode, body } for the upload's response (or result entry).
+const saveLibraryUpload = async (upload, filename, { category, onDuplicate, duplicateScope, maxDistance, replace }) => {
+  const duplicates = await findDuplicateImages(upload.hash, {
+    categories: duplicateScope === 'library' ? libraryCategoryIds() : [category],
+    maxDistance
+  });
 
-      // Add input_fidelity parameter
-      if (input_fidelity) {
-        inputParams.input_fidelity = input_fidelity;
+  if (duplicates.length > 0 && onDuplicate === 'ask') {
+    const closest = duplicates[0];
+    return {
+      statusCode: 409,
+      body: {
+        error: 'Possible duplicate',
+        details: `The image looks like ${closest.category}/${closest.filename}${duplicates.length > 1 ? ` and ${duplicates.length - 1} other image(s)` : ''}`,
+        code: 'DUPLICATE',
+        hash: upload.hash,
+        duplicates
       }
+    };
+  }
 
-      // Add user_id if provided
-      if (user_id) {
-        inputParams.user_id = user_id;
+  if (duplicates.length > 0 && onDuplicate === 'skip') {
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        skipped: true,
+        message: 'Upload skipped: the image is already in the library',
+        hash: upload.hash,
+        duplicates
       }
+    };
+  }
 
-      // Add input images if provided (reference images)
-      if (input_images && Array.isArray(input_images) && input_images.length > 0) {
-        console.log(`Adding ${input_images.length} reference image(s)`);
-        inputParams.input_images = input_images;
-      }
+  // An explicit `replace` may name a duplicate in any category; otherwise only the closest one
+  // in the upload's own category is replaced. Images on an order are never replaced.
+  let replaced = null;
+  if (onDuplicate === 'replace' && replace) {
+    replaced = duplicates.find(entry => entry.category === replace.category && entry.filename === replace.filename) || null;
+    if (!replaced) {
+      return { statusCode: 400, body: { error: 'Invalid replace', details: 'The image to replace is not one of the duplicates found' } };
+    }
+    if (isImageOnOrder(replaced.category, replaced.filename)) {
+      return { statusCode: 409, body: { error: 'Image in use', details: `${replaced.category}/${replaced.filename} belongs to an order and cannot be replaced`, code: 'IN_USE' } };
+    }
+  } else if (onDuplicate === 'replace') {
+    replaced = duplicates.find(entry => entry.category === category && !isImageOnOrder(entry.category, entry.filename)) || null;
+  }
+
+  // The upload is saved before the duplicate is removed, so a failed save loses nothing. An
+  // upload with the duplicate's name overwrites it in place; otherwise it must not overwrite
+  // a duplicate (or anything else) that has the same name.
+  const inPlace = Boolean(replaced && replaced.category === category && filename && uploadFilename(upload, filename) === replaced.filename);
+  const savedImage = await storeUpload(upload, category, filename, { keepExisting: duplicates.length > 0 && !inPlace });
+  if (inPlace) {
+    await removeDerivedImages(category, replaced.filename);
+    deleteImageMetadata(category, replaced.filename);
+  } else if (replaced) {
+    await deleteLibraryImage(replaced.category, replaced.filename);
+  }
+  setImageMetadata(category, savedImage.filename, {
+    source: 'upload',
+    originalFilename: filename || null,
+    phash: upload.hash
+  });
 
-      console.log('Input parameters:', inputParams);
-      console.log(`Calling ${replicateModel}...`);
+  let message = 'Image uploaded to persistent storage';
+  if (replaced) message = `Image uploaded, replacing ${replaced.category}/${replaced.filename}`;
+  else if (onDuplicate === 'replace' && duplicates.length > 0) message = 'Image uploaded next to its duplicates: none of them could be replaced';
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      message,
+      ...savedImage,
+      duplicates,
+      replaced
+    }
+  };
+};
 
-      // Use the selected model
-      const output = await replicate.run(replicateModel, {
-        input: inputParams
-      });
+// Result entry of a file in a multipart upload that could not be saved
+const failedUploadResult = (file, error) => {
+  console.error(`Failed to upload ${file.name}:`, error.message);
+  return error.statusCode
+    ? { file: file.name, statusCode: error.statusCode, error: 'Invalid image', details: error.message, code: error.code }
+    : { file: file.name, statusCode: 500, error: 'Failed to upload image', details: error.message };
+};
 
-      console.log('Replicate API call successful');
-      console.log('Output type:', typeof output);
-      console.log('Output:', Array.isArray(output) ? `Array with ${output.length} items` : output);
-
-      // Handle different output formats
-      let imageUrl;
-      if (Array.isArray(output)) {
-        imageUrl = output[0];
-      } else if (typeof output === 'string') {
-        imageUrl = output;
-      } else if (output && output.output) {
-        imageUrl = Array.isArray(output.output) ? output.output[0] : output.output;
-      } else if (output && output.output_paths) {
-        // Handle zedge/stable-diffusion and similar models that return output_paths
-        imageUrl = Array.isArray(output.output_paths) ? output.output_paths[0] : output.output_paths;
-      } else {
-        throw new Error('Unexpected output format from Replicate');
-      }
+// Summary of multipart upload results by what happened to each file
+const summarizeUploadResults = results => ({
+  saved: results.filter(result => result.success && !result.skipped).length,
+  skipped: results.filter(result => result.skipped).length,
+  duplicates: results.filter(result => result.code === 'DUPLICATE').length,
+  failed: results.filter(result => !result.success && result.code !== 'DUPLICATE').length
+});
 
-      if (!imageUrl) {
-        throw new Error('No image URL received from Replicate');
-      }
+// Upload images to persistent storage as multipart/form-data: up to UPLOAD_MAX_FILES files
+// (any field name) with the options as form fields; `replace` is a JSON string. Files are
+// streamed to disk and answered with a result per file, in the order they were sent.
+//
+// Each upload's perceptual hash is compared with the images in the same category (or the whole
+// library); when likely duplicates are found, `onDuplicate` decides what happens: "ask"
+// (default) answers 409 without saving, "skip" saves nothing, "replace" saves the upload and
+// then deletes the closest duplicate in its category (or `replace: { category, filename }`)
+// and "keep" saves the upload next to it.
+app.post('/api/images/upload', requireRole('admin'), requireMultipart, async (req, res) => {
+  let received;
+  try {
+    received = await receiveMultipartUpload(req);
+  } catch (error) {
+    console.error('Failed to receive upload:', error.message);
+    return res.status(error.statusCode || 500).json({ error: 'Upload failed', details: error.message });
+  }
 
-      console.log('Image URL received:', imageUrl);
+  try {
+    const { fields, files } = received;
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded', details: 'Send the images as multipart/form-data file fields' });
+    }
 
-      // Save generated image to persistent storage
-      let savedImage = null;
+    let replace = null;
+    if (fields.replace) {
       try {
-        savedImage = await saveImageFromUrl(imageUrl, 'generated');
-        console.log(`Image saved to persistent storage: ${savedImage.url}`);
-      } catch (saveError) {
-        console.warn('Failed to save image to persistent storage:', saveError.message);
-        // Continue without saving - image is still available via external URL
+        replace = JSON.parse(fields.replace);
+      } catch {
+        return res.status(400).json({ error: 'Invalid replace', details: 'replace must be a JSON object { "category", "filename" }' });
       }
+    }
 
-      const result = {
-        imageUrl: imageUrl,
-        localUrl: savedImage?.url || null,
-        savedImage: savedImage,
-        prompt: prompt.trim(),
-        timestamp: new Date().toISOString(),
-        model: 'openai-image-1.5',
-        modelName: 'OpenAI Image 1.5',
-        replicateModel: replicateModel,
-        parameters: inputParams,
-        success: true
-      };
-
-      console.log('Generation completed successfully');
-      res.json(result);
-
-    } catch (replicateError) {
-      console.error('Replicate API Error:', replicateError);
-      console.error('Error details:', {
-        message: replicateError.message,
-        status: replicateError.status,
-        response: replicateError.response
-      });
+    const { options, error, details } = parseLibraryUploadOptions({ ...fields, replace });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
 
-      throw replicateError;
+    // One file at a time, so at most one image is held in memory
+    const results = [];
+    for (const file of files) {
+      try {
+        const { statusCode, body } = await saveLibraryUpload(await prepareUploadedFile(file), file.name, options);
+        results.push({ file: file.name, statusCode, ...body });
+      } catch (uploadError) {
+        results.push(failedUploadResult(file, uploadError));
+      }
     }
 
+    res.json({ success: true, results, summary: summarizeUploadResults(results) });
   } catch (error) {
-    console.error('Generation failed:', error);
+    console.error('Failed to upload images:', error.message);
+    res.status(500).json({ error: 'Failed to upload images', details: error.message });
+  } finally {
+    await received.cleanup();
+  }
+});
+
+// Remove the upscaled copy and proof (whose public link stops working) made from a library
+// image, and unlink the image from its original when it is itself a copy or proof
+const removeDerivedImages = async (category, filename) => {
+  const metadata = getImageMetadata(category, filename);
+  if (metadata?.upscaled) {
+    await storage.remove(category, metadata.upscaled.filename);
+    removeRenditions(category, metadata.upscaled.filename);
+    deleteImageMetadata(category, metadata.upscaled.filename);
+  }
+  if (metadata?.upscaledFrom && getImageMetadata(category, metadata.upscaledFrom.filename)?.upscaled?.filename === filename) {
+    setImageMetadata(category, metadata.upscaledFrom.filename, { upscaled: null });
+  }
+  const proof = revokeProof(category, filename);
+  if (proof && proof.filename !== filename) {
+    await removeStoredFile(category, proof.filename);
+  }
+  if (metadata?.proofOf) {
+    setImageMetadata(category, metadata.proofOf.filename, { proof: null });
+  }
+};
 
-    // Determine error type and status code
-    let statusCode = 500;
-    let errorMessage = 'Image generation failed';
-    let errorDetails = error.message;
+// Delete a library image with everything derived from it: renditions, its upscaled copy,
+// its proof, its metadata and its order references. Deleting a copy or proof unlinks it
+// from its original.
+const deleteLibraryImage = async (category, filename) => {
+  await removeDerivedImages(category, filename);
+  await storage.remove(category, filename);
+  removeRenditions(category, filename);
+  deleteImageMetadata(category, filename);
+  detachImageFromOrders(category, filename);
+  console.log(`Image deleted: ${storage.location(category, filename)}`);
+};
 
-    if (error.message?.includes('auth') || error.message?.includes('token')) {
-      statusCode = 401;
-      errorMessage = 'Authentication failed';
-      errorDetails = 'Invalid or missing Replicate API token';
-    } else if (error.message?.includes('not found')) {
-      statusCode = 404;
-      errorMessage = 'Model not found';
-      errorDetails = 'The OpenAI Image 1.5 model is not available';
-    } else if (error.message?.includes('rate limit')) {
-      statusCode = 429;
-      errorMessage = 'Rate limit exceeded';
-      errorDetails = 'Too many requests. Please wait and try again.';
-    } else if (error.message?.includes('insufficient credits')) {
-      statusCode = 402;
-      errorMessage = 'Insufficient credits';
-      errorDetails = 'Not enough Replicate credits to generate image';
+// Delete an image from persistent storage
+app.delete('/api/images/:category/:filename', requireRole('admin'), async (req, res) => {
+  try {
+    const { category, filename } = req.params;
+    try {
+      await assertLibraryImage(category, filename);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: error.statusCode === 404 ? 'Image not found' : 'Invalid image', details: error.message });
     }
 
-    res.status(statusCode).json({
-      error: errorMessage,
-      details: errorDetails,
-      timestamp: new Date().toISOString(),
-      success: false
+    await deleteLibraryImage(category, filename);
+
+    res.json({
+      success: true,
+      message: 'Image deleted from persistent storage',
+      filename,
+      category
     });
+  } catch (error) {
+    console.error('Failed to delete image:', error.message);
+    res.status(500).json({ error: 'Failed to delete image', details: error.message });
   }
 });
 
-// Download proxy endpoint to add 300 DPI metadata to images
-app.post('/api/download-with-dpi', async (req, res) => {
+// Mark or unmark an image as a favorite; retention rules never remove favorites
+app.put('/api/images/:category/:filename/favorite', requireRole('operator'), async (req, res) => {
   try {
-    const { imageUrl, filename } = req.body;
+    const { category, filename } = req.params;
+    if (typeof req.body.favorite !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid favorite', details: 'favorite must be true or false' });
+    }
+    try {
+      await assertLibraryImage(category, filename);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: error.statusCode === 404 ? 'Image not found' : 'Invalid image', details: error.message });
+    }
+
+    const metadata = setImageMetadata(category, filename, { favorite: req.body.favorite });
+    res.json({ success: true, category, filename, favorite: metadata.favorite });
+  } catch (error) {
+    console.error('Failed to update favorite:', error.message);
+    res.status(500).json({ error: 'Failed to update favorite', details: error.message });
+  }
+});
 
-    if (!imageUrl) {
-      return res.status(400).json({ error: 'Image URL required' });
+// Upscale a stored image as a background job (same job API as /api/generate).
+// The upscaled file is saved next to the original and linked in both metadata records.
+app.post('/api/images/:category/:filename/upscale', requireRole('operator'), async (req, res) => {
+  try {
+    const { category, filename } = req.params;
+    if (!isLibraryCategory(category)) {
+      return res.status(400).json({ error: 'Invalid category' });
     }
 
-    console.log(`Downloading and processing image with 300 DPI: ${imageUrl}`);
+    try {
+      await assertLibraryImage(category, filename);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: error.statusCode === 404 ? 'Image not found' : 'Invalid image', details: error.message });
+    }
 
-    // Fetch the image from the URL
-    const imageResponse = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000
-    });
+    const upscale = resolveUpscaleRequest(req.body);
+    if (upscale.error) {
+      return res.status(400).json({ error: 'Invalid upscale option', details: upscale.error });
+    }
 
-    const imageBuffer = Buffer.from(imageResponse.data);
-    const imageB64 = imageBuffer.toString('base64');
+    if (!hasReplicateCredentials()) {
+      return res.status(500).json({
+        error: 'Replicate API token not configured',
+        details: 'Please set REPLICATE_API_TOKEN environment variable'
+      });
+    }
 
-    // Use Python PIL to set DPI (most reliable method)
-    const python = spawn('python3', ['-c', createDPIProcessorScript()]);
+    const { id: userId, username } = req.user;
+    const cost = upscale.upscaler.costPerImage(upscale.scale);
+    const overBudget = checkBudget({ userId, cost });
+    if (overBudget) {
+      return res.status(402).json({
+        error: 'Budget exceeded',
+        details: `${overBudget.scope === 'user-daily' ? `Daily budget for user "${username}"` : 'Daily budget'} of ${formatUsd(overBudget.limit)} reached: ${formatUsd(overBudget.spent)} already spent or reserved, this upscale is estimated at ${formatUsd(overBudget.estimate)}`,
+        budget: overBudget
+      });
+    }
+    const releaseBudget = reserveBudget({ userId, cost });
+    const orderId = getImageMetadata(category, filename)?.orderId || null;
 
-    let stdout = '';
-    let stderr = '';
+    const job = enqueueJob(
+      'upscale',
+      { category, filename, upscaler: upscale.upscaler.id, scale: upscale.scale, estimatedCost: cost },
+      async (report, currentJob) => {
+        try {
+          const upscaled = await upscaleWithUsage({ category, filename, ...upscale, userId, username, orderId, jobId: currentJob.id }, report);
+          return { success: true, category, filename, upscaled, estimatedCost: cost };
+        } finally {
+          releaseBudget();
+        }
+      },
+      (error) => describeGenerationError(error, upscale.upscaler)
+    );
 
-    python.stdout.on('data', (data) => {
-      stdout += data.toString();
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      estimatedCost: cost,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
     });
+  } catch (error) {
+    console.error('Upscale request failed:', error.message);
+    res.status(500).json({ error: 'Failed to start upscale', details: error.message });
+  }
+});
 
-    python.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+// ========================================
+// Retention Endpoints
+// ========================================
 
-    python.on('close', (code) => {
-      if (code === 0) {
-        try {
-          const result = JSON.parse(stdout.trim());
-          if (result.success) {
-            const processedBuffer = Buffer.from(result.image, 'base64');
-
-            // Set appropriate headers
-            const safeFileName = filename ? safeFilename(filename) : 'artwork.jpg';
-            res.set({
-              'Content-Type': 'image/jpeg',
-              'Content-Disposition': `attachment; filename="${safeFileName}"`,
-              'X-DPI-Processing': 'true',
-              'X-DPI-Value': '300'
-            });
-
-            res.send(processedBuffer);
-            console.log(`Image processed and sent with 300 DPI: ${safeFileName}`);
-          } else {
-            console.error('Python processing failed:', result.error);
-            res.status(500).json({ error: 'Image processing failed', details: result.error });
-          }
-        } catch (parseError) {
-          console.error('Failed to parse Python output:', parseError);
-          res.status(500).json({ error: 'Processing output parse failed' });
+// Why an image must survive retention: favorites, and images orders still need (an
+// upscaled copy or proof is kept with its original by lib/retention.js)
+const retentionProtection = () => {
+  const orderImages = orderImageKeys();
+  return (category, file) => {
+    if (file.metadata?.favorite) return 'favorite';
+    if (orderImages.has(`${category}/${file.filename}`)) return 'order';
+    return null;
+  };
+};
+
+// What the current rules would remove right now
+const planLibraryRetention = async () => {
+  const rules = getRetentionRules().filter(rule => isLibraryCategory(rule.category));
+  const files = {};
+  for (const rule of rules.filter(rule => rule.enabled)) {
+    files[rule.category] = (await storage.list(rule.category)).map(file => ({
+      ...file,
+      metadata: getImageMetadata(rule.category, file.filename)
+    }));
+  }
+  return planRetention({ rules, files, protectedReason: retentionProtection() });
+};
+
+let retentionRun = null;
+
+// Apply the rules and record a report. Only one run at a time: a second call while one is in
+// progress gets the running one.
+const runRetention = (trigger) => {
+  if (retentionRun) return retentionRun;
+  retentionRun = (async () => {
+    const startedAt = new Date().toISOString();
+    const plan = await planLibraryRetention();
+    const removed = [];
+    const failed = [];
+    for (const deletion of plan.deletions) {
+      try {
+        await deleteLibraryImage(deletion.category, deletion.filename);
+        // Copies and proofs left behind by an unlinked original
+        for (const filename of deletion.derived) {
+          if (await storage.stat(deletion.category, filename)) await deleteLibraryImage(deletion.category, filename);
         }
-      } else {
-        console.error('Python process failed:', stderr);
-        res.status(500).json({ error: 'Python process failed', details: stderr });
+        removed.push(deletion);
+      } catch (error) {
+        console.error(`Retention failed to delete ${deletion.category}/${deletion.filename}:`, error.message);
+        failed.push({ category: deletion.category, filename: deletion.filename, error: error.message });
       }
+    }
+    const reclaimedBytes = removed.reduce((sum, deletion) => sum + deletion.size, 0);
+    console.log(`Retention (${trigger}): removed ${removed.length} image(s), reclaimed ${(reclaimedBytes / (1024 * 1024)).toFixed(2)} MB`);
+    return recordRetentionReport({
+      trigger,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      removed,
+      failed,
+      reclaimedBytes,
+      categories: plan.categories.map(({ category, totalBytes, overCapBytes }) => ({ category, totalBytes, overCapBytes }))
     });
+  })().finally(() => {
+    retentionRun = null;
+  });
+  return retentionRun;
+};
 
-    // Send input to Python
-    python.stdin.write(JSON.stringify({ image: imageB64 }));
-    python.stdin.end();
+app.get('/api/retention/rules', requireRole('admin'), (req, res) => {
+  res.json({ success: true, rules: getRetentionRules(), intervalHours: RETENTION_INTERVAL_HOURS });
+});
 
+// Replace the rules: { rules: [{ category, maxAgeDays, maxSizeGB, enabled }] }
+app.put('/api/retention/rules', requireRole('admin'), (req, res) => {
+  try {
+    const rules = setRetentionRules(parseRetentionRules(req.body.rules, libraryCategoryIds()));
+    res.json({ success: true, rules });
   } catch (error) {
-    console.error('Download proxy failed:', error.message);
-    res.status(500).json({
-      error: 'Failed to process image',
-      details: error.message
-    });
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: 'Invalid retention rules', details: error.message });
+    }
+    console.error('Failed to save retention rules:', error.message);
+    res.status(500).json({ error: 'Failed to save retention rules', details: error.message });
+  }
+});
+
+// Dry run: what the rules would remove and how much space that would reclaim
+app.get('/api/retention/preview', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await planLibraryRetention()) });
+  } catch (error) {
+    console.error('Retention preview failed:', error.message);
+    res.status(500).json({ error: 'Retention preview failed', details: error.message });
   }
 });
 
+// Apply the rules now instead of waiting for the scheduler
+app.post('/api/retention/run', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, report: await runRetention('manual') });
+  } catch (error) {
+    console.error('Retention run failed:', error.message);
+    res.status(500).json({ error: 'Retention run failed', details: error.message });
+  }
+});
+
+// Reports of past runs, newest first
+app.get('/api/retention/reports', requireRole('admin'), (req, res) => {
+  res.json({ success: true, reports: listRetentionReports() });
+});
+
 // ========================================
-// Persistent Storage API Endpoints
+// Customer Proof Endpoints
 // ========================================
 
-// Helper to get directory for a category
-const getCategoryDir = (category) => {
-  if (category === 'customer') return CUSTOMER_DIR;
-  if (category === 'base') return BASE_DIR;
-  if (CATEGORY_DIRS[category]) return CATEGORY_DIRS[category];
-  return GENERATED_DIR;
-};
-
-// List all images in persistent storage
-app.get('/api/images', (req, res) => {
-  try {
-    const { category } = req.query;
-    const categories = category ? [category] : VALID_CATEGORIES;
-    const images = [];
-
-    categories.forEach(cat => {
-      const dir = getCategoryDir(cat);
-      if (fs.existsSync(dir)) {
-        const files = fs.readdirSync(dir);
-        files.forEach(filename => {
-          const filePath = path.join(dir, filename);
-          const stats = fs.statSync(filePath);
-          if (stats.isFile()) {
-            images.push({
-              filename,
-              category: cat,
-              url: `/uploads/${cat}/${filename}`,
-              size: stats.size,
-              createdAt: stats.birthtime,
-              modifiedAt: stats.mtime
-            });
-          }
-        });
-      }
-    });
+// Delete a derived file (proof) with its renditions and metadata
+const removeStoredFile = async (category, filename) => {
+  await storage.remove(category, filename);
+  removeRenditions(category, filename);
+  deleteImageMetadata(category, filename);
+};
 
-    // Sort by creation date, newest first
-    images.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// Create a watermarked proof of a stored image. The proof is saved next to the original as
+// `<filename>.proof.jpg` (the full name, so foo.png and foo.jpg get separate proofs) and published at an unguessable /proofs/<token> URL; making a new proof
+// replaces the previous one and revokes its link.
+app.post('/api/images/:category/:filename/proof', requireRole('operator'), async (req, res) => {
+  const { category, filename } = req.params;
 
-    res.json({
-      success: true,
-      count: images.length,
-      images,
-      storage: {
-        uploadsDir: UPLOADS_DIR,
-        generatedDir: GENERATED_DIR,
-        customerDir: CUSTOMER_DIR
-      }
-    });
+  try {
+    await assertLibraryImage(category, filename);
   } catch (error) {
-    console.error('Failed to list images:', error.message);
-    res.status(500).json({ error: 'Failed to list images', details: error.message });
+    return res.status(error.statusCode || 400).json({ error: 'Invalid image', details: error.message });
+  }
+  if (getImageMetadata(category, filename)?.proofOf) {
+    return res.status(400).json({ error: 'Invalid image', details: 'This image is already a proof' });
   }
-});
 
-// Upload an image to persistent storage
-app.post('/api/images/upload', (req, res) => {
+  let options;
   try {
-    const { image, category = 'customer', filename } = req.body;
+    options = parseProofOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid watermark options', details: error.message });
+  }
 
-    if (!image) {
-      return res.status(400).json({ error: 'Image data required (base64)' });
+  try {
+    // A file already stored under the proof's name may only be an earlier proof of this image
+    const proofFilename = `${filename}.proof.jpg`;
+    const proofOf = getImageMetadata(category, proofFilename)?.proofOf;
+    if (await storage.stat(category, proofFilename) && (proofOf?.category !== category || proofOf?.filename !== filename)) {
+      return res.status(409).json({ error: 'Proof filename taken', details: `${category}/${proofFilename} already exists and is not a proof of this image` });
     }
 
-    const savedImage = saveImageFromBase64(image, category, filename);
-    res.json({
-      success: true,
-      message: 'Image uploaded to persistent storage',
-      ...savedImage
+    const { data, width, height } = await renderProof(await storage.read(category, filename), options);
+    await storage.put(category, proofFilename, data, { contentType: 'image/jpeg' });
+    queueRenditions(category, proofFilename);
+
+    const { proof, previous } = registerProof({
+      category,
+      filename: proofFilename,
+      original: { category, filename },
+      watermark: options
+    });
+    if (previous && previous.filename !== proofFilename) {
+      await removeStoredFile(category, previous.filename);
+    }
+
+    setImageMetadata(category, proofFilename, {
+      source: 'proof',
+      proofOf: { category, filename, url: `/uploads/${category}/${filename}` },
+      watermark: options,
+      width,
+      height
     });
+    const summary = {
+      filename: proofFilename,
+      url: `/uploads/${category}/${proofFilename}`,
+      publicUrl: proofUrl(proof.token),
+      watermark: options,
+      width,
+      height,
+      createdAt: proof.createdAt
+    };
+    setImageMetadata(category, filename, { proof: summary });
+    console.log(`Proof created for ${category}/${filename}: ${summary.publicUrl}`);
+
+    res.status(201).json({ success: true, proof: summary });
   } catch (error) {
-    console.error('Failed to upload image:', error.message);
-    res.status(500).json({ error: 'Failed to upload image', details: error.message });
+    console.error('Failed to create proof:', error.message);
+    res.status(500).json({ error: 'Failed to create proof', details: error.message });
   }
 });
 
-// Delete an image from persistent storage
-app.delete('/api/images/:category/:filename', (req, res) => {
-  try {
-    const { category, filename } = req.params;
-    const targetDir = getCategoryDir(category);
-    const filePath = path.join(targetDir, filename);
+// Delete an image's proof and revoke its public link
+app.delete('/api/images/:category/:filename/proof', requireRole('operator'), async (req, res) => {
+  const { category, filename } = req.params;
+  if (!isLibraryCategory(category) || !getImageMetadata(category, filename)?.proof) {
+    return res.status(404).json({ error: 'Proof not found' });
+  }
 
-    // Security check - prevent directory traversal
-    if (!filePath.startsWith(targetDir)) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+  const proof = revokeProof(category, filename);
+  if (proof) await removeStoredFile(category, proof.filename);
+  setImageMetadata(category, filename, { proof: null });
+  console.log(`Proof revoked for ${category}/${filename}`);
+  res.json({ success: true, category, filename });
+});
 
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'Image not found' });
-    }
+// Public proof link: serves only the watermarked proof, never the master.
+// `?download=1` sends it as an attachment.
+app.get('/proofs/:token', async (req, res) => {
+  const proof = getProofByToken(req.params.token);
+  if (!proof) {
+    return res.status(404).json({ error: 'Proof not found' });
+  }
 
-    fs.unlinkSync(filePath);
-    console.log(`Image deleted: ${filePath}`);
+  try {
+    const file = await storage.stat(proof.category, proof.filename);
+    if (!file) {
+      return res.status(404).json({ error: 'Proof not found' });
+    }
 
-    res.json({
-      success: true,
-      message: 'Image deleted from persistent storage',
-      filename,
-      category
+    res.set({
+      'Cache-Control': 'private, no-cache',
+      'X-Robots-Tag': 'noindex'
     });
+    if (storage.driver === 'local') {
+      const filePath = path.resolve(storage.filePath(proof.category, proof.filename));
+      if (req.query.download) {
+        return res.download(filePath, proof.filename);
+      }
+      return res.type('jpg').sendFile(filePath);
+    }
+    if (S3_URL_MODE === 'signed') {
+      return res.redirect(302, await storage.signedUrl(proof.category, proof.filename, { downloadName: req.query.download ? proof.filename : null }));
+    }
+    await sendStoredFile(res, proof.category, proof.filename, file, { download: Boolean(req.query.download) });
   } catch (error) {
-    console.error('Failed to delete image:', error.message);
-    res.status(500).json({ error: 'Failed to delete image', details: error.message });
+    console.error('Failed to serve proof:', error.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to load proof', details: error.message });
   }
 });
 
 // Get storage statistics
-app.get('/api/storage/stats', (req, res) => {
+app.get('/api/storage/stats', requireRole('admin'), async (req, res) => {
   try {
-    const getDirectoryStats = (dir) => {
-      if (!fs.existsSync(dir)) {
-        return { count: 0, totalSize: 0 };
-      }
-      const files = fs.readdirSync(dir);
-      let totalSize = 0;
-      let count = 0;
-
-      files.forEach(filename => {
-        const filePath = path.join(dir, filename);
-        const stats = fs.statSync(filePath);
-        if (stats.isFile()) {
-          totalSize += stats.size;
-          count++;
-        }
-      });
-
-      return { count, totalSize };
+    const getCategoryStats = async (category) => {
+      const files = await storage.list(category);
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      return {
+        directory: storage.location(category),
+        count: files.length,
+        totalSize,
+        totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2)
+      };
     };
 
-    const generatedStats = getDirectoryStats(GENERATED_DIR);
-    const customerStats = getDirectoryStats(CUSTOMER_DIR);
-    const baseStats = getDirectoryStats(BASE_DIR);
-
-    // Get stats for outfit categories
     const categoryStats = {};
-    let totalCategoryCount = 0;
-    let totalCategorySize = 0;
-    Object.entries(CATEGORY_DIRS).forEach(([cat, dir]) => {
-      const stats = getDirectoryStats(dir);
-      categoryStats[cat] = {
-        directory: dir,
-        ...stats,
-        totalSizeMB: (stats.totalSize / (1024 * 1024)).toFixed(2)
-      };
-      totalCategoryCount += stats.count;
-      totalCategorySize += stats.totalSize;
-    });
+    for (const category of libraryCategoryIds()) {
+      categoryStats[category] = await getCategoryStats(category);
+    }
+    const totalCount = Object.values(categoryStats).reduce((sum, stats) => sum + stats.count, 0);
+    const totalSize = Object.values(categoryStats).reduce((sum, stats) => sum + stats.totalSize, 0);
 
     res.json({
       success: true,
       storage: {
-        uploadsDir: UPLOADS_DIR,
-        generated: {
-          directory: GENERATED_DIR,
-          ...generatedStats,
-          totalSizeMB: (generatedStats.totalSize / (1024 * 1024)).toFixed(2)
-        },
-        customer: {
-          directory: CUSTOMER_DIR,
-          ...customerStats,
-          totalSizeMB: (customerStats.totalSize / (1024 * 1024)).toFixed(2)
-        },
-        base: {
-          directory: BASE_DIR,
-          ...baseStats,
-          totalSizeMB: (baseStats.totalSize / (1024 * 1024)).toFixed(2)
-        },
+        driver: storage.driver,
+        uploadsDir: storage.location(),
         ...categoryStats,
         total: {
-          count: generatedStats.count + customerStats.count + baseStats.count + totalCategoryCount,
-          totalSize: generatedStats.totalSize + customerStats.totalSize + baseStats.totalSize + totalCategorySize,
-          totalSizeMB: ((generatedStats.totalSize + customerStats.totalSize + baseStats.totalSize + totalCategorySize) / (1024 * 1024)).toFixed(2)
+          count: totalCount,
+          totalSize,
+          totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2)
         }
       }
     });
@@ -654,20 +2379,55 @@ app.get('/api/storage/stats', (req, res) => {
   }
 });
 
+// List generation models from the provider registry (used to render model controls)
+app.get('/api/models', requireRole('operator'), (req, res) => {
+  const models = getEnabledModels().map(model => ({
+    ...describeModel(model),
+    availability: getModelAvailability(model.id)
+  }));
+  res.json({
+    success: true,
+    defaultModel: DEFAULT_MODEL_ID,
+    models,
+    defaultUpscaler: DEFAULT_UPSCALER_ID,
+    upscalers: UPSCALERS.map(describeUpscaler)
+  });
+});
+
+// Models that can actually be used: enabled, token configured and not reported missing by Replicate
+const getAvailableModelIds = () => {
+  if (!hasReplicateCredentials()) return [];
+  return getEnabledModels()
+    .filter(model => getModelAvailability(model.id).status !== 'unavailable')
+    .map(model => model.id);
+};
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
     features: {
-      models: ['openai-image-1.5'],
+      models: getAvailableModelIds(),
+      asyncJobs: true,
       dpiProcessing: true,
-      persistentStorage: true
+      exportFormats: Object.keys(EXPORT_FORMATS),
+      colorProfiles: describeColorProfiles(),
+      upscaling: UPSCALERS.map(upscaler => upscaler.id),
+      proofWatermark: watermarkDefaults(),
+      multipartUploads: { maxFiles: MAX_UPLOAD_FILES },
+      duplicateDetection: { maxDistance: DUPLICATE_MAX_DISTANCE, scope: DEFAULT_DUPLICATE_SCOPE },
+      retention: { intervalHours: RETENTION_INTERVAL_HOURS, rules: getRetentionRules().filter(rule => rule.enabled).length },
+      printSizes: Object.keys(PRINT_SIZES),
+      persistentStorage: true,
+      mockProvider: isMockProvider(),
+      authentication: true
     },
     storage: {
-      uploadsDir: UPLOADS_DIR,
-      writable: fs.existsSync(UPLOADS_DIR) && fs.accessSync(UPLOADS_DIR, fs.constants.W_OK) === undefined
+      driver: storage.driver,
+      uploadsDir: storage.location(),
+      writable: await storage.isWritable()
     }
   });
 });
@@ -680,10 +2440,25 @@ app.get('*', (req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`AI Art Generator running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
-  console.log(`Replicate API: ${process.env.REPLICATE_API_TOKEN ? 'Configured' : 'Missing'}`);
-  console.log('Supported model: OpenAI Image 1.5');
-  console.log(`Persistent storage: ${UPLOADS_DIR}`);
-  console.log(`  - Generated images: ${GENERATED_DIR}`);
-  console.log(`  - Customer uploads: ${CUSTOMER_DIR}`);
-  console.log(`  - Base images: ${BASE_DIR}`);
+  console.log(`Replicate API: ${isMockProvider() ? 'Mock provider (offline)' : process.env.REPLICATE_API_TOKEN ? 'Configured' : 'Missing'}`);
+  console.log(`Supported models: ${getEnabledModels().map(model => model.name).join(', ')}`);
+
+  // Check which registry models Replicate actually serves (cached, refreshed hourly)
+  if (hasReplicateCredentials()) {
+    const checkModels = () => refreshModelAvailability(createReplicateClient())
+      .catch(error => console.warn('Model availability check failed:', error.message));
+    checkModels();
+    setInterval(checkModels, 60 * 60 * 1000).unref();
+  }
+  console.log(`Persistent storage (${storage.driver}): ${storage.location()}`);
+  console.log(`  - Generated images: ${storage.location('generated')}`);
+  console.log(`  - Customer uploads: ${storage.location('customer')}`);
+  console.log(`  - Base images: ${storage.location('base')}`);
+  console.log(`  - Categories: ${listCategories().map(category => category.id).join(', ')}`);
+  if (storage.driver !== 'local') console.log(`  - Image URLs: ${S3_URL_MODE === 'signed' ? 'presigned redirects' : 'proxied'}; local data: ${UPLOADS_DIR}`);
+
+  // Apply the retention rules on a timer (RETENTION_INTERVAL_HOURS=0 turns this off)
+  const retentionTimer = scheduleRetention(() => runRetention('scheduled')
+    .catch(error => console.error('Scheduled retention failed:', error.message)));
+  console.log(`Retention: ${retentionTimer ? `every ${RETENTION_INTERVAL_HOURS}h` : 'scheduler disabled'}`);
 });
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { authenticate, requestToken, SESSION_COOKIE } from '../lib/auth.js';
+
+const request = cookie => ({ headers: { cookie } });
+
+describe('requestToken', () => {
+  it('reads the session cookie', () => {
+    assert.equal(requestToken(request(`theme=dark; ${SESSION_COOKIE}=abc%2Bdef`)), 'abc+def');
+  });
+
+  it('treats a cookie that is not valid percent-encoding as no token', () => {
+    assert.equal(requestToken(request(`${SESSION_COOKIE}=%E0`)), null);
+  });
+});
+
+describe('authenticate', () => {
+  it('lets a request with a malformed cookie through without a user', () => {
+    const req = request(`${SESSION_COOKIE}=%E0`);
+    let called = false;
+    authenticate(req, {}, () => {
+      called = true;
+    });
+    assert.equal(called, true);
+    assert.equal(req.user, null);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import sharp from 'sharp';
+import { computePerceptualHash, hammingDistance } from '../lib/perceptualHash.js';
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+const flatImage = color => sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: color } }).png().toBuffer();
+
+// Grey pixels from `shade(x, y)`, encoded as JPEG so compression noise is included
+const greyImage = (shade) => {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      pixels[y * WIDTH + x] = Math.max(0, Math.min(255, Math.round(shade(x, y))));
+    }
+  }
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).jpeg({ quality: 80 }).toBuffer();
+};
+
+// Soft light and dark patches, and diagonal bands
+const waves = (x, y) => 128 + 90 * Math.sin(x / 40) * Math.cos(y / 35);
+const bands = (x, y) => (Math.floor((x + 2 * y) / 70) % 2 ? 200 : 30);
+
+describe('computePerceptualHash', () => {
+  it('gives blank images no hash', async () => {
+    assert.equal(await computePerceptualHash(await flatImage('#ffffff')), null);
+    assert.equal(await computePerceptualHash(await flatImage('#000000')), null);
+    assert.equal(await computePerceptualHash(await flatImage('#3366cc')), null);
+  });
+
+  it('gives near-uniform images no hash', async () => {
+    // A faint vignette and speckle, as on a scanned blank page
+    const page = (x, y) => 240 - Math.hypot(x - WIDTH / 2, y - HEIGHT / 2) / 60 + ((x * 7 + y * 13) % 5);
+    assert.equal(await computePerceptualHash(await greyImage(page)), null);
+  });
+
+  it('hashes images with detail to 16 hex digits', async () => {
+    assert.match(await computePerceptualHash(await greyImage(waves)), /^[0-9a-f]{16}$/);
+  });
+
+  it('keeps re-encoded copies close and different images apart', async () => {
+    const original = await greyImage(waves);
+    const copy = await sharp(original).resize(160).webp({ quality: 60 }).toBuffer();
+    const other = await greyImage(bands);
+
+    const hash = await computePerceptualHash(original);
+    assert.ok(hammingDistance(hash, await computePerceptualHash(copy)) <= 6);
+    assert.ok(hammingDistance(hash, await computePerceptualHash(other)) > 6);
+  });
+});
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { describeColorProfiles } from '../lib/colorProfiles.js';
+import { parseExportOptions } from '../lib/printExport.js';
+
+// These run without CMYK_PROFILE, as a fresh install does
+describe('CMYK exports without a configured profile', () => {
+  it('are refused with a 400 that names CMYK_PROFILE', () => {
+    assert.throws(() => parseExportOptions({ format: 'tiff', colorProfile: 'cmyk' }), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /CMYK_PROFILE/);
+      return true;
+    });
+  });
+
+  it('are reported as unavailable', () => {
+    const cmyk = describeColorProfiles().find(profile => profile.id === 'cmyk');
+    assert.equal(cmyk.available, false);
+    assert.equal(cmyk.profile, null);
+  });
+
+  it('leave the RGB profiles usable', () => {
+    assert.equal(parseExportOptions({ colorProfile: 'srgb' }).colorProfile, 'srgb');
+    assert.equal(parseExportOptions({ format: 'png', colorProfile: 'adobe-rgb' }).colorProfile, 'adobe-rgb');
+  });
+});
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildModelInput, MODELS } from '../lib/providers.js';
+
+const model = id => MODELS.find(entry => entry.id === id);
+
+describe('buildModelInput range parameters', () => {
+  it('rounds whole-number ranges to integers', () => {
+    const input = buildModelInput(model('openai-image-1.5'), { prompt: 'a cat', number_of_images: 2.5, output_compression: 87 });
+    assert.equal(input.number_of_images, 3);
+    assert.equal(input.output_compression, 85);
+  });
+
+  it('snaps fractional steps without floating point residue', () => {
+    assert.equal(buildModelInput(model('seedream'), { prompt: 'a cat', guidance_scale: 2.7 }).guidance_scale, 2.5);
+    assert.equal(buildModelInput(model('seedream'), { prompt: 'a cat', guidance_scale: '7.3' }).guidance_scale, 7.5);
+  });
+
+  it('clamps to the range after snapping', () => {
+    const input = buildModelInput(model('openai-image-1.5'), { prompt: 'a cat', number_of_images: 99, output_compression: -3 });
+    assert.equal(input.number_of_images, 10);
+    assert.equal(input.output_compression, 0);
+  });
+
+  it('falls back to the default for values that are not numbers', () => {
+    assert.equal(buildModelInput(model('seedream'), { prompt: 'a cat', guidance_scale: 'high' }).guidance_scale, 2.5);
+    assert.equal(buildModelInput(model('seedream'), { prompt: 'a cat', guidance_scale: 'Infinity' }).guidance_scale, 2.5);
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { MAX_RETENTION_INTERVAL_HOURS, MIN_RETENTION_INTERVAL_HOURS, parseRetentionInterval, planRetention, scheduleRetention } from '../lib/retention.js';
+
+// Largest delay setInterval honours; longer ones fire after 1 ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+describe('parseRetentionInterval', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('defaults to 24 hours when unset or invalid', () => {
+    assert.equal(parseRetentionInterval(undefined), 24);
+    assert.equal(parseRetentionInterval('daily'), 24);
+    assert.equal(parseRetentionInterval('-5'), 24);
+  });
+
+  it('keeps 0 to disable the scheduler', () => {
+    assert.equal(parseRetentionInterval('0'), 0);
+  });
+
+  it('keeps intervals within range', () => {
+    assert.equal(parseRetentionInterval('6'), 6);
+    assert.equal(parseRetentionInterval('168'), 168);
+  });
+
+  it('clamps intervals longer than a timer can wait', () => {
+    mock.method(console, 'warn', () => {});
+    assert.equal(parseRetentionInterval('720'), MAX_RETENTION_INTERVAL_HOURS);
+    assert.equal(parseRetentionInterval('100000'), MAX_RETENTION_INTERVAL_HOURS);
+    assert.ok(MAX_RETENTION_INTERVAL_HOURS * 60 * 60 * 1000 <= MAX_TIMER_MS);
+  });
+
+  it('clamps intervals too short to be useful', () => {
+    mock.method(console, 'warn', () => {});
+    assert.equal(parseRetentionInterval('0.000001'), MIN_RETENTION_INTERVAL_HOURS);
+  });
+});
+
+describe('scheduleRetention', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('never asks for a delay that overflows the timer', () => {
+    mock.method(console, 'warn', () => {});
+    const setInterval = mock.method(globalThis, 'setInterval', () => ({ unref: () => {} }));
+
+    scheduleRetention(() => {}, parseRetentionInterval('720'));
+
+    const [, delay] = setInterval.mock.calls[0].arguments;
+    assert.ok(delay > 0 && delay <= MAX_TIMER_MS, `delay ${delay} ms is outside the timer range`);
+  });
+
+  it('does not schedule anything when disabled', () => {
+    const setInterval = mock.method(globalThis, 'setInterval');
+    assert.equal(scheduleRetention(() => {}, 0), null);
+    assert.equal(setInterval.mock.callCount(), 0);
+  });
+});
+
+describe('planRetention', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  const rules = [{ category: 'generated', maxAgeDays: 30, maxSizeGB: null, enabled: true }];
+  const plan = files => planRetention({ rules, files: { generated: files }, protectedReason: () => null, now });
+
+  it('ignores the storage createdAt, which is the epoch without a birth time', () => {
+    const { deletions } = plan([
+      { filename: 'recent.png', size: 10, createdAt: new Date(0), modifiedAt: daysAgo(2), metadata: null }
+    ]);
+    assert.deepEqual(deletions, []);
+  });
+
+  it('prefers the metadata createdAt over the modification time', () => {
+    const { deletions } = plan([
+      { filename: 'old.png', size: 10, modifiedAt: daysAgo(1), metadata: { createdAt: daysAgo(40) } },
+      { filename: 'restored.png', size: 10, modifiedAt: daysAgo(40), metadata: { createdAt: daysAgo(3) } }
+    ]);
+    assert.deepEqual(deletions.map(deletion => deletion.filename), ['old.png']);
+  });
+
+  it('falls back to the modification time', () => {
+    const { deletions } = plan([
+      { filename: 'old.png', size: 10, modifiedAt: daysAgo(40), metadata: null }
+    ]);
+    assert.deepEqual(deletions.map(deletion => deletion.filename), ['old.png']);
+  });
+
+  it('never removes images of unknown age, even over the size cap', () => {
+    const { deletions, categories } = planRetention({
+      rules: [{ category: 'generated', maxAgeDays: 30, maxSizeGB: 1e-9, enabled: true }],
+      files: { generated: [{ filename: 'unknown.png', size: 10, createdAt: new Date(0), modifiedAt: null, metadata: {} }] },
+      protectedReason: () => null,
+      now
+    });
+    assert.deepEqual(deletions, []);
+    assert.equal(categories[0].unknownAge, 1);
+  });
+});
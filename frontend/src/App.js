@@ -1,52 +1,172 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { Toaster } from 'react-hot-toast';
-import { Sparkles } from 'lucide-react';
+import { Sparkles, Library, ClipboardList, LogOut } from 'lucide-react';
 import GenerateTab from './components/GenerateTab';
+import GenerationLibrary from './components/GenerationLibrary';
+import OrdersPanel from './components/OrdersPanel';
+import LoginScreen from './components/LoginScreen';
+import { AuthContext } from './context/AuthContext';
+import { CategoriesContext } from './context/CategoriesContext';
+import { AUTH_EXPIRED_EVENT, fetchCurrentUser, logout } from './api/client';
+import { listCategories } from './api/categories';
+
+const TABS = [
+  { id: 'generate', name: 'Generate', icon: Sparkles },
+  { id: 'library', name: 'Library', icon: Library },
+  { id: 'orders', name: 'Orders', icon: ClipboardList }
+];
 
 export default function App() {
+  const [activeTab, setActiveTab] = useState('generate');
+  // Order the generator is working on; its photos, base image and results are tied to it
+  const [activeOrderId, setActiveOrderId] = useState(null);
+
+  // undefined while the session is being checked, null when logged out
+  const [user, setUser] = useState(undefined);
+
+  const openOrderInGenerator = (orderId) => {
+    setActiveOrderId(orderId);
+    setActiveTab('generate');
+  };
+
+  useEffect(() => {
+    fetchCurrentUser().then(setUser).catch(() => setUser(null));
+
+    // Any API call answered with 401 means the session expired or was revoked
+    const handleExpired = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  // Library categories, shared by the image picker, prompt templates and the generator
+  const [categories, setCategories] = useState({ list: [], loaded: false });
+  const reloadCategories = useCallback(async () => {
+    try {
+      setCategories({ list: await listCategories(), loaded: true });
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) reloadCategories();
+  }, [user, reloadCategories]);
+
+  const categoryContext = useMemo(() => ({
+    categories: categories.list,
+    loaded: categories.loaded,
+    reload: reloadCategories
+  }), [categories, reloadCategories]);
+
+  const auth = useMemo(() => ({
+    user,
+    isAdmin: user?.role === 'admin',
+    logout: async () => {
+      await logout();
+      setUser(null);
+    }
+  }), [user]);
+
+  if (user === undefined) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="w-8 h-8 border-2 border-accent-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <>
+        <Toaster position="top-right" />
+        <LoginScreen onLogin={setUser} />
+      </>
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
-      <Toaster position="top-right" />
-
-      {/* Header */}
-      <header className="bg-white/80 backdrop-blur-sm border-b border-white/50 sticky top-0 z-50">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
-          <div className="flex items-center gap-3">
-            <div className="p-2 bg-gradient-to-r from-accent-500 to-primary-500 rounded-xl">
-              <Sparkles className="w-6 h-6 text-white" />
+    <AuthContext.Provider value={auth}>
+      <CategoriesContext.Provider value={categoryContext}>
+        <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+          <Toaster position="top-right" />
+
+          {/* Header */}
+          <header className="bg-white/80 backdrop-blur-sm border-b border-white/50 sticky top-0 z-50">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <div className="p-2 bg-gradient-to-r from-accent-500 to-primary-500 rounded-xl">
+                    <Sparkles className="w-6 h-6 text-white" />
+                  </div>
+                  <div>
+                    <h1 className="text-xl font-bold bg-gradient-to-r from-accent-600 to-primary-600 bg-clip-text text-transparent">
+                      AI Art Generator
+                    </h1>
+                    <p className="text-xs text-slate-500">Multi-model image generation</p>
+                  </div>
+                </div>
+                <nav className="flex gap-2">
+                  {TABS.map(({ id, name, icon: Icon }) => (
+                    <button
+                      key={id}
+                      onClick={() => setActiveTab(id)}
+                      className={`px-4 py-2 rounded-xl text-sm font-medium transition-all flex items-center gap-2 ${
+                        activeTab === id
+                          ? 'bg-gradient-to-r from-accent-500 to-primary-500 text-white shadow-md'
+                          : 'bg-white/70 text-slate-600 hover:bg-white hover:shadow-sm border border-slate-200'
+                      }`}
+                    >
+                      <Icon className="w-4 h-4" />
+                      {name}
+                    </button>
+                  ))}
+                  <div className="flex items-center gap-2 pl-3 ml-1 border-l border-slate-200 text-sm text-slate-600">
+                    <span>{user.username}</span>
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-slate-100 text-slate-500">{user.role}</span>
+                    <button
+                      onClick={auth.logout}
+                      className="p-2 rounded-lg hover:bg-white hover:shadow-sm transition-all"
+                      title="Log out"
+                    >
+                      <LogOut className="w-4 h-4" />
+                    </button>
+                  </div>
+                </nav>
+              </div>
             </div>
-            <div>
-              <h1 className="text-xl font-bold bg-gradient-to-r from-accent-600 to-primary-600 bg-clip-text text-transparent">
-                AI Art Generator
-              </h1>
-              <p className="text-xs text-slate-500">Multi-model image generation</p>
+          </header>
+
+          <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-center mb-12"
+            >
+              <h2 className="text-4xl sm:text-5xl font-bold bg-gradient-to-r from-primary-600 via-accent-500 to-primary-700 bg-clip-text text-transparent mb-4">
+                Create Amazing AI Art
+              </h2>
+              <p className="text-lg text-slate-600 max-w-2xl mx-auto">
+                Generate stunning artwork using multiple AI models including Flux, Seedream-3, Stable Diffusion, and OpenAI
+              </p>
+            </motion.div>
+
+            {/* Keep the generator mounted so its state survives tab switches */}
+            <div className={activeTab === 'generate' ? '' : 'hidden'}>
+              <GenerateTab orderId={activeOrderId} onCloseOrder={() => setActiveOrderId(null)} />
             </div>
-          </div>
+            {activeTab === 'library' && <GenerationLibrary />}
+            {activeTab === 'orders' && (
+              <OrdersPanel activeOrderId={activeOrderId} onOpenInGenerator={openOrderInGenerator} />
+            )}
+          </main>
+
+          {/* Footer */}
+          <footer className="py-6 text-center text-slate-500 text-sm">
+            <p>Powered by Replicate API</p>
+          </footer>
         </div>
-      </header>
-
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          className="text-center mb-12"
-        >
-          <h2 className="text-4xl sm:text-5xl font-bold bg-gradient-to-r from-primary-600 via-accent-500 to-primary-700 bg-clip-text text-transparent mb-4">
-            Create Amazing AI Art
-          </h2>
-          <p className="text-lg text-slate-600 max-w-2xl mx-auto">
-            Generate stunning artwork using multiple AI models including Flux, SeedreamS-3, Stable Diffusion, and OpenAI
-          </p>
-        </motion.div>
-
-        <GenerateTab />
-      </main>
-
-      {/* Footer */}
-      <footer className="py-6 text-center text-slate-500 text-sm">
-        <p>Powered by Replicate API</p>
-      </footer>
-    </div>
+      </CategoriesContext.Provider>
+    </AuthContext.Provider>
   );
 }
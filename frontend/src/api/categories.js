@@ -0,0 +1,25 @@
+// Helpers for the library category API
+
+import { requestJson } from './request';
+
+export const listCategories = async () => (await requestJson('/api/categories')).categories;
+
+export const createCategory = async (fields) => (await requestJson('/api/categories', {
+  method: 'POST',
+  body: JSON.stringify(fields)
+})).category;
+
+export const updateCategory = async (id, changes) => (await requestJson(`/api/categories/${encodeURIComponent(id)}`, {
+  method: 'PATCH',
+  body: JSON.stringify(changes)
+})).category;
+
+// `ids` lists every category id in the new order
+export const reorderCategories = async (ids) => (await requestJson('/api/categories/order', {
+  method: 'PUT',
+  body: JSON.stringify({ ids })
+})).categories;
+
+export const deleteCategory = async (id) => requestJson(`/api/categories/${encodeURIComponent(id)}`, {
+  method: 'DELETE'
+});
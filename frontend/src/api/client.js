@@ -0,0 +1,73 @@
+// Central fetch wrapper: every API call sends the session cookie, and a 401 from any
+// endpoint signals the app to show the login screen again.
+
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
+export const apiFetch = async (url, options = {}) => {
+  const response = await fetch(url, { credentials: 'include', ...options });
+  if (response.status === 401 && !url.startsWith('/api/auth/')) {
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return response;
+};
+
+// POST files as multipart/form-data (`fields` first, then each file under "files"). fetch
+// cannot report upload progress, so this uses XMLHttpRequest; onProgress receives the sent
+// fraction (0-1) of each file, in order. Resolves with { ok, status, data }.
+export const apiUpload = (url, { files, fields = {}, onProgress } = {}) => new Promise((resolve, reject) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) form.append(key, value);
+  });
+  files.forEach(file => form.append('files', file, file.name));
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', url);
+  xhr.withCredentials = true;
+  xhr.responseType = 'json';
+
+  // The body sends the files in order, so the bytes sent so far map onto each file's share
+  // (scaled to leave out the multipart headers)
+  xhr.upload.onprogress = (event) => {
+    if (!onProgress || !event.lengthComputable) return;
+    const fileBytes = files.reduce((sum, file) => sum + file.size, 0);
+    let sent = event.loaded * (fileBytes / event.total);
+    onProgress(files.map((file) => {
+      const fileSent = Math.min(Math.max(sent, 0), file.size);
+      sent -= file.size;
+      return file.size ? fileSent / file.size : 1;
+    }));
+  };
+  xhr.onload = () => {
+    if (xhr.status === 401) {
+      window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
+    resolve({ ok: xhr.status >= 200 && xhr.status < 300, status: xhr.status, data: xhr.response || {} });
+  };
+  xhr.onerror = () => reject(new Error('Upload failed: network error'));
+  xhr.send(form);
+});
+
+// The logged-in user, or null when there is no valid session
+export const fetchCurrentUser = async () => {
+  const response = await apiFetch('/api/auth/me');
+  if (!response.ok) return null;
+  return (await response.json()).user;
+};
+
+export const login = async (username, password) => {
+  const response = await apiFetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Login failed');
+  }
+  return data.user;
+};
+
+export const logout = async () => {
+  await apiFetch('/api/auth/logout', { method: 'POST' });
+};
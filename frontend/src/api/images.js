@@ -0,0 +1,49 @@
+// Helpers for the image library
+
+import { apiFetch, apiUpload } from './client';
+
+// Upload files to a library category in one multipart request. Resolves with
+// { results, summary }: a result per file, in order, where duplicates found with `onDuplicate`
+// "ask" have code "DUPLICATE" and their `duplicates`; resend those files with "skip",
+// "replace" (and `replace: { category, filename }`) or "keep" to decide.
+export const uploadLibraryFiles = async ({ files, category, onDuplicate = 'ask', replace, onProgress }) => {
+  const { ok, data } = await apiUpload('/api/images/upload', {
+    files,
+    fields: { category, onDuplicate, replace: replace ? JSON.stringify(replace) : null },
+    onProgress
+  });
+  if (!ok || !data.success) {
+    throw new Error(data.details || data.error || 'Upload failed');
+  }
+  return data;
+};
+
+// One page of library images: { images, total, totals, nextCursor }. Options map to the
+// /api/images query (category, limit, cursor, sort, order, search, from, to, ...); empty
+// values are left out.
+export const listLibraryImages = async (options = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  });
+  const response = await apiFetch(`/api/images?${params}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.details || data.error || 'Failed to load images');
+  }
+  return data;
+};
+
+// Mark or unmark a library image as a favorite; retention rules never remove favorites
+export const setImageFavorite = async (category, filename, favorite) => {
+  const response = await apiFetch(`/api/images/${encodeURIComponent(category)}/${encodeURIComponent(filename)}/favorite`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ favorite })
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.details || data.error || 'Failed to update favorite');
+  }
+  return data;
+};
@@ -0,0 +1,65 @@
+// Helpers for the backend job API (submit, then follow progress until done)
+
+import { requestJson, requestUpload } from './request';
+
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+const POLL_INTERVAL_MS = 1500;
+
+// Submit a generation request. Resolves with { jobId, statusUrl, eventsUrl }.
+export const submitGenerationJob = async (requestBody) => requestJson('/api/generate', {
+  method: 'POST',
+  body: JSON.stringify(requestBody)
+});
+
+// Upload generation input images (customer photos, reference images) in one multipart
+// request. Resolves with { results, summary }: a result per file, in order; the saved ones
+// carry the { category, filename } to send in `input_images`.
+export const uploadGenerationInputs = async (files, { onProgress } = {}) => requestUpload('/api/generate/inputs', { files, onProgress });
+
+// Queue an upscale of a stored image ({ upscaler, scale }). Resolves with { jobId, statusUrl, eventsUrl }.
+export const submitUpscaleJob = async (category, filename, options) => requestJson(`/api/images/${encodeURIComponent(category)}/${encodeURIComponent(filename)}/upscale`, {
+  method: 'POST',
+  body: JSON.stringify(options)
+});
+
+// Poll GET /api/jobs/:id until the job reaches a terminal state
+const pollJob = async (jobId, onUpdate) => {
+  for (;;) {
+    const { job } = await requestJson(`/api/jobs/${jobId}`);
+    onUpdate?.(job);
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+};
+
+// Follow a job through Server-Sent Events, falling back to polling if the stream fails.
+// Resolves with the final job (status "succeeded" or "failed").
+export const watchJob = (jobId, onUpdate) => {
+  if (typeof EventSource === 'undefined') {
+    return pollJob(jobId, onUpdate);
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`, { withCredentials: true });
+    let finished = false;
+
+    source.addEventListener('status', (event) => {
+      const job = JSON.parse(event.data);
+      onUpdate?.(job);
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        finished = true;
+        source.close();
+        resolve(job);
+      }
+    });
+
+    source.onerror = () => {
+      source.close();
+      if (!finished) {
+        pollJob(jobId, onUpdate).then(resolve, reject);
+      }
+    };
+  });
+};
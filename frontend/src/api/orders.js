@@ -0,0 +1,30 @@
+// Helpers for the customer order API
+
+import { requestJson, requestUpload } from './request';
+
+export const listOrders = async ({ status, search } = {}) => {
+  const params = new URLSearchParams();
+  if (status) params.set('status', status);
+  if (search?.trim()) params.set('search', search.trim());
+  return requestJson(`/api/orders?${params.toString()}`);
+};
+
+export const fetchOrder = async (orderId) => (await requestJson(`/api/orders/${orderId}`)).order;
+
+export const createOrder = async (fields) => (await requestJson('/api/orders', {
+  method: 'POST',
+  body: JSON.stringify(fields)
+})).order;
+
+export const updateOrder = async (orderId, changes) => (await requestJson(`/api/orders/${orderId}`, {
+  method: 'PATCH',
+  body: JSON.stringify(changes)
+})).order;
+
+// Upload customer photos into the order in one multipart request. Resolves with
+// { order, results, summary }: the updated order and a result per file, in order.
+export const uploadOrderPhotos = async (orderId, files, { onProgress } = {}) => requestUpload(`/api/orders/${orderId}/photos`, { files, onProgress });
+
+export const removeOrderPhoto = async (orderId, filename) => (await requestJson(`/api/orders/${orderId}/photos/${encodeURIComponent(filename)}`, {
+  method: 'DELETE'
+})).order;
@@ -0,0 +1,30 @@
+// Helpers for the prompt template API
+
+import { requestJson } from './request';
+
+// Templates for a category (plus general ones); resolves with { templates, variables }
+export const listPromptTemplates = async (category) => {
+  const params = new URLSearchParams();
+  if (category) params.set('category', category);
+  return requestJson(`/api/prompt-templates?${params.toString()}`);
+};
+
+export const createPromptTemplate = async (fields) => (await requestJson('/api/prompt-templates', {
+  method: 'POST',
+  body: JSON.stringify(fields)
+})).template;
+
+export const updatePromptTemplate = async (templateId, changes) => (await requestJson(`/api/prompt-templates/${templateId}`, {
+  method: 'PATCH',
+  body: JSON.stringify(changes)
+})).template;
+
+export const deletePromptTemplate = async (templateId) => requestJson(`/api/prompt-templates/${templateId}`, {
+  method: 'DELETE'
+});
+
+// Fill in the variables; resolves with the list of prompts
+export const expandPromptTemplate = async (templateId, variables) => (await requestJson(`/api/prompt-templates/${templateId}/expand`, {
+  method: 'POST',
+  body: JSON.stringify({ variables })
+})).prompts;
@@ -0,0 +1,16 @@
+// Helpers for watermarked customer proofs
+
+import { requestJson } from './request';
+
+// Create (or replace) the proof of a stored image. Resolves with { filename, url, publicUrl, ... };
+// publicUrl works without a login and can be sent to the customer.
+export const createProof = async (category, filename, options = {}) => (await requestJson(
+  `/api/images/${encodeURIComponent(category)}/${encodeURIComponent(filename)}/proof`,
+  { method: 'POST', body: JSON.stringify(options) }
+)).proof;
+
+// Delete the proof and revoke its public link
+export const revokeProof = async (category, filename) => requestJson(
+  `/api/images/${encodeURIComponent(category)}/${encodeURIComponent(filename)}/proof`,
+  { method: 'DELETE' }
+);
@@ -0,0 +1,32 @@
+import { apiFetch, apiUpload } from './client';
+
+// Error carrying the server's { error, details } and the HTTP status
+const requestError = (data, status, fallback) => {
+  const error = new Error(data.error || fallback);
+  error.details = data.details;
+  error.status = status;
+  return error;
+};
+
+// Send a JSON request and return the parsed body, throwing with the server's error message
+export const requestJson = async (url, options = {}) => {
+  const response = await apiFetch(url, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw requestError(data, response.status, 'Request failed');
+  }
+  return data;
+};
+
+// Upload files with apiUpload() and return the parsed body, throwing like requestJson()
+export const requestUpload = async (url, options) => {
+  const { ok, status, data } = await apiUpload(url, options);
+  if (!ok || !data.success) {
+    throw requestError(data, status, 'Upload failed');
+  }
+  return data;
+};
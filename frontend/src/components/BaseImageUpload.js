@@ -3,17 +3,19 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { useDropzone } from 'react-dropzone';
 import toast from 'react-hot-toast';
 import { Upload, X, Trash2, Image, RefreshCw } from 'lucide-react';
+import { apiFetch } from '../api/client';
+import { useLibraryUpload } from './LibraryUploader';
 
 export default function BaseImageUpload({ onImagesChange }) {
   const [uploadedImages, setUploadedImages] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [uploading, setUploading] = useState(false);
+  const { uploadFiles, uploading, status: uploadStatus } = useLibraryUpload();
 
   // Fetch existing base images on mount
   const fetchBaseImages = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await fetch('/api/images?category=base');
+      const response = await apiFetch('/api/images?category=base');
       const data = await response.json();
       if (data.success && data.images) {
         setUploadedImages(data.images);
@@ -30,68 +32,45 @@ export default function BaseImageUpload({ onImagesChange }) {
     fetchBaseImages();
   }, [fetchBaseImages]);
 
-  // Convert file to base64
-  const fileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
-  };
-
   // Handle file drop
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
 
-    setUploading(true);
-    const uploadPromises = acceptedFiles.map(async (file) => {
-      try {
-        const base64 = await fileToBase64(file);
-        const response = await fetch('/api/images/upload', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            image: base64,
-            category: 'base',
-            filename: file.name.replace(/[^a-zA-Z0-9.-]/g, '-')
-          })
-        });
-        const data = await response.json();
-        if (data.success) {
-          return {
-            filename: data.filename,
-            url: data.url,
-            size: data.size,
-            category: 'base',
-            createdAt: new Date().toISOString()
-          };
-        }
-        throw new Error(data.error || 'Upload failed');
-      } catch (error) {
-        console.error(`Failed to upload ${file.name}:`, error);
-        toast.error(`Failed to upload ${file.name}`);
-        return null;
-      }
-    });
-
-    const results = await Promise.all(uploadPromises);
-    const successfulUploads = results.filter(r => r !== null);
+    let saved;
+    let replaced;
+    try {
+      ({ saved, replaced } = await uploadFiles(acceptedFiles, 'base'));
+    } catch (error) {
+      console.error('Failed to upload base images:', error);
+      toast.error(`Upload failed: ${error.message}`, { duration: 6000 });
+      return;
+    }
 
-    if (successfulUploads.length > 0) {
-      const newImages = [...uploadedImages, ...successfulUploads];
+    if (saved.length > 0) {
+      const successfulUploads = saved.map(result => ({
+        filename: result.filename,
+        url: result.url,
+        size: result.size,
+        category: 'base',
+        createdAt: new Date().toISOString()
+      }));
+      // Replaced duplicates are gone; an upload that took over a filename is listed once
+      const removedFilenames = replaced.map(image => image.filename);
+      const newFilenames = successfulUploads.map(image => image.filename);
+      const newImages = [
+        ...uploadedImages.filter(image => !removedFilenames.includes(image.filename) && !newFilenames.includes(image.filename)),
+        ...successfulUploads
+      ];
       setUploadedImages(newImages);
       onImagesChange?.(newImages);
-      toast.success(`Uploaded ${successfulUploads.length} image(s)`);
+      toast.success(`Uploaded ${saved.length} image(s)`);
     }
-
-    setUploading(false);
-  }, [uploadedImages, onImagesChange]);
+  }, [uploadedImages, onImagesChange, uploadFiles]);
 
   // Delete an image
   const deleteImage = async (image) => {
     try {
-      const response = await fetch(`/api/images/${image.category}/${image.filename}`, {
+      const response = await apiFetch(`/api/images/${image.category}/${image.filename}`, {
         method: 'DELETE'
       });
       const data = await response.json();
@@ -110,7 +89,7 @@ export default function BaseImageUpload({ onImagesChange }) {
   };
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
-    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp'] },
+    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif', '.tif', '.tiff'] }, // checked and normalized by the server
     multiple: true,
     onDrop
   });
@@ -161,6 +140,9 @@ export default function BaseImageUpload({ onImagesChange }) {
         )}
       </div>
 
+      {/* Per-file upload progress */}
+      {uploadStatus}
+
       {/* Uploaded Images Grid */}
       {loading ? (
         <div className="flex justify-center py-8">
@@ -178,9 +160,10 @@ export default function BaseImageUpload({ onImagesChange }) {
                 className="relative group aspect-square"
               >
                 <img
-                  src={image.url}
+                  src={image.thumbnailUrl || image.url}
                   alt={image.filename}
                   className="w-full h-full object-cover rounded-lg border border-slate-200"
+                  loading="lazy"
                 />
                 <div className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity rounded-lg flex items-center justify-center">
                   <button
@@ -210,6 +193,7 @@ export default function BaseImageUpload({ onImagesChange }) {
           {uploadedImages.length} base image{uploadedImages.length !== 1 ? 's' : ''} available
         </p>
       )}
+
     </div>
   );
 }
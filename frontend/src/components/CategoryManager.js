@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { ArrowUp, ArrowDown, FolderCog, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { createCategory, updateCategory, reorderCategories, deleteCategory } from '../api/categories';
+import { useCategories } from '../context/CategoriesContext';
+
+const inputClassName = 'w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-amber-300 focus:border-amber-400';
+
+const EMPTY_FORM = { name: '', icon: '', description: '', subjectCount: '' };
+
+// Add, rename, reorder and delete the base image categories (admin). A category's id is its
+// storage directory and stays as created; only empty categories can be deleted.
+export default function CategoryManager({ onClose }) {
+  const { categories, reload } = useCategories();
+  const [editing, setEditing] = useState(null); // { id?, name, icon, description, subjectCount }
+  const [saving, setSaving] = useState(false);
+
+  // Run a change, then reload the categories everywhere
+  const apply = async (change, message) => {
+    setSaving(true);
+    try {
+      await change();
+      await reload();
+      if (message) toast.success(message);
+      return true;
+    } catch (error) {
+      toast.error(error.details || error.message, { duration: 6000 });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const move = (index, offset) => {
+    const ids = categories.map(category => category.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    apply(() => reorderCategories(ids));
+  };
+
+  const remove = (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"? It must not contain any images.`)) return;
+    apply(() => deleteCategory(category.id), `Deleted ${category.name}`);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    const fields = {
+      name: editing.name,
+      icon: editing.icon,
+      description: editing.description,
+      subjectCount: editing.subjectCount === '' ? null : Number(editing.subjectCount)
+    };
+    const saved = await apply(
+      () => (editing.id ? updateCategory(editing.id, fields) : createCategory(fields)),
+      editing.id ? 'Category updated' : `Added ${fields.name}`
+    );
+    if (saved) setEditing(null);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.9 }}
+        className="w-full max-w-lg bg-white rounded-2xl overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+          <p className="font-medium text-slate-700 flex items-center gap-2">
+            <FolderCog className="w-5 h-5 text-amber-500" />
+            Manage Categories
+          </p>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-2 max-h-80 overflow-y-auto">
+          {categories.map((category, index) => (
+            <div key={category.id} className="flex items-center gap-3 p-2 rounded-lg border border-slate-200">
+              <span className="text-xl w-7 text-center">{category.icon}</span>
+              <div className="min-w-0 flex-1 text-sm">
+                <p className="truncate text-slate-800">{category.name}</p>
+                <p className="text-xs text-slate-500">
+                  {category.id}{category.subjectCount ? ` · ${category.subjectCount} subject${category.subjectCount !== 1 ? 's' : ''}` : ''}
+                </p>
+              </div>
+              <button onClick={() => move(index, -1)} disabled={saving || index === 0} className="p-1 text-slate-500 hover:text-slate-800 disabled:opacity-30" title="Move up">
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button onClick={() => move(index, 1)} disabled={saving || index === categories.length - 1} className="p-1 text-slate-500 hover:text-slate-800 disabled:opacity-30" title="Move down">
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setEditing({ id: category.id, name: category.name, icon: category.icon || '', description: category.description || '', subjectCount: category.subjectCount ?? '' })}
+                disabled={saving}
+                className="p-1 text-amber-600 hover:text-amber-800"
+                title="Edit category"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button onClick={() => remove(category)} disabled={saving} className="p-1 text-red-500 hover:text-red-700" title="Delete category">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="px-4 py-3 bg-slate-50 border-t border-slate-200">
+          {editing ? (
+            <form onSubmit={save} className="space-y-2">
+              <p className="text-sm font-medium text-slate-700">{editing.id ? `Edit ${editing.id}` : 'New category'}</p>
+              <div className="grid grid-cols-4 gap-2">
+                <input
+                  type="text"
+                  value={editing.icon}
+                  onChange={(e) => setEditing(prev => ({ ...prev, icon: e.target.value }))}
+                  placeholder="Icon"
+                  className={inputClassName}
+                />
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="Name, e.g. Royal Pets"
+                  className={`${inputClassName} col-span-2`}
+                  required
+                />
+                <input
+                  type="number"
+                  min={1}
+                  max={20}
+                  value={editing.subjectCount}
+                  onChange={(e) => setEditing(prev => ({ ...prev, subjectCount: e.target.value }))}
+                  placeholder="Subjects"
+                  className={inputClassName}
+                  title="How many people or pets the portraits show"
+                />
+              </div>
+              <input
+                type="text"
+                value={editing.description}
+                onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="Description"
+                className={inputClassName}
+              />
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => setEditing(null)} className="px-3 py-1.5 text-sm rounded-lg text-slate-600 hover:bg-slate-200">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="px-3 py-1.5 text-sm rounded-lg bg-amber-500 text-white hover:bg-amber-600 disabled:opacity-50">
+                  {editing.id ? 'Save' : 'Add category'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button onClick={() => setEditing(EMPTY_FORM)} className="text-sm text-amber-600 hover:text-amber-800 flex items-center gap-1">
+              <Plus className="w-4 h-4" />
+              Add category
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useState, useCallback, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Copy } from 'lucide-react';
+
+// Asks what to do with an upload that looks like images already in the library: skip it,
+// replace one of them, or keep both. Resolves through onChoose({ action, replace }).
+export default function DuplicateUploadDialog({ name, preview, duplicates, onChoose }) {
+  const [selected, setSelected] = useState(0);
+  const target = duplicates[selected];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.9 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.9 }}
+        className="w-full max-w-lg bg-white rounded-2xl overflow-hidden"
+      >
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-slate-200">
+          <Copy className="w-5 h-5 text-amber-500" />
+          <p className="font-medium text-slate-700">Possible duplicate</p>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="flex items-center gap-3">
+            <img src={preview} alt={name} className="w-16 h-16 object-cover rounded-lg border border-slate-200" />
+            <p className="text-sm text-slate-600">
+              <span className="font-medium text-slate-800">{name}</span> looks like
+              {duplicates.length === 1 ? ' an image' : ` ${duplicates.length} images`} already in the library.
+            </p>
+          </div>
+
+          <div className="max-h-60 overflow-y-auto space-y-2">
+            {duplicates.map((duplicate, index) => (
+              <label
+                key={`${duplicate.category}/${duplicate.filename}`}
+                className={`flex items-center gap-3 p-2 rounded-lg border cursor-pointer ${
+                  index === selected ? 'border-amber-400 bg-amber-50' : 'border-slate-200 hover:bg-slate-50'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="duplicate"
+                  checked={index === selected}
+                  onChange={() => setSelected(index)}
+                  className="accent-amber-500"
+                />
+                <img src={duplicate.thumbnailUrl} alt={duplicate.filename} loading="lazy" className="w-12 h-12 object-cover rounded" />
+                <div className="min-w-0 text-sm">
+                  <p className="truncate text-slate-800">{duplicate.filename}</p>
+                  <p className="text-xs text-slate-500">
+                    {duplicate.category} · {duplicate.distance === 0 ? 'identical' : `${duplicate.distance} bit(s) apart`}
+                  </p>
+                </div>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 px-4 py-3 bg-slate-50 border-t border-slate-200">
+          <button
+            onClick={() => onChoose({ action: 'skip' })}
+            className="px-3 py-1.5 text-sm rounded-lg text-slate-600 hover:bg-slate-200"
+          >
+            Skip
+          </button>
+          <button
+            onClick={() => onChoose({ action: 'replace', replace: { category: target.category, filename: target.filename } })}
+            className="px-3 py-1.5 text-sm rounded-lg bg-amber-500 text-white hover:bg-amber-600"
+          >
+            Replace selected
+          </button>
+          <button
+            onClick={() => onChoose({ action: 'keep' })}
+            className="px-3 py-1.5 text-sm rounded-lg bg-slate-800 text-white hover:bg-slate-900"
+          >
+            Keep both
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// [askAboutDuplicate, dialog]: render `dialog`, then `await askAboutDuplicate({ name, preview,
+// duplicates })` for the user's choice. Questions from parallel uploads are asked one at a time.
+export const useDuplicatePrompt = () => {
+  const [prompt, setPrompt] = useState(null);
+  const queue = useRef(Promise.resolve());
+  const asked = useRef(0);
+
+  const askAboutDuplicate = useCallback((details) => {
+    const answer = queue.current.then(() => new Promise((resolve) => setPrompt({ ...details, id: ++asked.current, resolve })));
+    queue.current = answer;
+    return answer;
+  }, []);
+
+  const dialog = (
+    <AnimatePresence>
+      {prompt && (
+        <DuplicateUploadDialog
+          key={prompt.id}
+          name={prompt.name}
+          preview={prompt.preview}
+          duplicates={prompt.duplicates}
+          onChoose={(choice) => {
+            setPrompt(null);
+            prompt.resolve(choice);
+          }}
+        />
+      )}
+    </AnimatePresence>
+  );
+
+  return [askAboutDuplicate, dialog];
+};
@@ -1,90 +1,268 @@
-import React, { useState, useCallback } from 'react';
-import { motion } from 'framer-motion';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
 import { useDropzone } from 'react-dropzone';
 import toast from 'react-hot-toast';
-import { Sparkles, Zap, Settings, CheckCircle, Download, Eye, RefreshCw, Upload, X, Link, Palette, User } from 'lucide-react';
+import { Sparkles, Zap, Settings, CheckCircle, Download, Eye, RefreshCw, Upload, X, Link, Palette, User, ClipboardList, Maximize2, Printer, Stamp } from 'lucide-react';
 import ImageSelectionPanel from './ImageSelectionPanel';
-
-export default function GenerateTab() {
+import ModelParameterControls from './ModelParameterControls';
+import PromptTemplatePanel from './PromptTemplatePanel';
+import SoftProofModal from './SoftProofModal';
+import UploadProgressList, { useUploadProgress } from './UploadProgressList';
+import { submitGenerationJob, submitUpscaleJob, uploadGenerationInputs, watchJob } from '../api/jobs';
+import { createProof } from '../api/proofs';
+import { fetchOrder, updateOrder, uploadOrderPhotos, removeOrderPhoto } from '../api/orders';
+import { apiFetch } from '../api/client';
+import { useAuth } from '../context/AuthContext';
+import { useCategories } from '../context/CategoriesContext';
+
+// Print export formats offered by /api/download-with-dpi
+const EXPORT_FORMATS = [
+  { id: 'jpeg', label: 'JPEG', extension: 'jpg' },
+  { id: 'png', label: 'PNG', extension: 'png' },
+  { id: 'tiff', label: 'TIFF', extension: 'tif' }
+];
+
+// Output color profiles; CMYK can only be written as JPEG or TIFF
+const COLOR_PROFILES = [
+  { id: 'srgb', label: 'sRGB' },
+  { id: 'adobe-rgb', label: 'Adobe RGB' },
+  { id: 'cmyk', label: 'CMYK', formats: ['jpeg', 'tiff'] }
+];
+
+// Physical print sizes (inches) offered by /api/export/print; empty keeps the generated size
+const PRINT_SIZES = ['8x10', '11x14', '16x20', '24x36'];
+
+export default function GenerateTab({ orderId = null, onCloseOrder }) {
+  const { isAdmin } = useAuth();
+  const { categories } = useCategories();
   const [prompts, setPrompts] = useState('');
   const [generating, setGenerating] = useState(false);
   const [results, setResults] = useState([]);
   const [currentPrompt, setCurrentPrompt] = useState('');
   const [generationProgress, setGenerationProgress] = useState(0);
   const [showAdvanced, setShowAdvanced] = useState(false);
-  const [regeneratingIndex, setRegeneratingIndex] = useState(null); // Track which image is being regenerated
-
-  // OpenAI Image 1.5 Parameters
-  const [aspectRatio, setAspectRatio] = useState('1:1');
-  const [openaiQuality, setOpenaiQuality] = useState('auto');
-  const [openaiBackground, setOpenaiBackground] = useState('auto');
-  const [openaiModeration, setOpenaiModeration] = useState('auto');
-  const [openaiOutputFormat, setOpenaiOutputFormat] = useState('webp');
-  const [openaiInputFidelity, setOpenaiInputFidelity] = useState('low');
-  const [openaiNumberOfImages, setOpenaiNumberOfImages] = useState(1);
-  const [openaiOutputCompression, setOpenaiOutputCompression] = useState(90);
-  const [openaiInputImages, setOpenaiInputImages] = useState([]);
-  const [openaiInputImagePreviews, setOpenaiInputImagePreviews] = useState([]);
+  const [regeneratingKey, setRegeneratingKey] = useState(null); // Track which variant ("resultId:variantIndex") is being regenerated
+  const [exportFormat, setExportFormat] = useState('jpeg');
+  const [exportBackground, setExportBackground] = useState('#ffffff');
+  const [keepTransparency, setKeepTransparency] = useState(false); // PNG/TIFF only; JPEG and CMYK are always flattened
+  const [exportColorProfile, setExportColorProfile] = useState('srgb');
+  const [proofTarget, setProofTarget] = useState(null); // { image, imageUrl } shown in the soft-proof modal
+  const [printSize, setPrintSize] = useState('');
+  const [printOrientation, setPrintOrientation] = useState('auto');
+  const [downloadVersion, setDownloadVersion] = useState('original'); // 'upscaled' uses the upscaled copy when there is one
+
+  // Model registry (loaded from /api/models) and the selected model's parameter values
+  const [models, setModels] = useState([]);
+  const [selectedModelId, setSelectedModelId] = useState('openai-image-1.5');
+  const [modelParams, setModelParams] = useState({});
+  // Input images are uploaded when they are dropped: { category, filename, name } each
+  const [referenceImages, setReferenceImages] = useState([]);
+  const [referenceImagePreviews, setReferenceImagePreviews] = useState([]);
+  const [uploadingReferenceImages, setUploadingReferenceImages] = useState(false);
+  const referenceUploads = useUploadProgress();
   const [openaiApiKey, setOpenaiApiKey] = useState('');
-  const [openaiUserId, setOpenaiUserId] = useState('');
+
+  // Upscaler models (from /api/models); a scale turns on upscaling right after generation
+  const [upscalers, setUpscalers] = useState([]);
+  const [upscalerId, setUpscalerId] = useState('');
+  const [upscaleScale, setUpscaleScale] = useState('');
+  const [upscalingKey, setUpscalingKey] = useState(null); // "resultId:variantIndex" being upscaled
+  const [proofingKey, setProofingKey] = useState(null); // "resultId:variantIndex" whose proof is being made
+  const [userId, setUserId] = useState('');
 
   // Renaissance base image selection
   const [selectedBaseImage, setSelectedBaseImage] = useState(null);
   const [customerPhotos, setCustomerPhotos] = useState([]);
   const [customerPhotoPreviews, setCustomerPhotoPreviews] = useState([]);
 
-  // Convert file to base64 data URI
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
+  // Customer order being worked on: its photos and base image replace the local selections
+  const [activeOrder, setActiveOrder] = useState(null);
+  const [uploadingPhotos, setUploadingPhotos] = useState(false);
+  const photoUploads = useUploadProgress();
+
+  // Load the available models and their parameter definitions
+  useEffect(() => {
+    const loadModels = async () => {
+      try {
+        const response = await apiFetch('/api/models');
+        const data = await response.json();
+        if (data.success) {
+          setModels(data.models);
+          setUpscalers(data.upscalers || []);
+          setUpscalerId(data.defaultUpscaler || data.upscalers?.[0]?.id || '');
+          setSelectedModelId(current => (
+            data.models.some(model => model.id === current) ? current : (data.defaultModel || data.models[0]?.id)
+          ));
+        }
+      } catch (error) {
+        console.error('Failed to load models:', error);
+        toast.error('Failed to load models');
+      }
+    };
+    loadModels();
   }, []);
 
-  // Handle OpenAI input images drop
-  const onOpenaiImageDrop = useCallback((acceptedFiles) => {
-    const newFiles = acceptedFiles.slice(0, 5 - openaiInputImages.length); // Max 5 images
-    setOpenaiInputImages(prev => [...prev, ...newFiles]);
-    const newPreviews = newFiles.map(file => URL.createObjectURL(file));
-    setOpenaiInputImagePreviews(prev => [...prev, ...newPreviews]);
-    if (newFiles.length > 0) {
-      toast.success(`Added ${newFiles.length} input image(s)`);
+  // Load the active order and pick up the base image saved on it
+  useEffect(() => {
+    if (!orderId) {
+      setActiveOrder(null);
+      return;
+    }
+    const loadOrder = async () => {
+      try {
+        const order = await fetchOrder(orderId);
+        setActiveOrder(order);
+        setSelectedBaseImage(order.baseImage ? {
+          ...order.baseImage,
+          id: `uploaded-${order.baseImage.category}-${order.baseImage.filename}`,
+          name: order.baseImage.name || order.baseImage.filename,
+          isUploaded: true
+        } : null);
+      } catch (error) {
+        console.error('Failed to load order:', error);
+        toast.error(`Failed to load order: ${error.message}`);
+      }
+    };
+    loadOrder();
+  }, [orderId]);
+
+  const selectedModel = models.find(model => model.id === selectedModelId) || null;
+  const modelName = selectedModel?.name || 'AI';
+  const maxReferenceImages = selectedModel?.inputImages?.max || 0;
+
+  // Reset parameters to the model's defaults whenever the model changes
+  useEffect(() => {
+    if (!selectedModel) return;
+    setModelParams(Object.fromEntries(selectedModel.parameters.map(param => [param.key, param.default])));
+  }, [selectedModel]);
+
+  // Every image of a result; older single-image results have no images array
+  const getVariants = (result) => result.images?.length > 0
+    ? result.images
+    : [{ index: 0, imageUrl: result.imageUrl, localUrl: result.localUrl, savedImage: result.savedImage }];
+
+  // Image a download starts from: the saved library file (the upscaled copy when chosen and
+  // available), falling back to the model's URL for images that could not be saved
+  const downloadSource = (variant) => {
+    if (downloadVersion === 'upscaled' && variant.upscaled) {
+      return { source: { category: 'generated', filename: variant.upscaled.filename } };
+    }
+    if (variant.savedImage) {
+      return { source: { category: 'generated', filename: variant.savedImage.filename } };
+    }
+    return { imageUrl: variant.imageUrl };
+  };
+
+  const selectedUpscaler = upscalers.find(upscaler => upscaler.id === upscalerId) || null;
+
+  // Failure message for a job, noting how many times the server retried it
+  const describeJobError = (error) => {
+    const message = error?.error || 'Unknown error';
+    return error?.retries > 0 ? `${message} (after ${error.retries} retr${error.retries === 1 ? 'y' : 'ies'})` : message;
+  };
+
+  // Short "key: value" summary of the current parameters
+  const describeParams = (params) => Object.entries(params)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(' • ');
+
+  // Upload input images with a progress row per file. Resolves with the files that were
+  // stored, as { file, image } where image is the { category, filename, name } to generate from.
+  const uploadInputImages = useCallback(async (files, progress) => {
+    progress.begin(files);
+    try {
+      const data = await uploadGenerationInputs(files, {
+        onProgress: progress.progressFor(files.map((_, index) => index))
+      });
+      data.results.forEach((result, index) => progress.finish(index, result));
+      if (data.summary.failed > 0) {
+        toast.error(`${data.summary.failed} image${data.summary.failed > 1 ? 's' : ''} could not be uploaded`, { duration: 6000 });
+      }
+      return data.results
+        .map((result, index) => ({ result, file: files[index] }))
+        .filter(({ result }) => result.success)
+        .map(({ result, file }) => ({ file, image: { category: result.category, filename: result.filename, name: file.name } }));
+    } catch (error) {
+      console.error('Failed to upload input images:', error);
+      files.forEach((_, index) => progress.update(index, { status: 'failed', message: error.details || error.message }));
+      toast.error(`Failed to upload images: ${error.details || error.message}`, { duration: 6000 });
+      return [];
     }
-  }, [openaiInputImages.length]);
-
-  // Clear OpenAI input images
-  const clearOpenaiInputImages = useCallback(() => {
-    openaiInputImagePreviews.forEach(url => URL.revokeObjectURL(url));
-    setOpenaiInputImages([]);
-    setOpenaiInputImagePreviews([]);
-  }, [openaiInputImagePreviews]);
-
-  // Remove single OpenAI input image
-  const removeOpenaiInputImage = useCallback((index) => {
-    URL.revokeObjectURL(openaiInputImagePreviews[index]);
-    setOpenaiInputImages(prev => prev.filter((_, i) => i !== index));
-    setOpenaiInputImagePreviews(prev => prev.filter((_, i) => i !== index));
-  }, [openaiInputImagePreviews]);
-
-  // Dropzone for OpenAI input images
-  const openaiImageDropzone = useDropzone({
-    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp'] },
+  }, []);
+
+  // Handle reference images drop
+  const onReferenceImageDrop = useCallback(async (acceptedFiles) => {
+    const newFiles = acceptedFiles.slice(0, maxReferenceImages - referenceImages.length);
+    if (newFiles.length === 0) return;
+    setUploadingReferenceImages(true);
+    const uploaded = await uploadInputImages(newFiles, referenceUploads);
+    setUploadingReferenceImages(false);
+    setReferenceImages(prev => [...prev, ...uploaded.map(({ image }) => image)]);
+    setReferenceImagePreviews(prev => [...prev, ...uploaded.map(({ file }) => URL.createObjectURL(file))]);
+    if (uploaded.length > 0) {
+      toast.success(`Added ${uploaded.length} input image(s)`);
+    }
+  }, [maxReferenceImages, referenceImages.length, uploadInputImages, referenceUploads]);
+
+  // Clear reference images
+  const clearReferenceImages = useCallback(() => {
+    referenceImagePreviews.forEach(url => URL.revokeObjectURL(url));
+    setReferenceImages([]);
+    setReferenceImagePreviews([]);
+  }, [referenceImagePreviews]);
+
+  // Remove single reference image
+  const removeReferenceImage = useCallback((index) => {
+    URL.revokeObjectURL(referenceImagePreviews[index]);
+    setReferenceImages(prev => prev.filter((_, i) => i !== index));
+    setReferenceImagePreviews(prev => prev.filter((_, i) => i !== index));
+  }, [referenceImagePreviews]);
+
+  // Dropzone for reference images (checked and normalized by the server)
+  const referenceImageDropzone = useDropzone({
+    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif', '.tif', '.tiff'] },
     multiple: true,
-    maxFiles: 5,
-    onDrop: onOpenaiImageDrop
+    maxFiles: maxReferenceImages,
+    onDrop: onReferenceImageDrop
   });
 
-  // Handle customer photos drop (multiple)
-  const onCustomerPhotoDrop = useCallback((acceptedFiles) => {
-    if (acceptedFiles.length > 0) {
-      setCustomerPhotos(prev => [...prev, ...acceptedFiles]);
-      const newPreviews = acceptedFiles.map(file => URL.createObjectURL(file));
-      setCustomerPhotoPreviews(prev => [...prev, ...newPreviews]);
-      toast.success(`Added ${acceptedFiles.length} customer photo${acceptedFiles.length > 1 ? 's' : ''}!`);
+  // Handle customer photos drop (multiple); with an active order they are uploaded into it,
+  // otherwise they are uploaded as input images for this session
+  const onCustomerPhotoDrop = useCallback(async (acceptedFiles) => {
+    if (acceptedFiles.length === 0) return;
+    if (activeOrder) {
+      setUploadingPhotos(true);
+      photoUploads.begin(acceptedFiles);
+      try {
+        const data = await uploadOrderPhotos(activeOrder.id, acceptedFiles, {
+          onProgress: photoUploads.progressFor(acceptedFiles.map((_, index) => index))
+        });
+        data.results.forEach((result, index) => photoUploads.finish(index, result));
+        setActiveOrder(data.order);
+        if (data.summary.saved > 0) {
+          toast.success(`Added ${data.summary.saved} photo${data.summary.saved > 1 ? 's' : ''} to the order`);
+        }
+        if (data.summary.failed > 0) {
+          toast.error(`${data.summary.failed} photo${data.summary.failed > 1 ? 's' : ''} could not be added`, { duration: 6000 });
+        }
+      } catch (error) {
+        console.error('Failed to upload order photos:', error);
+        acceptedFiles.forEach((_, index) => photoUploads.update(index, { status: 'failed', message: error.details || error.message }));
+        toast.error(`Failed to upload photos: ${error.details || error.message}`, { duration: 6000 });
+      } finally {
+        setUploadingPhotos(false);
+      }
+      return;
     }
-  }, []);
+    setUploadingPhotos(true);
+    const uploaded = await uploadInputImages(acceptedFiles, photoUploads);
+    setUploadingPhotos(false);
+    if (uploaded.length > 0) {
+      setCustomerPhotos(prev => [...prev, ...uploaded.map(({ image }) => image)]);
+      setCustomerPhotoPreviews(prev => [...prev, ...uploaded.map(({ file }) => URL.createObjectURL(file))]);
+      toast.success(`Added ${uploaded.length} customer photo${uploaded.length > 1 ? 's' : ''}!`);
+    }
+  }, [activeOrder, photoUploads, uploadInputImages]);
 
   // Clear all customer photos
   const clearCustomerPhotos = useCallback(() => {
@@ -94,40 +272,57 @@ export default function GenerateTab() {
   }, [customerPhotoPreviews]);
 
   // Remove single customer photo
-  const removeCustomerPhoto = useCallback((index) => {
+  const removeCustomerPhoto = useCallback(async (index) => {
+    if (activeOrder) {
+      try {
+        setActiveOrder(await removeOrderPhoto(activeOrder.id, activeOrder.customerPhotos[index].filename));
+      } catch (error) {
+        console.error('Failed to remove order photo:', error);
+        toast.error(`Failed to remove photo: ${error.message}`);
+      }
+      return;
+    }
     URL.revokeObjectURL(customerPhotoPreviews[index]);
     setCustomerPhotos(prev => prev.filter((_, i) => i !== index));
     setCustomerPhotoPreviews(prev => prev.filter((_, i) => i !== index));
-  }, [customerPhotoPreviews]);
+  }, [activeOrder, customerPhotoPreviews]);
+
+  // Photos shown in Step 2: the order's stored photos, or the local uploads
+  const photoPreviews = activeOrder ? activeOrder.customerPhotos.map(photo => photo.url) : customerPhotoPreviews;
+  const photoCount = photoPreviews.length;
 
   // Dropzone for customer photos (multiple)
+  // Photos go through the server's upload checks, which also convert HEIC, AVIF and TIFF
   const customerPhotoDropzone = useDropzone({
-    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp'] },
+    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif', '.tif', '.tiff'] },
     multiple: true,
     onDrop: onCustomerPhotoDrop
   });
 
-  // Clear base image selection
-  const clearBaseImageSelection = useCallback(() => {
-    setSelectedBaseImage(null);
-  }, []);
-
-  // Fetch image URL and convert to base64
-  const urlToBase64 = useCallback(async (url) => {
+  // Select a base image, saving it on the active order
+  const selectBaseImage = useCallback(async (image) => {
+    setSelectedBaseImage(image);
+    if (!activeOrder) return;
     try {
-      const response = await fetch(url);
-      const blob = await response.blob();
-      return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(blob);
-      });
+      const baseImage = image ? { category: image.category, filename: image.filename, name: image.name, url: image.url } : null;
+      setActiveOrder(await updateOrder(activeOrder.id, { baseImage }));
     } catch (error) {
-      console.error('Failed to convert URL to base64:', error);
-      return null;
+      console.error('Failed to save base image on order:', error);
+      toast.error(`Failed to save base image on order: ${error.message}`);
     }
-  }, []);
+  }, [activeOrder]);
+
+  // Clear base image selection
+  const clearBaseImageSelection = useCallback(() => {
+    selectBaseImage(null);
+  }, [selectBaseImage]);
+
+  // Template variables already known from the order and the selected base image
+  const templateDefaults = useMemo(() => ({
+    pet_name: activeOrder?.petName || '',
+    outfit: selectedBaseImage?.name || '',
+    subject_count: categories.find(category => category.id === selectedBaseImage?.category)?.subjectCount || ''
+  }), [activeOrder?.petName, selectedBaseImage?.name, selectedBaseImage?.category, categories]);
 
   const generateImages = async () => {
     const promptLines = prompts.split('\n').map(p => p.trim()).filter(p => p.length > 0);
@@ -138,123 +333,131 @@ export default function GenerateTab() {
     }
 
     console.log('🎨 Starting generation for prompts:', promptLines);
-    console.log('📐 Using parameters:', { aspectRatio, openaiQuality, openaiBackground });
+    if (!selectedModel) {
+      toast.error('No generation model available');
+      return;
+    }
+
+    console.log(`📐 Using ${selectedModel.name} with parameters:`, modelParams);
 
     setGenerating(true);
     setResults([]);
     setGenerationProgress(0);
 
     try {
-      const newResults = [];
       const totalPrompts = promptLines.length;
 
-      for (let i = 0; i < promptLines.length; i++) {
-        const prompt = promptLines[i];
-        setCurrentPrompt(prompt);
-        setGenerationProgress(((i) / totalPrompts) * 100);
-
-        console.log(`🎯 Processing prompt ${i + 1}/${totalPrompts}: "${prompt}"`);
-
-        try {
-          // Prepare generation parameters for OpenAI Image 1.5
-          const requestBody = {
-            prompt,
-            model: 'openai-image-1.5',
-            aspect_ratio: aspectRatio,
-            quality: openaiQuality,
-            background: openaiBackground,
-            moderation: openaiModeration,
-            output_format: openaiOutputFormat,
-            input_fidelity: openaiInputFidelity,
-            number_of_images: openaiNumberOfImages,
-            output_compression: openaiOutputCompression
-          };
-
-          // Add API key if provided
-          if (openaiApiKey.trim()) {
-            requestBody.openai_api_key = openaiApiKey.trim();
-          }
-          // Add user ID if provided
-          if (openaiUserId.trim()) {
-            requestBody.user_id = openaiUserId.trim();
-          }
-          // Collect all input images (base image, customer photos, and any additional reference images)
-          const inputImagePromises = [];
-
-          // Add selected base image first (if any)
-          if (selectedBaseImage) {
-            inputImagePromises.push(urlToBase64(selectedBaseImage.url));
-          }
+      // Input images as library references, in order: the base image, the customer photos
+      // (stored on the order, or uploaded for this session) and any additional reference images.
+      // The server reads them from storage.
+      const allInputImages = [
+        ...(selectedBaseImage ? [selectedBaseImage] : []),
+        ...(activeOrder ? activeOrder.customerPhotos.map(photo => ({ category: photo.category || 'customer', filename: photo.filename })) : customerPhotos),
+        ...referenceImages
+      ].map(image => ({ category: image.category, filename: image.filename }));
+
+      // Limited to what the selected model accepts
+      if (allInputImages.length > maxReferenceImages) {
+        toast(`${selectedModel.name} accepts ${maxReferenceImages} reference image(s); extra images are ignored`, { icon: '⚠️' });
+      }
+      const inputImages = allInputImages.slice(0, maxReferenceImages);
+
+      // Track each job's progress so the bar reflects real server-side state
+      const jobProgress = {};
+      const updateProgress = (job, prompt) => {
+        jobProgress[job.id] = job.status === 'failed' ? 100 : job.progress;
+        const total = Object.values(jobProgress).reduce((sum, value) => sum + value, 0);
+        setGenerationProgress(total / totalPrompts);
+        if (job.status === 'running') {
+          setCurrentPrompt(`${prompt} (${job.message})`);
+        }
+      };
 
-          // Add customer photos
-          if (customerPhotos.length > 0) {
-            customerPhotos.forEach(file => {
-              inputImagePromises.push(fileToBase64(file));
-            });
-          }
+      const runPrompt = async (prompt, i) => {
+        console.log(`🎯 Submitting prompt ${i + 1}/${totalPrompts}: "${prompt}"`);
 
-          // Add any additional reference images
-          if (openaiInputImages.length > 0) {
-            openaiInputImages.forEach(file => {
-              inputImagePromises.push(fileToBase64(file));
-            });
-          }
+        // Prepare generation parameters for the selected model
+        const requestBody = {
+          prompt,
+          model: selectedModel.id,
+          ...modelParams
+        };
 
-          // Combine all images (limit to 5 as per API)
-          if (inputImagePromises.length > 0) {
-            const allImages = await Promise.all(inputImagePromises);
-            const validImages = allImages.filter(img => img !== null).slice(0, 5);
-            if (validImages.length > 0) {
-              requestBody.input_images = validImages;
-            }
+        // Add API key if provided
+        if (selectedModel.supportsApiKey && openaiApiKey.trim()) {
+          requestBody.openai_api_key = openaiApiKey.trim();
+        }
+        // Add user ID if provided
+        if (selectedModel.supportsUserId && userId.trim()) {
+          requestBody.user_id = userId.trim();
+        }
+        if (inputImages.length > 0) {
+          requestBody.input_images = inputImages;
+        }
+        if (upscaleScale) {
+          requestBody.upscale = { upscaler: upscalerId, scale: Number(upscaleScale) };
+        }
+        // Record what went into the generation (stored with the saved images)
+        if (selectedBaseImage) {
+          requestBody.base_image = {
+            category: selectedBaseImage.category,
+            filename: selectedBaseImage.filename,
+            name: selectedBaseImage.name
+          };
+        }
+        if (activeOrder) {
+          requestBody.order_id = activeOrder.id;
+          if (activeOrder.customerPhotos.length > 0) {
+            requestBody.customer_photos = activeOrder.customerPhotos.map(photo => ({ name: photo.name || photo.filename, filename: photo.filename }));
           }
+        } else if (customerPhotos.length > 0) {
+          requestBody.customer_photos = customerPhotos.map(photo => ({ name: photo.name, filename: photo.filename }));
+        }
 
-          console.log('📋 Request body:', requestBody);
-
-          const response = await fetch('/api/generate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
-          });
-
-          console.log('📡 Response status:', response.status);
+        try {
+          const { jobId } = await submitGenerationJob(requestBody);
+          console.log(`📡 Job ${jobId} queued for: "${prompt}"`);
 
-          const responseData = await response.json();
-          console.log('📦 Response data:', responseData);
+          const job = await watchJob(jobId, (update) => updateProgress(update, prompt));
+          console.log('📦 Job finished:', job);
 
-          if (response.ok && responseData.success) {
-            const result = {
-              ...responseData,
+          if (job.status === 'succeeded') {
+            console.log(`✅ Successfully generated image for: "${prompt}"`);
+            toast.success(`Generated image ${i + 1}/${totalPrompts}`);
+            return {
+              ...job.result,
               id: Date.now() + Math.random(),
-              model: 'openai-image-1.5',
+              model: selectedModel.id,
               parameters: requestBody,
               baseImage: selectedBaseImage,
-              customerPhotoCount: customerPhotos.length
+              customerPhotoCount: photoCount
             };
-            newResults.push(result);
-            console.log(`✅ Successfully generated image for: "${prompt}"`);
-            console.log(`📐 Generated with OpenAI Image 1.5`);
-            toast.success(`Generated image ${i + 1}/${totalPrompts}`);
-          } else {
-            console.error(`❌ Failed to generate image for: "${prompt}"`, responseData);
-            toast.error(`Failed: ${responseData.error || 'Unknown error'}`);
+          }
 
-            if (responseData.details) {
-              console.error('Error details:', responseData.details);
-            }
+          console.error(`❌ Failed to generate image for: "${prompt}"`, job.error);
+          toast.error(`Failed: ${describeJobError(job.error)}`);
+          if (job.error?.details) {
+            console.error('Error details:', job.error.details);
           }
-        } catch (fetchError) {
-          console.error(`❌ Network error for prompt "${prompt}":`, fetchError);
-          toast.error(`Network error for prompt ${i + 1}`);
+        } catch (error) {
+          console.error(`❌ Request failed for prompt "${prompt}":`, error);
+          // Refusals such as an exhausted budget explain themselves in details
+          toast.error(`Failed to submit prompt ${i + 1}: ${error.details || error.message}`, { duration: error.details ? 8000 : 4000 });
         }
-      }
+        return null;
+      };
+
+      // Submit every prompt up front; the server queues and runs them
+      const settled = await Promise.all(promptLines.map(runPrompt));
+      const newResults = settled.filter(result => result !== null);
 
       setGenerationProgress(100);
       setCurrentPrompt('');
       setResults(newResults);
 
       if (newResults.length > 0) {
-        toast.success(`Generated ${newResults.length} image(s) with OpenAI Image 1.5!`, {
+        const imageCount = newResults.reduce((count, result) => count + getVariants(result).length, 0);
+        toast.success(`Generated ${imageCount} image(s) with ${selectedModel.name}!`, {
           icon: '🎨',
           duration: 4000
         });
@@ -266,6 +469,11 @@ export default function GenerateTab() {
 
       console.log(`🏁 Generation complete. Successfully generated ${newResults.length}/${totalPrompts} images`);
 
+      // Pick up the generations (and status change) the server recorded on the order
+      if (activeOrder && newResults.length > 0) {
+        setActiveOrder(await fetchOrder(activeOrder.id));
+      }
+
     } catch (error) {
       console.error('❌ Generation process failed:', error);
       toast.error('Generation process failed');
@@ -278,7 +486,7 @@ export default function GenerateTab() {
 
   const testConnection = async () => {
     try {
-      const response = await fetch('/api/health');
+      const response = await apiFetch('/api/health');
       const health = await response.json();
 
       if (health.status === 'healthy') {
@@ -293,26 +501,77 @@ export default function GenerateTab() {
     }
   };
 
-  const downloadImage = async (imageUrl, prompt, index) => {
-    try {
-      // Create filename from prompt (sanitized) or use index
-      const sanitizedPrompt = prompt.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_').substring(0, 50);
-      const filename = `generated_${sanitizedPrompt || `image_${index + 1}`}_${Date.now()}.jpg`;
+  const exportExtension = `${printSize ? `${printSize}in.` : ''}${EXPORT_FORMATS.find(format => format.id === exportFormat).extension}`;
 
-      toast.loading('Processing image with 300 DPI...', { id: 'download' });
+  // `image` comes from downloadSource: { source: { category, filename } } or { imageUrl }
+  const exportColorProfileInfo = COLOR_PROFILES.find(profile => profile.id === exportColorProfile);
+  const canKeepTransparency = exportFormat !== 'jpeg' && !exportColorProfileInfo.formats;
+
+  const changeColorProfile = (profileId) => {
+    const { formats } = COLOR_PROFILES.find(profile => profile.id === profileId);
+    if (formats && !formats.includes(exportFormat)) setExportFormat(formats[0]);
+    setExportColorProfile(profileId);
+  };
 
-      // Use our backend proxy to add 300 DPI metadata
-      const response = await fetch('/api/download-with-dpi', {
+  const exportOptions = (image, filename) => ({
+    ...image,
+    filename,
+    format: exportFormat,
+    colorProfile: exportColorProfile,
+    background: keepTransparency && canKeepTransparency ? null : exportBackground,
+    ...(printSize ? { size: printSize, orientation: printOrientation } : {})
+  });
+
+  // With a print size chosen, ask the backend how far each image must be enlarged and let the
+  // user back out when that would visibly soften the print
+  const confirmPrintQuality = async (images) => {
+    if (!printSize) return true;
+
+    const plans = await Promise.all(images.map(async (image) => {
+      const response = await apiFetch('/api/export/print', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ imageUrl, filename })
+        body: JSON.stringify({ ...exportOptions(image), dryRun: true })
       });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error);
+      return data.plan;
+    }));
+
+    const warnings = plans.filter(plan => plan.warning);
+    if (warnings.length === 0) return true;
+    const worst = Math.max(...warnings.map(plan => plan.upscaleFactor));
+    return window.confirm(
+      `${warnings.length === 1 && plans.length === 1 ? 'This image' : `${warnings.length} of ${plans.length} images`} must be enlarged up to ${worst}x for a ${printSize}" print and may look soft. Download anyway?`
+    );
+  };
 
-      if (!response.ok) {
-        throw new Error('Download processing failed');
-      }
+  // Run an image through the backend print export (300 DPI, chosen format, background and print size)
+  const fetchPrintExport = async (image, filename) => {
+    const response = await apiFetch(printSize ? '/api/export/print' : '/api/download-with-dpi', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(exportOptions(image, filename))
+    });
 
-      const blob = await response.blob();
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.details || data.error || 'Download processing failed');
+    }
+    return response.blob();
+  };
+
+  const downloadImage = async (image, prompt, index) => {
+    try {
+      // Create filename from prompt (sanitized) or use index
+      const sanitizedPrompt = prompt.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_').substring(0, 50);
+      const filename = `generated_${sanitizedPrompt || `image_${index + 1}`}_${Date.now()}.${exportExtension}`;
+
+      if (!(await confirmPrintQuality([image]))) return;
+
+      toast.loading('Processing image with 300 DPI...', { id: 'download' });
+
+      const blob = await fetchPrintExport(image, filename);
 
       // Create download link
       const url = URL.createObjectURL(blob);
@@ -327,109 +586,187 @@ export default function GenerateTab() {
       toast.success('Image downloaded with 300 DPI!', { id: 'download' });
     } catch (error) {
       console.error('Download failed:', error);
-      toast.error('Failed to download image', { id: 'download' });
+      toast.error(`Failed to download image: ${error.message}`, { id: 'download' });
     }
   };
 
   const downloadAllImages = async () => {
     if (results.length === 0) return;
 
+    const allVariants = results.flatMap(result => getVariants(result).map((variant, variantIndex) => ({
+      result,
+      variant,
+      variantIndex
+    })));
+
     try {
-      toast.loading('Processing and downloading images with 300 DPI...', { id: 'download-all' });
-
-      // Process each image through our DPI proxy
-      const imageBlobs = await Promise.all(
-        results.map(async (result, index) => {
-          const sanitizedPrompt = result.prompt.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_').substring(0, 30);
-          const filename = `${sanitizedPrompt || `image_${index + 1}`}.jpg`;
-
-          // Use our backend proxy to add 300 DPI metadata
-          const response = await fetch('/api/download-with-dpi', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ imageUrl: result.imageUrl, filename })
-          });
-
-          const blob = await response.blob();
-          return { blob, filename };
-        })
-      );
-
-      // Create individual downloads
-      for (let i = 0; i < imageBlobs.length; i++) {
-        const { blob, filename } = imageBlobs[i];
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${i + 1}_${filename}`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-
-        // Small delay between downloads
-        if (i < imageBlobs.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
+      if (!(await confirmPrintQuality(allVariants.map(({ variant }) => downloadSource(variant))))) return;
+
+      toast.loading(`Packaging ${allVariants.length} images with 300 DPI...`, { id: 'download-all' });
+
+      const images = allVariants.map(({ result, variant, variantIndex }, index) => {
+        const sanitizedPrompt = result.prompt.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_').substring(0, 30);
+        const variantSuffix = getVariants(result).length > 1 ? `_v${variantIndex + 1}` : '';
+        // Reference images are data URLs; keep them out of the manifest
+        const { input_images: inputImages, ...parameters } = result.parameters || {};
+        return {
+          ...downloadSource(variant),
+          filename: `${sanitizedPrompt || `image_${index + 1}`}${variantSuffix}`,
+          prompt: result.prompt,
+          model: result.model,
+          parameters: { ...parameters, ...(inputImages?.length ? { input_images: inputImages.length } : {}) }
+        };
+      });
+
+      // The backend exports every image and streams them back as one ZIP with a manifest
+      const archiveName = `artwork-${Date.now()}`;
+      const response = await apiFetch('/api/export/zip', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...exportOptions({ images }), archiveName })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || data.error || 'Archive export failed');
       }
 
-      toast.success(`Downloaded ${results.length} images with 300 DPI!`, { id: 'download-all' });
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${archiveName}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      toast.success(`Downloaded ${allVariants.length} images with 300 DPI!`, { id: 'download-all' });
     } catch (error) {
       console.error('Batch download failed:', error);
-      toast.error('Failed to download images', { id: 'download-all' });
+      toast.error(`Failed to download images: ${error.message}`, { id: 'download-all' });
     }
   };
 
-  const regenerateImage = async (index) => {
+  // Upscale a saved variant; the copy is stored next to it and offered for download
+  const upscaleImage = async (index, variantIndex = 0) => {
     const result = results[index];
-    if (!result) return;
+    const variant = result && getVariants(result)[variantIndex];
+    if (!variant?.savedImage || !selectedUpscaler) return;
 
-    console.log('🔄 Regenerating image at index:', index);
-    console.log('📋 Original parameters:', result.parameters);
+    const scale = Number(upscaleScale) || (selectedUpscaler.scales.includes(4) ? 4 : selectedUpscaler.scales[0]);
+    setUpscalingKey(`${result.id}:${variantIndex}`);
 
-    setRegeneratingIndex(index);
+    try {
+      toast.loading(`Upscaling ${scale}x...`, { id: 'upscale' });
+      const { jobId } = await submitUpscaleJob('generated', variant.savedImage.filename, { upscaler: selectedUpscaler.id, scale });
+      const job = await watchJob(jobId, (update) => {
+        if (update.status === 'running') {
+          toast.loading(`Upscaling ${scale}x... ${update.progress}%`, { id: 'upscale' });
+        }
+      });
 
+      if (job.status === 'succeeded') {
+        const { upscaled } = job.result;
+        setResults(prev => prev.map(item => {
+          if (item.id !== result.id) return item;
+          const images = getVariants(item).map((entry, i) => (i === variantIndex ? { ...entry, upscaled, upscaleError: null } : entry));
+          return { ...item, images };
+        }));
+        setDownloadVersion('upscaled');
+        toast.success(`Upscaled to ${upscaled.width}x${upscaled.height}`, { id: 'upscale' });
+      } else {
+        toast.error(`Upscale failed: ${describeJobError(job.error)}`, { id: 'upscale' });
+      }
+    } catch (error) {
+      console.error('Upscale failed:', error);
+      toast.error(`Upscale failed: ${error.details || error.message}`, { id: 'upscale' });
+    } finally {
+      setUpscalingKey(null);
+    }
+  };
+
+  // Make a watermarked proof of a saved variant, download it and copy its public link for the customer
+  const downloadProof = async (index, variantIndex = 0) => {
+    const result = results[index];
+    const variant = result && getVariants(result)[variantIndex];
+    if (!variant?.savedImage) return;
+
+    setProofingKey(`${result.id}:${variantIndex}`);
     try {
-      toast.loading('Regenerating image...', { id: 'regenerate' });
+      toast.loading('Creating watermarked proof...', { id: 'proof' });
+      const proof = await createProof('generated', variant.savedImage.filename);
+      setResults(prev => prev.map(item => {
+        if (item.id !== result.id) return item;
+        const images = getVariants(item).map((entry, i) => (i === variantIndex ? { ...entry, proof } : entry));
+        return { ...item, images };
+      }));
 
-      // Use the same parameters from the original generation
-      const requestBody = { ...result.parameters };
+      const a = document.createElement('a');
+      a.href = `${proof.publicUrl}?download=1`;
+      a.download = proof.filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
 
-      console.log('📋 Regeneration request body:', requestBody);
+      const link = `${window.location.origin}${proof.publicUrl}`;
+      const copied = await navigator.clipboard?.writeText(link).then(() => true, () => false);
+      toast.success(copied ? 'Proof downloaded; customer link copied' : `Proof downloaded. Customer link: ${link}`, { id: 'proof', duration: 6000 });
+    } catch (error) {
+      console.error('Proof failed:', error);
+      toast.error(`Proof failed: ${error.details || error.message}`, { id: 'proof' });
+    } finally {
+      setProofingKey(null);
+    }
+  };
 
-      const response = await fetch('/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
-      });
+  // Regenerate a single variant of a result, keeping the rest of its group
+  const regenerateImage = async (index, variantIndex = 0) => {
+    const result = results[index];
+    if (!result) return;
 
-      console.log('📡 Regeneration response status:', response.status);
+    setRegeneratingKey(`${result.id}:${variantIndex}`);
 
-      const responseData = await response.json();
-      console.log('📦 Regeneration response data:', responseData);
+    try {
+      toast.loading('Regenerating image...', { id: 'regenerate' });
 
-      if (response.ok && responseData.success) {
-        // Update the specific image in the results array
-        const updatedResults = [...results];
-        updatedResults[index] = {
-          ...responseData,
-          id: Date.now() + Math.random(),
-          model: result.model,
-          parameters: requestBody
-        };
-        setResults(updatedResults);
+      // Use the same parameters from the original generation, but only ask for one image
+      const requestBody = { ...result.parameters };
+      const countParam = models.find(model => model.id === result.model)?.imageCountParam;
+      if (countParam) {
+        requestBody[countParam] = 1;
+      }
+
+      const { jobId } = await submitGenerationJob(requestBody);
+      const job = await watchJob(jobId, (update) => {
+        if (update.status === 'running') {
+          toast.loading(`Regenerating image... ${update.progress}%`, { id: 'regenerate' });
+        }
+      });
+
+      if (job.status === 'succeeded') {
+        // Swap the new image into the variant slot it replaces
+        const replacement = { ...getVariants(job.result)[0], index: variantIndex };
+        setResults(prev => prev.map(item => {
+          if (item.id !== result.id) return item;
+          const images = getVariants(item).map((variant, i) => (i === variantIndex ? replacement : variant));
+          return {
+            ...item,
+            images,
+            imageUrl: images[0].imageUrl,
+            localUrl: images[0].localUrl,
+            savedImage: images[0].savedImage
+          };
+        }));
 
-        console.log(`✅ Successfully regenerated image`);
         toast.success('Image regenerated successfully!', { id: 'regenerate' });
       } else {
-        console.error(`❌ Failed to regenerate image:`, responseData);
-        toast.error(`Failed: ${responseData.error || 'Unknown error'}`, { id: 'regenerate' });
+        console.error(`❌ Failed to regenerate image:`, job.error);
+        toast.error(`Failed: ${describeJobError(job.error)}`, { id: 'regenerate' });
       }
     } catch (error) {
       console.error('❌ Regeneration failed:', error);
-      toast.error('Failed to regenerate image', { id: 'regenerate' });
+      toast.error(error.details ? `Failed to regenerate image: ${error.details}` : 'Failed to regenerate image', { id: 'regenerate' });
     } finally {
-      setRegeneratingIndex(null);
+      setRegeneratingKey(null);
     }
   };
 
@@ -440,9 +777,18 @@ export default function GenerateTab() {
           <h3 className="text-2xl font-semibold text-slate-800 flex items-center gap-3">
             <Sparkles className="w-6 h-6 text-accent-500" />
             AI Art Generation
-            <span className="text-sm px-2 py-1 rounded-full bg-cyan-100 text-cyan-700">
-              OpenAI Image 1.5
-            </span>
+            <select
+              value={selectedModelId}
+              onChange={(e) => setSelectedModelId(e.target.value)}
+              disabled={generating || models.length === 0}
+              className="text-sm px-2 py-1 rounded-full bg-cyan-100 text-cyan-700 border-none focus:ring-2 focus:ring-cyan-300"
+              title={selectedModel?.description}
+            >
+              {models.length === 0 && <option value={selectedModelId}>Loading models...</option>}
+              {models.map(model => (
+                <option key={model.id} value={model.id}>{model.name}</option>
+              ))}
+            </select>
           </h3>
           <div className="flex gap-2">
             <button
@@ -461,6 +807,31 @@ export default function GenerateTab() {
           </div>
         </div>
 
+        {/* Active Order */}
+        {activeOrder && (
+          <div className="mb-6 p-4 bg-gradient-to-r from-purple-50 to-fuchsia-50 rounded-xl border border-purple-200 flex items-center justify-between gap-3">
+            <div className="flex items-center gap-3 text-sm text-purple-800">
+              <ClipboardList className="w-5 h-5" />
+              <span>
+                Working on order for <span className="font-medium">{activeOrder.customerName}</span>
+                {activeOrder.petName && <> ({activeOrder.petName})</>}
+              </span>
+              <span className="text-xs px-2 py-0.5 rounded-full bg-purple-200 text-purple-700">{activeOrder.status}</span>
+              <span className="text-xs text-purple-600">
+                {activeOrder.generations.length} generation{activeOrder.generations.length !== 1 ? 's' : ''} so far
+              </span>
+            </div>
+            <button
+              onClick={onCloseOrder}
+              disabled={generating}
+              className="text-sm text-purple-600 hover:text-purple-800 flex items-center gap-1"
+            >
+              <X className="w-4 h-4" />
+              Close order
+            </button>
+          </div>
+        )}
+
         {/* Renaissance Base Image Selection */}
         <motion.div
           initial={{ opacity: 0 }}
@@ -473,7 +844,7 @@ export default function GenerateTab() {
           </h4>
           <ImageSelectionPanel
             selectedImage={selectedBaseImage}
-            onSelectImage={setSelectedBaseImage}
+            onSelectImage={selectBaseImage}
             onClear={clearBaseImageSelection}
           />
         </motion.div>
@@ -487,30 +858,34 @@ export default function GenerateTab() {
           <h4 className="font-medium text-blue-800 mb-4 flex items-center gap-2">
             <User className="w-5 h-5" />
             Step 2: Upload Customer Photos
-            {customerPhotos.length > 0 && (
+            {photoCount > 0 && (
               <span className="text-xs px-2 py-0.5 rounded-full bg-blue-200 text-blue-700">
-                {customerPhotos.length} photo{customerPhotos.length !== 1 ? 's' : ''}
+                {photoCount} photo{photoCount !== 1 ? 's' : ''}
               </span>
             )}
+            {uploadingPhotos && <RefreshCw className="w-4 h-4 animate-spin" />}
           </h4>
 
-          {customerPhotoPreviews.length > 0 ? (
+          {photoPreviews.length > 0 ? (
             <div className="space-y-3">
               <div className="flex flex-wrap gap-3">
-                {customerPhotoPreviews.map((preview, idx) => (
+                {photoPreviews.map((preview, idx) => (
                   <div key={idx} className="relative group">
                     <img
                       src={preview}
                       alt={`Customer photo ${idx + 1}`}
                       className="w-24 h-24 rounded-lg object-cover border-2 border-blue-300 shadow-md"
                     />
-                    <button
-                      onClick={() => removeCustomerPhoto(idx)}
-                      className="absolute -top-2 -right-2 p-1 bg-red-500 hover:bg-red-600 text-white rounded-full shadow-md transition-colors opacity-0 group-hover:opacity-100"
-                      title="Remove photo"
-                    >
-                      <X className="w-3 h-3" />
-                    </button>
+                    {/* Removing an order's stored photo deletes it, which is admin-only */}
+                    {(!activeOrder || isAdmin) && (
+                      <button
+                        onClick={() => removeCustomerPhoto(idx)}
+                        className="absolute -top-2 -right-2 p-1 bg-red-500 hover:bg-red-600 text-white rounded-full shadow-md transition-colors opacity-0 group-hover:opacity-100"
+                        title="Remove photo"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    )}
                     <div className="absolute bottom-1 left-1 px-1.5 py-0.5 bg-black/60 rounded text-xs text-white">
                       {idx + 1}
                     </div>
@@ -525,13 +900,15 @@ export default function GenerateTab() {
                   <Upload className="w-4 h-4" />
                   Add more photos
                 </button>
-                <button
-                  onClick={clearCustomerPhotos}
-                  className="text-sm text-red-600 hover:text-red-700 flex items-center gap-1"
-                >
-                  <X className="w-4 h-4" />
-                  Clear all
-                </button>
+                {!activeOrder && (
+                  <button
+                    onClick={clearCustomerPhotos}
+                    className="text-sm text-red-600 hover:text-red-700 flex items-center gap-1"
+                  >
+                    <X className="w-4 h-4" />
+                    Clear all
+                  </button>
+                )}
               </div>
               <input {...customerPhotoDropzone.getInputProps()} />
             </div>
@@ -554,10 +931,15 @@ export default function GenerateTab() {
               <p className="text-xs text-blue-500 mt-1">Upload multiple photos at once - faces will be merged with the renaissance style</p>
             </div>
           )}
+          {photoUploads.uploads.length > 0 && (
+            <div className="mt-3">
+              <UploadProgressList uploads={photoUploads.uploads} onDismiss={photoUploads.clear} />
+            </div>
+          )}
         </motion.div>
 
         {/* Generation Summary */}
-        {(selectedBaseImage || customerPhotos.length > 0) && (
+        {(selectedBaseImage || photoCount > 0) && (
           <motion.div
             initial={{ opacity: 0, y: -10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -574,10 +956,10 @@ export default function GenerateTab() {
                   <span>{selectedBaseImage.name}</span>
                 </div>
               )}
-              {customerPhotos.length > 0 && (
+              {photoCount > 0 && (
                 <div className="flex items-center gap-2">
                   <span className="font-medium">Customer Photos:</span>
-                  <span>{customerPhotos.length} photo{customerPhotos.length !== 1 ? 's' : ''}</span>
+                  <span>{photoCount} photo{photoCount !== 1 ? 's' : ''}</span>
                 </div>
               )}
             </div>
@@ -596,116 +978,15 @@ export default function GenerateTab() {
               Generation Parameters
             </h4>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-slate-600 mb-2">Aspect Ratio</label>
-                <select
-                  value={aspectRatio}
-                  onChange={(e) => setAspectRatio(e.target.value)}
-                  className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
-                >
-                  <option value="1:1">Square (1:1)</option>
-                  <option value="3:2">Landscape (3:2)</option>
-                  <option value="2:3">Portrait (2:3)</option>
-                </select>
-              </div>
-                <div>
-                  <label className="block text-sm font-medium text-slate-600 mb-2">Quality</label>
-                  <select
-                    value={openaiQuality}
-                    onChange={(e) => setOpenaiQuality(e.target.value)}
-                    className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
-                  >
-                    <option value="auto">Auto</option>
-                    <option value="low">Low</option>
-                    <option value="medium">Medium</option>
-                    <option value="high">High</option>
-                  </select>
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-slate-600 mb-2">Background</label>
-                  <select
-                    value={openaiBackground}
-                    onChange={(e) => setOpenaiBackground(e.target.value)}
-                    className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
-                  >
-                    <option value="auto">Auto</option>
-                    <option value="transparent">Transparent</option>
-                    <option value="opaque">Opaque</option>
-                  </select>
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-slate-600 mb-2">Moderation</label>
-                  <select
-                    value={openaiModeration}
-                    onChange={(e) => setOpenaiModeration(e.target.value)}
-                    className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
-                  >
-                    <option value="auto">Auto</option>
-                    <option value="low">Low</option>
-                  </select>
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-slate-600 mb-2">Output Format</label>
-                  <select
-                    value={openaiOutputFormat}
-                    onChange={(e) => setOpenaiOutputFormat(e.target.value)}
-                    className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
-                  >
-                    <option value="webp">WebP</option>
-                    <option value="png">PNG</option>
-                    <option value="jpeg">JPEG</option>
-                  </select>
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-slate-600 mb-2">Input Fidelity</label>
-                  <select
-                    value={openaiInputFidelity}
-                    onChange={(e) => setOpenaiInputFidelity(e.target.value)}
-                    className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
-                  >
-                    <option value="low">Low</option>
-                    <option value="high">High</option>
-                  </select>
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-slate-600 mb-2">
-                    Number of Images: {openaiNumberOfImages}
-                  </label>
-                  <input
-                    type="range"
-                    min="1"
-                    max="10"
-                    step="1"
-                    value={openaiNumberOfImages}
-                    onChange={(e) => setOpenaiNumberOfImages(parseInt(e.target.value))}
-                    className="w-full"
-                  />
-                  <div className="flex justify-between text-xs text-slate-500 mt-1">
-                    <span>1</span>
-                    <span>10</span>
-                  </div>
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-slate-600 mb-2">
-                    Output Compression: {openaiOutputCompression}%
-                  </label>
-                  <input
-                    type="range"
-                    min="0"
-                    max="100"
-                    step="5"
-                    value={openaiOutputCompression}
-                    onChange={(e) => setOpenaiOutputCompression(parseInt(e.target.value))}
-                    className="w-full"
-                  />
-                </div>
+              {selectedModel && (
+                <ModelParameterControls
+                  parameters={selectedModel.parameters}
+                  values={modelParams}
+                  onChange={setModelParams}
+                />
+              )}
 
+              {selectedModel?.supportsApiKey && (
                 <div className="md:col-span-2">
                   <label className="block text-sm font-medium text-slate-600 mb-2">
                     OpenAI API Key <span className="text-xs text-slate-400">(Optional - uses proxy if not provided)</span>
@@ -718,29 +999,66 @@ export default function GenerateTab() {
                     className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
                   />
                 </div>
+              )}
 
+              {selectedModel?.supportsUserId && (
                 <div>
                   <label className="block text-sm font-medium text-slate-600 mb-2">
                     User ID <span className="text-xs text-slate-400">(Optional)</span>
                   </label>
                   <input
                     type="text"
-                    value={openaiUserId}
-                    onChange={(e) => setOpenaiUserId(e.target.value)}
+                    value={userId}
+                    onChange={(e) => setUserId(e.target.value)}
                     placeholder="user-123"
                     className="w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
                   />
                 </div>
+              )}
+
+              {upscalers.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-600 mb-2">
+                    Upscale After Generation <span className="text-xs text-slate-400">(for large prints)</span>
+                  </label>
+                  <div className="flex gap-2">
+                    <select
+                      value={upscaleScale}
+                      onChange={(e) => setUpscaleScale(e.target.value)}
+                      className="flex-1 px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
+                    >
+                      <option value="">Off</option>
+                      {(selectedUpscaler?.scales || []).map(scale => (
+                        <option key={scale} value={scale}>{scale}x</option>
+                      ))}
+                    </select>
+                    <select
+                      value={upscalerId}
+                      onChange={(e) => {
+                        setUpscalerId(e.target.value);
+                        setUpscaleScale('');
+                      }}
+                      className="flex-1 px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500"
+                    >
+                      {upscalers.map(upscaler => (
+                        <option key={upscaler.id} value={upscaler.id}>{upscaler.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
 
+              {maxReferenceImages > 0 && (
                 <div className="md:col-span-3">
                   <label className="block text-sm font-medium text-slate-600 mb-2">
-                    Input Images <span className="text-xs text-slate-400">(Optional - up to 5 reference images)</span>
+                    Input Images <span className="text-xs text-slate-400">(Optional - up to {maxReferenceImages} reference image{maxReferenceImages !== 1 ? 's' : ''})</span>
+                    {uploadingReferenceImages && <RefreshCw className="w-4 h-4 animate-spin inline ml-2 text-slate-400" />}
                   </label>
 
-                  {openaiInputImagePreviews.length > 0 ? (
+                  {referenceImagePreviews.length > 0 ? (
                     <div className="space-y-2">
                       <div className="flex flex-wrap gap-2">
-                        {openaiInputImagePreviews.map((preview, idx) => (
+                        {referenceImagePreviews.map((preview, idx) => (
                           <div key={idx} className="relative inline-block">
                             <img
                               src={preview}
@@ -749,7 +1067,7 @@ export default function GenerateTab() {
                             />
                             <button
                               type="button"
-                              onClick={() => removeOpenaiInputImage(idx)}
+                              onClick={() => removeReferenceImage(idx)}
                               className="absolute -top-2 -right-2 p-1 bg-red-500 hover:bg-red-600 text-white rounded-full shadow-md transition-colors"
                               title="Remove image"
                             >
@@ -758,42 +1076,57 @@ export default function GenerateTab() {
                           </div>
                         ))}
                       </div>
-                      {openaiInputImages.length < 5 && (
+                      <div className="flex items-center gap-3">
+                        {referenceImages.length < maxReferenceImages && (
+                          <button
+                            type="button"
+                            onClick={() => referenceImageDropzone.open()}
+                            className="text-sm text-cyan-600 hover:text-cyan-700"
+                          >
+                            + Add more images ({referenceImages.length}/{maxReferenceImages})
+                          </button>
+                        )}
                         <button
                           type="button"
-                          onClick={() => openaiImageDropzone.open()}
-                          className="text-sm text-cyan-600 hover:text-cyan-700"
+                          onClick={clearReferenceImages}
+                          className="text-sm text-red-600 hover:text-red-700"
                         >
-                          + Add more images ({openaiInputImages.length}/5)
+                          Clear all
                         </button>
-                      )}
+                      </div>
                     </div>
                   ) : (
                     <div
-                      {...openaiImageDropzone.getRootProps()}
+                      {...referenceImageDropzone.getRootProps()}
                       className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition-all ${
-                        openaiImageDropzone.isDragActive
+                        referenceImageDropzone.isDragActive
                           ? 'border-cyan-400 bg-cyan-50'
                           : 'border-slate-300 hover:border-cyan-400 hover:bg-slate-50'
                       }`}
                     >
-                      <input {...openaiImageDropzone.getInputProps()} />
+                      <input {...referenceImageDropzone.getInputProps()} />
                       <Upload className="w-8 h-8 text-slate-400 mx-auto mb-2" />
                       <p className="text-sm text-slate-600">
-                        {openaiImageDropzone.isDragActive
+                        {referenceImageDropzone.isDragActive
                           ? 'Drop images here...'
-                          : 'Drag & drop or click to upload (up to 5 images)'}
+                          : `Drag & drop or click to upload (up to ${maxReferenceImages} image${maxReferenceImages !== 1 ? 's' : ''})`}
                       </p>
-                      <p className="text-xs text-slate-400 mt-1">JPG, PNG, GIF, WebP</p>
+                      <p className="text-xs text-slate-400 mt-1">JPG, PNG, GIF, WebP, HEIC</p>
+                    </div>
+                  )}
+                  {referenceUploads.uploads.length > 0 && (
+                    <div className="mt-2">
+                      <UploadProgressList uploads={referenceUploads.uploads} onDismiss={referenceUploads.clear} />
                     </div>
                   )}
                 </div>
-              </div>
+              )}
+            </div>
 
             {/* Current Settings Display */}
             <div className="mt-4 p-3 bg-blue-50 rounded-lg border border-blue-200">
               <div className="text-sm text-blue-700">
-                <strong>Current Settings:</strong> {aspectRatio} • Quality: {openaiQuality} • BG: {openaiBackground} • {openaiOutputFormat.toUpperCase()} • Images: {openaiNumberOfImages}
+                <strong>Current Settings:</strong> {modelName} • {describeParams(modelParams)}
               </div>
             </div>
           </motion.div>
@@ -803,17 +1136,24 @@ export default function GenerateTab() {
           <label className="block text-sm font-medium text-slate-700 mb-2">
             Step 3: Enter Prompt (one per line)
           </label>
+          <PromptTemplatePanel
+            category={selectedBaseImage?.category}
+            defaults={templateDefaults}
+            currentPrompts={prompts}
+            onApply={(templatePrompts) => setPrompts(templatePrompts.join('\n'))}
+            disabled={generating}
+          />
           <textarea
             value={prompts}
             onChange={(e) => setPrompts(e.target.value)}
-            placeholder={selectedBaseImage || customerPhotos.length > 0
+            placeholder={selectedBaseImage || photoCount > 0
               ? "Create a renaissance portrait combining the person's face with the elegant style and clothing from the reference image, maintaining the artistic quality and period-accurate details"
               : "beautiful renaissance portrait painting\nelegant royal court portrait in oil painting style\nclassic renaissance family portrait with ornate clothing"}
             rows={4}
             className="w-full px-4 py-4 bg-white/70 border border-white/50 rounded-xl focus:outline-none focus:ring-2 focus:ring-accent-500 resize-none font-mono text-sm"
           />
           <p className="text-xs text-slate-500 mt-2">
-            {selectedBaseImage || customerPhotos.length > 0
+            {selectedBaseImage || photoCount > 0
               ? "Describe how to combine the customer's photos with the selected renaissance style. The AI will blend the people into the artistic style."
               : "Each line will generate one image. Select a base image and upload customer photos for best results."}
           </p>
@@ -825,7 +1165,7 @@ export default function GenerateTab() {
             <div className="flex items-center gap-2 mb-2">
               <div className="w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
               <span className="text-sm font-medium text-blue-700">
-                Generating with OpenAI Image 1.5...
+                Generating with {modelName}...
               </span>
             </div>
             {currentPrompt && (
@@ -855,7 +1195,7 @@ export default function GenerateTab() {
           ) : (
             <>
               <Zap className="w-5 h-5" />
-              Generate with OpenAI Image 1.5
+              Generate with {modelName}
             </>
           )}
         </motion.button>
@@ -872,123 +1212,286 @@ export default function GenerateTab() {
             <div className="flex items-center gap-2">
               <CheckCircle className="w-5 h-5 text-green-500" />
               <h4 className="text-xl font-semibold text-slate-800">
-                Generated Artwork ({results.length})
+                Generated Artwork ({results.reduce((count, result) => count + getVariants(result).length, 0)})
               </h4>
             </div>
-            {results.length > 1 && (
-              <motion.button
-                whileHover={{ scale: 1.05 }}
-                whileTap={{ scale: 0.95 }}
-                onClick={downloadAllImages}
-                className="flex items-center gap-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-xl font-medium transition-colors"
-              >
-                <Download className="w-4 h-4" />
-                Download All
-              </motion.button>
-            )}
+            <div className="flex items-center gap-3">
+              <div className="flex items-center gap-2 text-sm text-slate-600" title="Download format, print size and the background used to fill transparent areas">
+                {results.some(result => getVariants(result).some(variant => variant.upscaled)) && (
+                  <select
+                    value={downloadVersion}
+                    onChange={(e) => setDownloadVersion(e.target.value)}
+                    className="px-2 py-1.5 bg-white border border-slate-300 rounded-lg text-sm"
+                  >
+                    <option value="original">Original</option>
+                    <option value="upscaled">Upscaled</option>
+                  </select>
+                )}
+                <select
+                  value={printSize}
+                  onChange={(e) => setPrintSize(e.target.value)}
+                  className="px-2 py-1.5 bg-white border border-slate-300 rounded-lg text-sm"
+                >
+                  <option value="">Generated size</option>
+                  {PRINT_SIZES.map(size => (
+                    <option key={size} value={size}>{size.replace('x', ' x ')} in</option>
+                  ))}
+                </select>
+                {printSize && (
+                  <select
+                    value={printOrientation}
+                    onChange={(e) => setPrintOrientation(e.target.value)}
+                    className="px-2 py-1.5 bg-white border border-slate-300 rounded-lg text-sm"
+                  >
+                    <option value="auto">Match image</option>
+                    <option value="portrait">Portrait</option>
+                    <option value="landscape">Landscape</option>
+                  </select>
+                )}
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="px-2 py-1.5 bg-white border border-slate-300 rounded-lg text-sm"
+                >
+                  {EXPORT_FORMATS.map(format => (
+                    <option
+                      key={format.id}
+                      value={format.id}
+                      disabled={exportColorProfileInfo.formats && !exportColorProfileInfo.formats.includes(format.id)}
+                    >
+                      {format.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={exportColorProfile}
+                  onChange={(e) => changeColorProfile(e.target.value)}
+                  className="px-2 py-1.5 bg-white border border-slate-300 rounded-lg text-sm"
+                  title="Color profile embedded in the export"
+                >
+                  {COLOR_PROFILES.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.label}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1">
+                  Background
+                  <input
+                    type="color"
+                    value={exportBackground}
+                    onChange={(e) => setExportBackground(e.target.value)}
+                    disabled={keepTransparency && canKeepTransparency}
+                    className="w-8 h-8 p-0.5 bg-white border border-slate-300 rounded-lg cursor-pointer disabled:opacity-50"
+                  />
+                </label>
+                {canKeepTransparency && (
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={keepTransparency}
+                      onChange={(e) => setKeepTransparency(e.target.checked)}
+                    />
+                    Transparent
+                  </label>
+                )}
+              </div>
+              {(results.length > 1 || getVariants(results[0]).length > 1) && (
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={downloadAllImages}
+                  className="flex items-center gap-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-xl font-medium transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                  Download All
+                </motion.button>
+              )}
+            </div>
           </div>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {results.map((result, index) => (
-              <motion.div
-                key={result.id}
-                initial={{ opacity: 0, scale: 0.9 }}
-                animate={{ opacity: 1, scale: 1 }}
-                className="bg-white/70 rounded-2xl overflow-hidden border border-white/50 hover:shadow-lg transition-all"
-              >
-                <div className="aspect-square bg-slate-100 relative group">
-                  <img
-                    src={result.imageUrl}
-                    alt={result.prompt}
-                    className="w-full h-full object-cover"
-                    onError={(e) => {
-                      console.error('Image failed to load:', result.imageUrl);
-                      e.target.style.display = 'none';
-                      e.target.nextSibling.style.display = 'flex';
-                    }}
-                  />
-                  <div className="absolute inset-0 bg-slate-200 flex items-center justify-center text-slate-500 text-sm" style={{display: 'none'}}>
-                    Failed to load image
-                  </div>
+            {results.map((result, index) => {
+              const variants = getVariants(result);
+              return (
+                <motion.div
+                  key={result.id}
+                  initial={{ opacity: 0, scale: 0.9 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  className={`bg-white/70 rounded-2xl overflow-hidden border border-white/50 hover:shadow-lg transition-all ${
+                    variants.length > 1 ? 'md:col-span-2' : ''
+                  }`}
+                >
+                  <div className={`grid gap-1 bg-slate-100 ${variants.length > 1 ? 'grid-cols-2 lg:grid-cols-3' : 'grid-cols-1'}`}>
+                    {variants.map((variant, variantIndex) => {
+                      const isRegenerating = regeneratingKey === `${result.id}:${variantIndex}`;
+                      const isUpscaling = upscalingKey === `${result.id}:${variantIndex}`;
+                      return (
+                        <div key={`${variant.imageUrl}-${variantIndex}`} className="aspect-square bg-slate-100 relative group">
+                          <img
+                            src={variant.imageUrl}
+                            alt={result.prompt}
+                            className="w-full h-full object-cover"
+                            onError={(e) => {
+                              console.error('Image failed to load:', variant.imageUrl);
+                              e.target.style.display = 'none';
+                              e.target.nextSibling.style.display = 'flex';
+                            }}
+                          />
+                          <div className="absolute inset-0 bg-slate-200 flex items-center justify-center text-slate-500 text-sm" style={{display: 'none'}}>
+                            Failed to load image
+                          </div>
 
-                  {/* Loading overlay when regenerating */}
-                  {regeneratingIndex === index && (
-                    <div className="absolute inset-0 bg-black/70 flex flex-col items-center justify-center">
-                      <RefreshCw className="w-8 h-8 text-white animate-spin mb-2" />
-                      <span className="text-white text-sm font-medium">Regenerating...</span>
-                    </div>
-                  )}
+                          {variants.length > 1 && (
+                            <div className="absolute top-2 left-2 px-1.5 py-0.5 bg-black/60 rounded text-xs text-white">
+                              {variantIndex + 1}/{variants.length}
+                            </div>
+                          )}
 
-                  {/* Hover overlay with action buttons */}
-                  <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-opacity flex items-end justify-between p-3">
-                    <div className="flex gap-2">
-                      <button
-                        onClick={() => downloadImage(result.imageUrl, result.prompt, index)}
-                        className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors"
-                        title="Download Image"
-                        disabled={regeneratingIndex === index}
-                      >
-                        <Download className="w-4 h-4 text-slate-700" />
-                      </button>
-                      <button
-                        onClick={() => regenerateImage(index)}
-                        className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                        title="Regenerate Image"
-                        disabled={regeneratingIndex === index}
-                      >
-                        <RefreshCw className={`w-4 h-4 text-slate-700 ${regeneratingIndex === index ? 'animate-spin' : ''}`} />
-                      </button>
-                    </div>
-                    <button
-                      onClick={() => window.open(result.imageUrl, '_blank')}
-                      className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors"
-                      title="View Full Size"
-                      disabled={regeneratingIndex === index}
-                    >
-                      <Eye className="w-4 h-4 text-slate-700" />
-                    </button>
+                          {(variant.upscaled || variant.upscaleError) && (
+                            <div
+                              className={`absolute top-2 right-2 px-1.5 py-0.5 rounded text-xs text-white ${variant.upscaled ? 'bg-emerald-600/80' : 'bg-red-600/80'}`}
+                              title={variant.upscaled ? `${variant.upscaled.width}x${variant.upscaled.height}` : variant.upscaleError}
+                            >
+                              {variant.upscaled ? `Upscaled ${variant.upscaled.scale}x` : 'Upscale failed'}
+                            </div>
+                          )}
+
+                          {/* Loading overlay when regenerating or upscaling */}
+                          {(isRegenerating || isUpscaling) && (
+                            <div className="absolute inset-0 bg-black/70 flex flex-col items-center justify-center">
+                              <RefreshCw className="w-8 h-8 text-white animate-spin mb-2" />
+                              <span className="text-white text-sm font-medium">{isUpscaling ? 'Upscaling...' : 'Regenerating...'}</span>
+                            </div>
+                          )}
+
+                          {/* Hover overlay with action buttons */}
+                          <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-opacity flex items-end justify-between p-3">
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => downloadImage(downloadSource(variant), result.prompt, index)}
+                                className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors"
+                                title="Download Image"
+                                disabled={isRegenerating}
+                              >
+                                <Download className="w-4 h-4 text-slate-700" />
+                              </button>
+                              <button
+                                onClick={() => regenerateImage(index, variantIndex)}
+                                className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                title="Regenerate Image"
+                                disabled={regeneratingKey !== null}
+                              >
+                                <RefreshCw className={`w-4 h-4 text-slate-700 ${isRegenerating ? 'animate-spin' : ''}`} />
+                              </button>
+                              {variant.savedImage && (
+                                <button
+                                  onClick={() => downloadProof(index, variantIndex)}
+                                  className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title={variant.proof ? 'Download Proof (replaces the previous proof link)' : 'Download Proof'}
+                                  disabled={proofingKey !== null || isRegenerating}
+                                >
+                                  <Stamp className="w-4 h-4 text-slate-700" />
+                                </button>
+                              )}
+                              {variant.savedImage && selectedUpscaler && (
+                                <button
+                                  onClick={() => upscaleImage(index, variantIndex)}
+                                  className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title={variant.upscaled ? 'Upscale Again' : 'Upscale for Print'}
+                                  disabled={upscalingKey !== null || isRegenerating}
+                                >
+                                  <Maximize2 className="w-4 h-4 text-slate-700" />
+                                </button>
+                              )}
+                            </div>
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => setProofTarget({ image: downloadSource(variant), imageUrl: variant.imageUrl })}
+                                className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors"
+                                title="Soft Proof (compare screen and print)"
+                                disabled={isRegenerating}
+                              >
+                                <Printer className="w-4 h-4 text-slate-700" />
+                              </button>
+                              <button
+                                onClick={() => window.open(variant.imageUrl, '_blank')}
+                                className="p-2 bg-white/90 hover:bg-white rounded-lg transition-colors"
+                                title="View Full Size"
+                                disabled={isRegenerating}
+                              >
+                                <Eye className="w-4 h-4 text-slate-700" />
+                              </button>
+                            </div>
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
-                </div>
-                <div className="p-4">
-                  <p className="text-sm text-slate-600 mb-2 overflow-hidden" style={{display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical'}}>{result.prompt}</p>
-                  <div className="flex items-center justify-between text-xs">
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs px-2 py-0.5 rounded bg-cyan-50 text-cyan-600">
-                        OpenAI Image 1.5
-                      </span>
-                      <span className="text-slate-400">
-                        {result.parameters?.aspect_ratio} • Quality: {result.parameters?.quality}
-                      </span>
-                      {result.baseImage && (
-                        <span className="text-amber-600 text-xs">
-                          Base: {result.baseImage.name}
-                        </span>
-                      )}
-                      {result.customerPhotoCount > 0 && (
-                        <span className="text-blue-600 text-xs">
-                          + {result.customerPhotoCount} Customer Photo{result.customerPhotoCount !== 1 ? 's' : ''}
-                        </span>
-                      )}
-                      {result.parameters?.input_images && result.parameters.input_images.length > 0 && !result.baseImage && !result.customerPhotoCount && (
-                        <span className="text-slate-400">
-                          Reference images: {result.parameters.input_images.length}
+                  <div className="p-4">
+                    <p className="text-sm text-slate-600 mb-2 overflow-hidden" style={{display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical'}}>{result.prompt}</p>
+                    <div className="flex items-center justify-between text-xs">
+                      <div className="flex flex-col gap-1">
+                        <span className="text-xs px-2 py-0.5 rounded bg-cyan-50 text-cyan-600">
+                          {result.modelName || result.model}
                         </span>
+                        {variants.length > 1 && (
+                          <span className="text-slate-500">
+                            {variants.length} variants
+                          </span>
+                        )}
+                        {result.estimatedCost > 0 && (
+                          <span className="text-slate-400">
+                            Est. cost: ${result.estimatedCost.toFixed(3)}
+                          </span>
+                        )}
+                        {result.parameters?.aspect_ratio && (
+                          <span className="text-slate-400">
+                            {result.parameters.aspect_ratio}{result.parameters.quality ? ` • Quality: ${result.parameters.quality}` : ''}
+                          </span>
+                        )}
+                        {result.baseImage && (
+                          <span className="text-amber-600 text-xs">
+                            Base: {result.baseImage.name}
+                          </span>
+                        )}
+                        {result.customerPhotoCount > 0 && (
+                          <span className="text-blue-600 text-xs">
+                            + {result.customerPhotoCount} Customer Photo{result.customerPhotoCount !== 1 ? 's' : ''}
+                          </span>
+                        )}
+                        {result.parameters?.input_images && result.parameters.input_images.length > 0 && !result.baseImage && !result.customerPhotoCount && (
+                          <span className="text-slate-400">
+                            Reference images: {result.parameters.input_images.length}
+                          </span>
+                        )}
+                      </div>
+                      {variants.length === 1 && (
+                        <button
+                          onClick={() => downloadImage(downloadSource(variants[0]), result.prompt, index)}
+                          className="bg-primary-100 text-primary-700 px-2 py-1 rounded-full hover:bg-primary-200 transition-colors flex items-center gap-1"
+                        >
+                          <Download className="w-3 h-3" />
+                          Save
+                        </button>
                       )}
                     </div>
-                    <button
-                      onClick={() => downloadImage(result.imageUrl, result.prompt, index)}
-                      className="bg-primary-100 text-primary-700 px-2 py-1 rounded-full hover:bg-primary-200 transition-colors flex items-center gap-1"
-                    >
-                      <Download className="w-3 h-3" />
-                      Save
-                    </button>
                   </div>
-                </div>
-              </motion.div>
-            ))}
+                </motion.div>
+              );
+            })}
           </div>
         </motion.div>
       )}
 
+      <AnimatePresence>
+        {proofTarget && (
+          <SoftProofModal
+            imageUrl={proofTarget.imageUrl}
+            exportOptions={exportOptions(proofTarget.image)}
+            profileName={`${exportColorProfileInfo.label}, ${EXPORT_FORMATS.find(format => format.id === exportFormat).label}`}
+            onClose={() => setProofTarget(null)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Debug Info */}
       <motion.div
         initial={{ opacity: 0 }}
@@ -1002,8 +1505,8 @@ export default function GenerateTab() {
           <div className="mt-2 p-3 bg-slate-100 rounded-lg text-xs text-slate-600 max-w-md">
             <p>Check browser console (F12) for detailed logs</p>
             <p>API endpoint: /api/generate</p>
-            <p>Model: OpenAI Image 1.5</p>
-            <p>Current settings: {aspectRatio} • Quality: {openaiQuality} • Images: {openaiNumberOfImages}</p>
+            <p>Model: {modelName}</p>
+            <p>Current settings: {describeParams(modelParams)}</p>
             <p className="mt-2 text-slate-500">💡 Tip: Click download buttons to save images locally</p>
           </div>
         </details>
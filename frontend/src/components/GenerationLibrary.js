@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { Library, RefreshCw, Search, X, Image, Eye, Star } from 'lucide-react';
+import { apiFetch } from '../api/client';
+import { setImageFavorite } from '../api/images';
+
+const inputClassName = 'w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500';
+
+const EMPTY_FILTERS = { prompt: '', baseImage: '', model: '', aspectRatio: '', quality: '' };
+
+// Build the /api/images query string for the generated category and the active filters
+const buildQuery = (filters) => {
+  const params = new URLSearchParams({ category: 'generated' });
+  if (filters.prompt.trim()) params.set('prompt', filters.prompt.trim());
+  if (filters.baseImage) params.set('baseImage', filters.baseImage);
+  if (filters.model) params.set('model', filters.model);
+  if (filters.aspectRatio) params.set('parameters[aspect_ratio]', filters.aspectRatio);
+  if (filters.quality) params.set('parameters[quality]', filters.quality);
+  return params.toString();
+};
+
+// Distinct values found in the library, used to populate the filter dropdowns
+const collectFacets = (images) => {
+  const baseImages = new Map();
+  const models = new Map();
+  const aspectRatios = new Set();
+  const qualities = new Set();
+
+  images.forEach(({ metadata }) => {
+    if (!metadata) return;
+    if (metadata.baseImage?.filename) baseImages.set(metadata.baseImage.filename, metadata.baseImage.name || metadata.baseImage.filename);
+    if (metadata.model) models.set(metadata.model, metadata.modelName || metadata.model);
+    if (metadata.parameters?.aspect_ratio) aspectRatios.add(metadata.parameters.aspect_ratio);
+    if (metadata.parameters?.quality) qualities.add(metadata.parameters.quality);
+  });
+
+  return {
+    baseImages: [...baseImages.entries()],
+    models: [...models.entries()],
+    aspectRatios: [...aspectRatios],
+    qualities: [...qualities]
+  };
+};
+
+export default function GenerationLibrary() {
+  const [images, setImages] = useState([]);
+  const [facets, setFacets] = useState(collectFacets([]));
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(false);
+  const [previewImage, setPreviewImage] = useState(null);
+
+  // Load filter options from the whole generated library
+  const fetchFacets = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/images?category=generated');
+      const data = await response.json();
+      if (data.success) {
+        setFacets(collectFacets(data.images));
+      }
+    } catch (error) {
+      console.error('Failed to load library filters:', error);
+    }
+  }, []);
+
+  // Load generated images matching the current filters
+  const fetchImages = useCallback(async (activeFilters) => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`/api/images?${buildQuery(activeFilters)}`);
+      const data = await response.json();
+      if (data.success) {
+        // Upscaled copies and proofs are shown through their originals
+        setImages(data.images.filter(image => !image.metadata?.upscaledFrom && !image.metadata?.proofOf));
+      } else {
+        throw new Error(data.error || 'Failed to load images');
+      }
+    } catch (error) {
+      console.error('Failed to load library:', error);
+      toast.error('Failed to load library');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFacets();
+  }, [fetchFacets]);
+
+  // Debounce so typing in the prompt search does not fire a request per keystroke
+  useEffect(() => {
+    const timeout = setTimeout(() => fetchImages(filters), 300);
+    return () => clearTimeout(timeout);
+  }, [filters, fetchImages]);
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  const refresh = () => {
+    fetchFacets();
+    fetchImages(filters);
+  };
+
+  // Favorites are kept by the retention rules
+  const toggleFavorite = async (image) => {
+    const favorite = !image.metadata?.favorite;
+    try {
+      await setImageFavorite(image.category, image.filename, favorite);
+      setImages(prev => prev.map(item => (
+        item.filename === image.filename ? { ...item, metadata: { ...item.metadata, favorite } } : item
+      )));
+    } catch (error) {
+      console.error('Failed to update favorite:', error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="glass rounded-3xl p-8 border border-white/20 space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-2xl font-semibold text-slate-800 flex items-center gap-3">
+          <Library className="w-6 h-6 text-accent-500" />
+          Generation Library
+          <span className="text-sm px-2 py-1 rounded-full bg-slate-100 text-slate-600">
+            {images.length} image{images.length !== 1 ? 's' : ''}
+          </span>
+        </h3>
+        <button
+          onClick={refresh}
+          disabled={loading}
+          className="text-sm text-slate-500 hover:text-slate-700 flex items-center gap-1"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+        <div className="md:col-span-2 relative">
+          <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={filters.prompt}
+            onChange={(e) => setFilter('prompt', e.target.value)}
+            placeholder="Search prompts..."
+            className={`${inputClassName} pl-9`}
+          />
+        </div>
+        <select value={filters.baseImage} onChange={(e) => setFilter('baseImage', e.target.value)} className={inputClassName}>
+          <option value="">All base images</option>
+          {facets.baseImages.map(([filename, name]) => (
+            <option key={filename} value={filename}>{name}</option>
+          ))}
+        </select>
+        <select value={filters.model} onChange={(e) => setFilter('model', e.target.value)} className={inputClassName}>
+          <option value="">All models</option>
+          {facets.models.map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          <select value={filters.aspectRatio} onChange={(e) => setFilter('aspectRatio', e.target.value)} className={inputClassName}>
+            <option value="">Any ratio</option>
+            {facets.aspectRatios.map(ratio => (
+              <option key={ratio} value={ratio}>{ratio}</option>
+            ))}
+          </select>
+          <select value={filters.quality} onChange={(e) => setFilter('quality', e.target.value)} className={inputClassName}>
+            <option value="">Any quality</option>
+            {facets.qualities.map(quality => (
+              <option key={quality} value={quality}>{quality}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {hasFilters && (
+        <button
+          onClick={() => setFilters(EMPTY_FILTERS)}
+          className="text-sm text-slate-500 hover:text-slate-700 flex items-center gap-1"
+        >
+          <X className="w-4 h-4" />
+          Clear filters
+        </button>
+      )}
+
+      {/* Image Grid */}
+      {loading && images.length === 0 ? (
+        <div className="flex justify-center py-8">
+          <RefreshCw className="w-8 h-8 text-slate-400 animate-spin" />
+        </div>
+      ) : images.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          {images.map((image) => (
+            <div key={image.filename} className="bg-white/70 rounded-2xl overflow-hidden border border-white/50 hover:shadow-lg transition-all">
+              <div className="relative">
+                <button
+                  onClick={() => setPreviewImage(image)}
+                  className="aspect-square w-full bg-slate-100 relative group block"
+                >
+                  <img src={image.thumbnailUrl || image.url} alt={image.metadata?.prompt || image.filename} className="w-full h-full object-cover" loading="lazy" />
+                  <div className="absolute inset-0 bg-black/0 group-hover:bg-black/20 transition-colors flex items-center justify-center">
+                    <Eye className="w-6 h-6 text-white opacity-0 group-hover:opacity-100 transition-opacity" />
+                  </div>
+                </button>
+                <button
+                  onClick={() => toggleFavorite(image)}
+                  className="absolute top-2 right-2 p-1.5 rounded-full bg-white/80 hover:bg-white shadow"
+                  title={image.metadata?.favorite ? 'Favorite (kept by retention rules)' : 'Mark as favorite'}
+                >
+                  <Star className={`w-4 h-4 ${image.metadata?.favorite ? 'fill-amber-400 text-amber-400' : 'text-slate-400'}`} />
+                </button>
+              </div>
+              <div className="p-3 space-y-1 text-xs">
+                {image.metadata?.prompt ? (
+                  <p className="text-sm text-slate-600 overflow-hidden" style={{display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical'}}>
+                    {image.metadata.prompt}
+                  </p>
+                ) : (
+                  <p className="text-sm text-slate-400 italic">No generation details recorded</p>
+                )}
+                {image.metadata?.modelName && (
+                  <span className="inline-block px-2 py-0.5 rounded bg-cyan-50 text-cyan-600">{image.metadata.modelName}</span>
+                )}
+                {image.metadata?.upscaled && (
+                  <a
+                    href={image.metadata.upscaled.url}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="inline-block ml-1 px-2 py-0.5 rounded bg-emerald-50 text-emerald-600 hover:bg-emerald-100"
+                    title={`${image.metadata.upscaled.width}x${image.metadata.upscaled.height}`}
+                  >
+                    Upscaled {image.metadata.upscaled.scale}x
+                  </a>
+                )}
+                {image.metadata?.proof && (
+                  <a
+                    href={image.metadata.proof.publicUrl}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="inline-block ml-1 px-2 py-0.5 rounded bg-violet-50 text-violet-600 hover:bg-violet-100"
+                    title="Watermarked proof (public link)"
+                  >
+                    Proof
+                  </a>
+                )}
+                {image.metadata?.baseImage && (
+                  <p className="text-amber-600">Base: {image.metadata.baseImage.name || image.metadata.baseImage.filename}</p>
+                )}
+                {image.metadata?.customerPhotos?.length > 0 && (
+                  <p className="text-blue-600">
+                    + {image.metadata.customerPhotos.length} Customer Photo{image.metadata.customerPhotos.length !== 1 ? 's' : ''}
+                  </p>
+                )}
+                <p className="text-slate-400">{new Date(image.createdAt).toLocaleString()}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-8 text-slate-500">
+          <Image className="w-12 h-12 mx-auto mb-3 text-slate-300" />
+          <p className="text-sm">{hasFilters ? 'No images match these filters' : 'No generated images yet'}</p>
+        </div>
+      )}
+
+      {/* Detail Modal */}
+      <AnimatePresence>
+        {previewImage && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4"
+            onClick={() => setPreviewImage(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.9 }}
+              animate={{ scale: 1 }}
+              exit={{ scale: 0.9 }}
+              className="relative max-w-5xl w-full max-h-[90vh] bg-white rounded-2xl overflow-hidden flex flex-col md:flex-row"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <img
+                src={previewImage.previewUrl || previewImage.url}
+                alt={previewImage.metadata?.prompt || previewImage.filename}
+                className="md:w-2/3 max-h-[85vh] object-contain bg-slate-900"
+              />
+              <div className="md:w-1/3 p-4 space-y-3 overflow-y-auto text-sm">
+                <p className="font-medium text-slate-700 break-all">{previewImage.filename}</p>
+                {previewImage.metadata?.prompt && (
+                  <div>
+                    <p className="text-xs font-medium text-slate-500 uppercase">Prompt</p>
+                    <p className="text-slate-700">{previewImage.metadata.prompt}</p>
+                  </div>
+                )}
+                {previewImage.metadata?.baseImage && (
+                  <div>
+                    <p className="text-xs font-medium text-slate-500 uppercase">Base Image</p>
+                    <p className="text-slate-700">{previewImage.metadata.baseImage.name || previewImage.metadata.baseImage.filename}</p>
+                  </div>
+                )}
+                {previewImage.metadata?.customerPhotos?.length > 0 && (
+                  <div>
+                    <p className="text-xs font-medium text-slate-500 uppercase">Customer Photos</p>
+                    <p className="text-slate-700">{previewImage.metadata.customerPhotos.map(photo => photo.name).join(', ')}</p>
+                  </div>
+                )}
+                {previewImage.metadata?.parameters && (
+                  <div>
+                    <p className="text-xs font-medium text-slate-500 uppercase">Parameters</p>
+                    <dl className="grid grid-cols-2 gap-x-2 text-xs text-slate-600">
+                      {Object.entries(previewImage.metadata.parameters).filter(([key]) => key !== 'prompt').map(([key, value]) => (
+                        <React.Fragment key={key}>
+                          <dt className="text-slate-400">{key}</dt>
+                          <dd>{String(value)}</dd>
+                        </React.Fragment>
+                      ))}
+                    </dl>
+                  </div>
+                )}
+              </div>
+              <button
+                onClick={() => setPreviewImage(null)}
+                className="absolute top-2 right-2 p-2 bg-black/50 hover:bg-black/70 rounded-full text-white transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
@@ -1,114 +1,155 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Image, Check, X, Maximize2, Upload, Trash2, RefreshCw, Plus } from 'lucide-react';
+import { Image, Check, X, Maximize2, Upload, Trash2, RefreshCw, Plus, Search, FolderCog } from 'lucide-react';
 import { useDropzone } from 'react-dropzone';
 import toast from 'react-hot-toast';
-import { RENAISSANCE_CATEGORIES } from '../data/renaissanceImages';
+import { apiFetch } from '../api/client';
+import { listLibraryImages } from '../api/images';
+import { useLibraryUpload } from './LibraryUploader';
+import CategoryManager from './CategoryManager';
+import { useAuth } from '../context/AuthContext';
+import { useCategories } from '../context/CategoriesContext';
 
-const ALL_CATEGORIES = RENAISSANCE_CATEGORIES;
+const PAGE_SIZE = 48;
+
+const SORT_OPTIONS = [
+  { id: 'newest', label: 'Newest first', sort: 'date', order: 'desc' },
+  { id: 'oldest', label: 'Oldest first', sort: 'date', order: 'asc' },
+  { id: 'name', label: 'Name (A-Z)', sort: 'name', order: 'asc' },
+  { id: 'largest', label: 'Largest first', sort: 'size', order: 'desc' }
+];
+
+// Convert an /api/images entry to the format the picker uses
+const formatUploadedImage = (img) => ({
+  id: `uploaded-${img.category}-${img.filename}`,
+  category: img.category,
+  name: img.filename.replace(/\.[^/.]+$/, '').replace(/-/g, ' '),
+  url: img.url,
+  thumbnail: img.thumbnailUrl,
+  preview: img.previewUrl,
+  filename: img.filename,
+  isUploaded: true
+});
 
 export default function ImageSelectionPanel({ selectedImage, onSelectImage, onClear }) {
-  const [activeCategory, setActiveCategory] = useState(RENAISSANCE_CATEGORIES[0].id);
+  // Adding and deleting library images is admin-only
+  const { isAdmin } = useAuth();
+  // Tabs come from /api/categories; the first one is shown until another is picked
+  const { categories } = useCategories();
+  const [activeCategory, setActiveCategory] = useState(null);
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
   const [previewImage, setPreviewImage] = useState(null);
   const [imageErrors, setImageErrors] = useState({});
-  const [uploadedImagesByCategory, setUploadedImagesByCategory] = useState({});
+  // Loaded pages per category: { images, total, nextCursor }
+  const [pagesByCategory, setPagesByCategory] = useState({});
+  const [categoryCounts, setCategoryCounts] = useState({});
   const [loadingCategory, setLoadingCategory] = useState(null);
-  const [uploading, setUploading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [search, setSearch] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [sortId, setSortId] = useState(SORT_OPTIONS[0].id);
+  const { uploadFiles, uploading, status: uploadStatus } = useLibraryUpload();
   const [showUploadZone, setShowUploadZone] = useState(false);
 
-  // Fetch uploaded images for a specific category
-  const fetchUploadedImages = useCallback(async (categoryId) => {
-    setLoadingCategory(categoryId);
+  const listOptions = useCallback((extra) => {
+    const { sort, order } = SORT_OPTIONS.find(option => option.id === sortId);
+    // Upscaled copies and proofs are not offered as base images
+    return { sort, order, search: appliedSearch, includeDerived: false, ...extra };
+  }, [sortId, appliedSearch]);
+
+  // Fetch the first page of a category, or the next one after `cursor`
+  const fetchUploadedImages = useCallback(async (categoryId, cursor = null) => {
+    if (cursor) setLoadingMore(true);
+    else setLoadingCategory(categoryId);
     try {
-      const response = await fetch(`/api/images?category=${categoryId}`);
-      const data = await response.json();
-      if (data.success && data.images) {
-        // Convert to the same format as renaissance images
-        const formattedImages = data.images.map((img) => ({
-          id: `uploaded-${categoryId}-${img.filename}`,
-          category: categoryId,
-          name: img.filename.replace(/\.[^/.]+$/, '').replace(/-/g, ' '),
-          url: img.url,
-          thumbnail: img.url,
-          filename: img.filename,
-          isUploaded: true
-        }));
-        setUploadedImagesByCategory(prev => ({
-          ...prev,
-          [categoryId]: formattedImages
-        }));
-      }
+      const data = await listLibraryImages(listOptions({ category: categoryId, limit: PAGE_SIZE, cursor }));
+      const images = data.images.map(formatUploadedImage);
+      setPagesByCategory(prev => ({
+        ...prev,
+        [categoryId]: {
+          images: cursor ? [...(prev[categoryId]?.images || []), ...images] : images,
+          total: data.total,
+          nextCursor: data.nextCursor
+        }
+      }));
+      setCategoryCounts(prev => ({ ...prev, [categoryId]: data.total }));
     } catch (error) {
       console.error(`Failed to fetch uploaded images for ${categoryId}:`, error);
     } finally {
-      setLoadingCategory(null);
+      if (cursor) setLoadingMore(false);
+      else setLoadingCategory(null);
     }
-  }, []);
+  }, [listOptions]);
 
-  // Fetch all category uploads on mount
-  const fetchAllCategoryUploads = useCallback(async () => {
-    for (const category of RENAISSANCE_CATEGORIES) {
-      await fetchUploadedImages(category.id);
+  // Image counts for the category tabs, from a single one-image page across all of them
+  const fetchCategoryCounts = useCallback(async () => {
+    if (categories.length === 0) return;
+    try {
+      const data = await listLibraryImages(listOptions({ category: categories.map(c => c.id).join(','), limit: 1 }));
+      setCategoryCounts(data.totals);
+    } catch (error) {
+      console.error('Failed to fetch category counts:', error);
     }
-  }, [fetchUploadedImages]);
+  }, [listOptions, categories]);
 
+  // Fall back to the first tab when the active category was deleted (or none is picked yet)
   useEffect(() => {
-    fetchAllCategoryUploads();
-  }, [fetchAllCategoryUploads]);
-
-  // Convert file to base64
-  const fileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
-  };
+    if (!categories.some(c => c.id === activeCategory)) {
+      setActiveCategory(categories[0]?.id || null);
+    }
+  }, [categories, activeCategory]);
+
+  // Debounce so typing in the search box does not fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setAppliedSearch(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // A new search or sort starts every category over from its first page
+  useEffect(() => {
+    setPagesByCategory(prev => (Object.keys(prev).length > 0 ? {} : prev));
+    fetchCategoryCounts();
+  }, [fetchCategoryCounts]);
+
+  // Categories are loaded when first shown
+  useEffect(() => {
+    if (activeCategory && !pagesByCategory[activeCategory]) {
+      fetchUploadedImages(activeCategory);
+    }
+  }, [activeCategory, pagesByCategory, fetchUploadedImages]);
+
+  // Reload the first page of a category after it changed
+  const refreshCategory = useCallback((categoryId) => {
+    fetchUploadedImages(categoryId);
+    fetchCategoryCounts();
+  }, [fetchUploadedImages, fetchCategoryCounts]);
 
   // Handle file drop for uploading to current category
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
 
-    setUploading(true);
-    let successCount = 0;
     const targetCategory = activeCategory;
-
-    for (const file of acceptedFiles) {
-      try {
-        const base64 = await fileToBase64(file);
-        const response = await fetch('/api/images/upload', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            image: base64,
-            category: targetCategory,
-            filename: file.name.replace(/[^a-zA-Z0-9.-]/g, '-')
-          })
-        });
-        const data = await response.json();
-        if (data.success) {
-          successCount++;
-        }
-      } catch (error) {
-        console.error(`Failed to upload ${file.name}:`, error);
-      }
+    let saved;
+    try {
+      ({ saved } = await uploadFiles(acceptedFiles, targetCategory));
+    } catch (error) {
+      console.error('Failed to upload images:', error);
+      toast.error(`Upload failed: ${error.message}`, { duration: 6000 });
+      return;
     }
 
-    if (successCount > 0) {
-      toast.success(`Uploaded ${successCount} image(s) to ${ALL_CATEGORIES.find(c => c.id === targetCategory)?.name}`);
-      fetchUploadedImages(targetCategory);
+    if (saved.length > 0) {
+      toast.success(`Uploaded ${saved.length} image(s) to ${categories.find(c => c.id === targetCategory)?.name}`);
+      refreshCategory(targetCategory);
       setShowUploadZone(false);
     }
-
-    setUploading(false);
-  }, [activeCategory, fetchUploadedImages]);
+  }, [activeCategory, categories, refreshCategory, uploadFiles]);
 
   // Delete uploaded image
   const deleteUploadedImage = async (image, e) => {
     e.stopPropagation();
     try {
-      const response = await fetch(`/api/images/${image.category}/${image.filename}`, {
+      const response = await apiFetch(`/api/images/${image.category}/${image.filename}`, {
         method: 'DELETE'
       });
       const data = await response.json();
@@ -117,7 +158,7 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
         if (selectedImage?.id === image.id) {
           onClear();
         }
-        fetchUploadedImages(image.category);
+        refreshCategory(image.category);
       }
     } catch (error) {
       console.error('Failed to delete image:', error);
@@ -126,7 +167,7 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
   };
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
-    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp'] },
+    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif', '.tif', '.tiff'] }, // checked and normalized by the server
     multiple: true,
     onDrop,
     noClick: false,
@@ -134,8 +175,9 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
   });
 
   // Get uploaded images for the current category (all images are now server-uploaded)
-  const currentImages = uploadedImagesByCategory[activeCategory] || [];
-  const currentCategory = ALL_CATEGORIES.find(c => c.id === activeCategory);
+  const currentPage = pagesByCategory[activeCategory];
+  const currentImages = currentPage?.images || [];
+  const currentCategory = categories.find(c => c.id === activeCategory);
 
   const handleImageError = (imageId) => {
     setImageErrors(prev => ({ ...prev, [imageId]: true }));
@@ -153,8 +195,8 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
     <div className="space-y-4">
       {/* Category Tabs */}
       <div className="flex flex-wrap gap-2">
-        {ALL_CATEGORIES.map((category) => {
-          const categoryUploadCount = uploadedImagesByCategory[category.id]?.length || 0;
+        {categories.map((category) => {
+          const categoryUploadCount = categoryCounts[category.id] || 0;
           return (
             <button
               key={category.id}
@@ -178,22 +220,58 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
             </button>
           );
         })}
+        {isAdmin && (
+          <button
+            onClick={() => setShowCategoryManager(true)}
+            className="px-3 py-2 rounded-xl text-sm text-slate-500 hover:text-slate-700 hover:bg-white border border-dashed border-slate-300 flex items-center gap-2"
+            title="Add, rename, reorder or delete categories"
+          >
+            <FolderCog className="w-4 h-4" />
+            Manage
+          </button>
+        )}
       </div>
 
       {/* Category Description with Upload Button */}
       <div className="flex items-center justify-between">
         <p className="text-sm text-slate-500">{currentCategory?.description}</p>
-        <button
-          onClick={() => setShowUploadZone(!showUploadZone)}
-          className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
-            showUploadZone
-              ? 'bg-amber-100 text-amber-700 border border-amber-300'
-              : 'bg-white text-slate-600 hover:bg-slate-50 border border-slate-200'
-          }`}
+        {isAdmin && currentCategory && (
+          <button
+            onClick={() => setShowUploadZone(!showUploadZone)}
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+              showUploadZone
+                ? 'bg-amber-100 text-amber-700 border border-amber-300'
+                : 'bg-white text-slate-600 hover:bg-slate-50 border border-slate-200'
+            }`}
+          >
+            <Plus className={`w-4 h-4 transition-transform ${showUploadZone ? 'rotate-45' : ''}`} />
+            Add Images
+          </button>
+        )}
+      </div>
+
+      {/* Search and sort */}
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by filename"
+            className="w-full pl-9 pr-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm focus:ring-2 focus:ring-amber-300 focus:border-amber-400"
+          />
+        </div>
+        <select
+          value={sortId}
+          onChange={(e) => setSortId(e.target.value)}
+          className="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm text-slate-600"
+          aria-label="Sort images"
         >
-          <Plus className={`w-4 h-4 transition-transform ${showUploadZone ? 'rotate-45' : ''}`} />
-          Add Images
-        </button>
+          {SORT_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
       </div>
 
       {/* Selected Image Preview */}
@@ -219,7 +297,7 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
           <div className="flex items-center gap-4">
             <div className="relative">
               <img
-                src={selectedImage.url}
+                src={selectedImage.thumbnail || selectedImage.url}
                 alt={selectedImage.name}
                 className="w-24 h-24 rounded-lg object-cover border-2 border-amber-300 shadow-md"
                 onError={() => handleImageError(selectedImage.id)}
@@ -235,7 +313,7 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
             <div>
               <p className="font-medium text-slate-700">{selectedImage.name}</p>
               <p className="text-xs text-slate-500">
-                {ALL_CATEGORIES.find(c => c.id === selectedImage.category)?.name || 'Uploaded'}
+                {categories.find(c => c.id === selectedImage.category)?.name || 'Uploaded'}
               </p>
             </div>
           </div>
@@ -279,6 +357,9 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
         )}
       </AnimatePresence>
 
+      {/* Per-file upload progress */}
+      {uploadStatus}
+
       {/* Image Grid */}
       {loadingCategory === activeCategory ? (
         <div className="flex justify-center py-8">
@@ -326,7 +407,7 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
                 )}
 
                 {/* Delete button for uploaded images */}
-                {image.isUploaded && (
+                {image.isUploaded && isAdmin && (
                   <button
                     onClick={(e) => deleteUploadedImage(image, e)}
                     className="absolute top-1 right-1 p-1 bg-red-500 hover:bg-red-600 text-white rounded-full opacity-0 group-hover:opacity-100 transition-opacity shadow-md"
@@ -349,15 +430,33 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
       ) : (
         <div className="text-center py-8 text-slate-500">
           <Image className="w-12 h-12 mx-auto mb-3 text-slate-300" />
-          <p className="text-sm">No images in {currentCategory?.name} yet</p>
-          <p className="text-xs text-slate-400 mt-1">Click "Add Images" to upload images to this category</p>
+          {currentCategory ? (
+            <>
+              <p className="text-sm">{appliedSearch ? `No images in ${currentCategory.name} match "${appliedSearch}"` : `No images in ${currentCategory.name} yet`}</p>
+              <p className="text-xs text-slate-400 mt-1">
+                {isAdmin ? 'Click "Add Images" to upload images to this category' : 'Ask an admin to add images to this category'}
+              </p>
+            </>
+          ) : (
+            <p className="text-sm">{isAdmin ? 'Click "Manage" to add a category' : 'No categories yet'}</p>
+          )}
         </div>
       )}
 
       {/* Page indicator */}
       {currentImages.length > 0 && (
-        <div className="text-center text-sm text-slate-500">
-          Showing {currentImages.length} images in {currentCategory?.name}
+        <div className="flex flex-col items-center gap-2 text-sm text-slate-500">
+          <span>Showing {currentImages.length} of {currentPage.total} images in {currentCategory?.name}</span>
+          {currentPage.nextCursor && (
+            <button
+              onClick={() => fetchUploadedImages(activeCategory, currentPage.nextCursor)}
+              disabled={loadingMore}
+              className="flex items-center gap-2 px-4 py-1.5 rounded-lg bg-white text-slate-600 hover:bg-slate-50 border border-slate-200 disabled:opacity-50"
+            >
+              {loadingMore && <RefreshCw className="w-4 h-4 animate-spin" />}
+              Load more
+            </button>
+          )}
         </div>
       )}
 
@@ -379,14 +478,14 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
               onClick={(e) => e.stopPropagation()}
             >
               <img
-                src={previewImage.url}
+                src={previewImage.preview || previewImage.url}
                 alt={previewImage.name}
                 className="max-w-full max-h-[85vh] object-contain rounded-lg shadow-2xl"
               />
               <div className="absolute bottom-0 left-0 right-0 p-4 bg-gradient-to-t from-black/70 to-transparent rounded-b-lg">
                 <p className="text-white font-medium">{previewImage.name}</p>
                 <p className="text-white/70 text-sm">
-                  {ALL_CATEGORIES.find(c => c.id === previewImage.category)?.name || 'Uploaded'}
+                  {categories.find(c => c.id === previewImage.category)?.name || 'Uploaded'}
                 </p>
               </div>
               <button
@@ -422,6 +521,10 @@ export default function ImageSelectionPanel({ selectedImage, onSelectImage, onCl
           </motion.div>
         )}
       </AnimatePresence>
+
+      <AnimatePresence>
+        {showCategoryManager && <CategoryManager onClose={() => setShowCategoryManager(false)} />}
+      </AnimatePresence>
     </div>
   );
 }
@@ -0,0 +1,75 @@
+import React, { useState, useCallback } from 'react';
+import { uploadLibraryFiles } from '../api/images';
+import { useDuplicatePrompt } from './DuplicateUploadDialog';
+import UploadProgressList, { useUploadProgress } from './UploadProgressList';
+
+// Library uploads with per-file progress and duplicate prompts. Returns { uploadFiles,
+// uploading, status }: render `status` (progress rows and the duplicate dialog), then
+// `await uploadFiles(files, category)` for { saved, replaced }, the server results of the
+// stored files and the duplicates that were replaced.
+export const useLibraryUpload = () => {
+  const [uploading, setUploading] = useState(false);
+  const [askAboutDuplicate, duplicateDialog] = useDuplicatePrompt();
+  const progress = useUploadProgress();
+  const { begin, update, progressFor, finish } = progress;
+
+  const uploadFiles = useCallback(async (files, category) => {
+    const saved = [];
+    const replaced = [];
+    setUploading(true);
+    begin(files);
+    try {
+      let data;
+      try {
+        data = await uploadLibraryFiles({ files, category, onProgress: progressFor(files.map((_, index) => index)) });
+      } catch (error) {
+        files.forEach((_, index) => update(index, { status: 'failed', message: error.message }));
+        throw error;
+      }
+
+      // Duplicates are asked about one at a time, then sent again on their own
+      for (const [index, result] of data.results.entries()) {
+        let outcome = result;
+        finish(index, result);
+        if (result.code === 'DUPLICATE') {
+          const preview = URL.createObjectURL(files[index]);
+          const choice = await askAboutDuplicate({ name: files[index].name, preview, duplicates: result.duplicates });
+          URL.revokeObjectURL(preview);
+          if (choice.action === 'skip') {
+            update(index, { status: 'skipped' });
+            continue;
+          }
+          update(index, { status: 'uploading', progress: 0 });
+          try {
+            outcome = (await uploadLibraryFiles({
+              files: [files[index]],
+              category,
+              onDuplicate: choice.action,
+              replace: choice.replace,
+              onProgress: progressFor([index])
+            })).results[0];
+          } catch (error) {
+            outcome = { success: false, details: error.message };
+          }
+          finish(index, outcome);
+        }
+        if (outcome.success && !outcome.skipped) {
+          saved.push(outcome);
+          if (outcome.replaced) replaced.push(outcome.replaced);
+        }
+      }
+    } finally {
+      setUploading(false);
+    }
+    return { saved, replaced };
+  }, [askAboutDuplicate, begin, update, progressFor, finish]);
+
+  const status = (
+    <>
+      <UploadProgressList uploads={progress.uploads} onDismiss={progress.clear} />
+      {duplicateDialog}
+    </>
+  );
+
+  return { uploadFiles, uploading, status };
+};
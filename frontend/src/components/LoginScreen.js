@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { Sparkles, LogIn } from 'lucide-react';
+import { login } from '../api/client';
+
+const inputClassName = 'w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500';
+
+export default function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const user = await login(username.trim(), password);
+      toast.success(`Welcome, ${user.username}`);
+      onLogin(user);
+    } catch (error) {
+      toast.error(error.message);
+      setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <motion.form
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        onSubmit={handleSubmit}
+        className="glass rounded-3xl p-8 border border-white/20 w-full max-w-sm space-y-5"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-gradient-to-r from-accent-500 to-primary-500 rounded-xl">
+            <Sparkles className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold bg-gradient-to-r from-accent-600 to-primary-600 bg-clip-text text-transparent">
+              AI Art Generator
+            </h1>
+            <p className="text-xs text-slate-500">Sign in to continue</p>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-600 mb-2">Username</label>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-600 mb-2">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className={inputClassName}
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={submitting || !username.trim() || !password}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-gradient-to-r from-accent-500 to-primary-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed hover:shadow-lg transition-all"
+        >
+          {submitting
+            ? <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+            : <LogIn className="w-4 h-4" />}
+          Sign In
+        </button>
+      </motion.form>
+    </div>
+  );
+}
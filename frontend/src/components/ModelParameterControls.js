@@ -0,0 +1,84 @@
+import React from 'react';
+
+const inputClassName = 'w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500';
+
+// Renders one control per parameter definition from the backend model registry
+export default function ModelParameterControls({ parameters, values, onChange }) {
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  return (
+    <>
+      {parameters.map((param) => {
+        const value = values[param.key] ?? param.default;
+
+        if (param.type === 'select') {
+          return (
+            <div key={param.key}>
+              <label className="block text-sm font-medium text-slate-600 mb-2">{param.label}</label>
+              <select
+                value={value}
+                onChange={(e) => setValue(param.key, e.target.value)}
+                className={inputClassName}
+              >
+                {param.options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          );
+        }
+
+        if (param.type === 'range') {
+          return (
+            <div key={param.key}>
+              <label className="block text-sm font-medium text-slate-600 mb-2">
+                {param.label}: {value}{param.unit || ''}
+              </label>
+              <input
+                type="range"
+                min={param.min}
+                max={param.max}
+                step={param.step}
+                value={value}
+                onChange={(e) => setValue(param.key, parseFloat(e.target.value))}
+                className="w-full"
+              />
+              <div className="flex justify-between text-xs text-slate-500 mt-1">
+                <span>{param.min}</span>
+                <span>{param.max}</span>
+              </div>
+            </div>
+          );
+        }
+
+        if (param.type === 'boolean') {
+          return (
+            <div key={param.key} className="flex items-center">
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={Boolean(value)}
+                  onChange={(e) => setValue(param.key, e.target.checked)}
+                  className="rounded border-slate-300"
+                />
+                {param.label}
+              </label>
+            </div>
+          );
+        }
+
+        return (
+          <div key={param.key}>
+            <label className="block text-sm font-medium text-slate-600 mb-2">{param.label}</label>
+            <input
+              type="text"
+              value={value ?? ''}
+              onChange={(e) => setValue(param.key, e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useDropzone } from 'react-dropzone';
+import toast from 'react-hot-toast';
+import { ClipboardList, Plus, RefreshCw, Search, Upload, X, CheckCircle, Sparkles, Palette, User, Image } from 'lucide-react';
+import { listOrders, fetchOrder, createOrder, updateOrder, uploadOrderPhotos, removeOrderPhoto } from '../api/orders';
+import UploadProgressList, { useUploadProgress } from './UploadProgressList';
+import { useAuth } from '../context/AuthContext';
+
+const inputClassName = 'w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500';
+
+const STATUS_STYLES = {
+  'new': 'bg-slate-100 text-slate-600',
+  'in-progress': 'bg-blue-100 text-blue-700',
+  'awaiting-approval': 'bg-amber-100 text-amber-700',
+  'approved': 'bg-green-100 text-green-700',
+  'delivered': 'bg-emerald-100 text-emerald-700',
+  'cancelled': 'bg-red-100 text-red-600'
+};
+
+const EMPTY_ORDER = { customerName: '', customerEmail: '', petName: '', notes: '' };
+
+const StatusBadge = ({ status }) => (
+  <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[status] || STATUS_STYLES.new}`}>{status}</span>
+);
+
+const isSameImage = (a, b) => a && b && a.category === b.category && a.filename === b.filename;
+
+export default function OrdersPanel({ activeOrderId, onOpenInGenerator }) {
+  const { isAdmin } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newOrder, setNewOrder] = useState(EMPTY_ORDER);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_ORDER);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const photoUploads = useUploadProgress();
+
+  const fetchOrders = useCallback(async (status, term) => {
+    setLoading(true);
+    try {
+      const data = await listOrders({ status, search: term });
+      setOrders(data.orders);
+      setStatuses(data.statuses);
+    } catch (error) {
+      console.error('Failed to load orders:', error);
+      toast.error('Failed to load orders');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Debounce so typing in the search box does not fire a request per keystroke
+  useEffect(() => {
+    const timeout = setTimeout(() => fetchOrders(statusFilter, search), 300);
+    return () => clearTimeout(timeout);
+  }, [statusFilter, search, fetchOrders]);
+
+  const selectOrder = useCallback(async (orderId) => {
+    try {
+      const order = await fetchOrder(orderId);
+      setSelectedOrder(order);
+      setDraft({
+        customerName: order.customerName,
+        customerEmail: order.customerEmail,
+        petName: order.petName,
+        notes: order.notes
+      });
+    } catch (error) {
+      console.error('Failed to load order:', error);
+      toast.error(error.message);
+    }
+  }, []);
+
+  // Open the order currently loaded in the generator, so its new generations show up
+  useEffect(() => {
+    if (activeOrderId) selectOrder(activeOrderId);
+  }, [activeOrderId, selectOrder]);
+
+  // Keep the list row in sync after the selected order changes
+  const applyOrderUpdate = (order) => {
+    setSelectedOrder(order);
+    setOrders(prev => prev.map(item => (item.id === order.id ? order : item)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newOrder.customerName.trim()) {
+      toast.error('Customer name is required');
+      return;
+    }
+    try {
+      const order = await createOrder(newOrder);
+      toast.success(`Order created for ${order.customerName}`);
+      setNewOrder(EMPTY_ORDER);
+      setShowCreate(false);
+      setOrders(prev => [order, ...prev]);
+      selectOrder(order.id);
+    } catch (error) {
+      console.error('Failed to create order:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const saveChanges = async (changes) => {
+    if (!selectedOrder) return;
+    setSaving(true);
+    try {
+      applyOrderUpdate(await updateOrder(selectedOrder.id, changes));
+      toast.success('Order saved');
+    } catch (error) {
+      console.error('Failed to update order:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Upload dropped customer photos into the selected order, with a progress bar per file
+  const onPhotoDrop = useCallback(async (acceptedFiles) => {
+    if (!selectedOrder || acceptedFiles.length === 0) return;
+    setUploading(true);
+    photoUploads.begin(acceptedFiles);
+    try {
+      const data = await uploadOrderPhotos(selectedOrder.id, acceptedFiles, {
+        onProgress: photoUploads.progressFor(acceptedFiles.map((_, index) => index))
+      });
+      data.results.forEach((result, index) => photoUploads.finish(index, result));
+      applyOrderUpdate(data.order);
+      if (data.summary.saved > 0) {
+        toast.success(`Added ${data.summary.saved} customer photo${data.summary.saved > 1 ? 's' : ''}`);
+      }
+      if (data.summary.failed > 0) {
+        toast.error(`${data.summary.failed} photo${data.summary.failed > 1 ? 's' : ''} could not be added`);
+      }
+    } catch (error) {
+      console.error('Failed to upload photos:', error);
+      acceptedFiles.forEach((_, index) => photoUploads.update(index, { status: 'failed', message: error.details || error.message }));
+      toast.error(error.details || error.message);
+    } finally {
+      setUploading(false);
+    }
+  }, [selectedOrder, photoUploads]);
+
+  const photoDropzone = useDropzone({
+    accept: { 'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp'] },
+    multiple: true,
+    onDrop: onPhotoDrop
+  });
+
+  const handleRemovePhoto = async (filename) => {
+    try {
+      applyOrderUpdate(await removeOrderPhoto(selectedOrder.id, filename));
+    } catch (error) {
+      console.error('Failed to remove photo:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const draftChanged = selectedOrder && Object.keys(draft).some(key => draft[key] !== selectedOrder[key]);
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="glass rounded-3xl p-8 border border-white/20 space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-2xl font-semibold text-slate-800 flex items-center gap-3">
+          <ClipboardList className="w-6 h-6 text-accent-500" />
+          Customer Orders
+          <span className="text-sm px-2 py-1 rounded-full bg-slate-100 text-slate-600">
+            {orders.length} order{orders.length !== 1 ? 's' : ''}
+          </span>
+        </h3>
+        <div className="flex gap-2">
+          <button
+            onClick={() => fetchOrders(statusFilter, search)}
+            disabled={loading}
+            className="text-sm text-slate-500 hover:text-slate-700 flex items-center gap-1"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            className="text-sm bg-accent-500 hover:bg-accent-600 text-white px-3 py-1 rounded-full transition-colors flex items-center gap-1"
+          >
+            <Plus className="w-4 h-4" />
+            New Order
+          </button>
+        </div>
+      </div>
+
+      {/* Create Form */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="p-4 bg-slate-50 rounded-xl border border-slate-200 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            type="text"
+            value={newOrder.customerName}
+            onChange={(e) => setNewOrder(prev => ({ ...prev, customerName: e.target.value }))}
+            placeholder="Customer name *"
+            className={inputClassName}
+          />
+          <input
+            type="email"
+            value={newOrder.customerEmail}
+            onChange={(e) => setNewOrder(prev => ({ ...prev, customerEmail: e.target.value }))}
+            placeholder="Customer email"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={newOrder.petName}
+            onChange={(e) => setNewOrder(prev => ({ ...prev, petName: e.target.value }))}
+            placeholder="Pet name"
+            className={inputClassName}
+          />
+          <textarea
+            value={newOrder.notes}
+            onChange={(e) => setNewOrder(prev => ({ ...prev, notes: e.target.value }))}
+            placeholder="Notes"
+            rows={2}
+            className={`${inputClassName} md:col-span-3 resize-none`}
+          />
+          <div className="md:col-span-3 flex justify-end gap-2">
+            <button type="button" onClick={() => setShowCreate(false)} className="text-sm text-slate-500 hover:text-slate-700 px-3 py-1">
+              Cancel
+            </button>
+            <button type="submit" className="text-sm bg-accent-500 hover:bg-accent-600 text-white px-4 py-1.5 rounded-lg transition-colors">
+              Create Order
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Order List */}
+        <div className="space-y-3">
+          <div className="relative">
+            <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search customer or pet..."
+              className={`${inputClassName} pl-9`}
+            />
+          </div>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={inputClassName}>
+            <option value="">All statuses</option>
+            {statuses.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+
+          <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+            {orders.map(order => (
+              <button
+                key={order.id}
+                onClick={() => selectOrder(order.id)}
+                className={`w-full text-left p-3 rounded-xl border transition-all ${
+                  selectedOrder?.id === order.id
+                    ? 'border-accent-400 bg-accent-50'
+                    : 'border-slate-200 bg-white/70 hover:bg-white'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-slate-700 truncate">{order.customerName}</span>
+                  <StatusBadge status={order.status} />
+                </div>
+                {order.petName && <p className="text-xs text-slate-500">Pet: {order.petName}</p>}
+                <p className="text-xs text-slate-400">
+                  {order.customerPhotos.length} photo{order.customerPhotos.length !== 1 ? 's' : ''} • {order.generations.length} generation{order.generations.length !== 1 ? 's' : ''}
+                </p>
+              </button>
+            ))}
+            {orders.length === 0 && !loading && (
+              <p className="text-sm text-slate-500 text-center py-6">No orders found</p>
+            )}
+          </div>
+        </div>
+
+        {/* Order Detail */}
+        <div className="lg:col-span-2">
+          {selectedOrder ? (
+            <div className="space-y-5">
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <h4 className="text-xl font-semibold text-slate-800">{selectedOrder.customerName}</h4>
+                  <select
+                    value={selectedOrder.status}
+                    onChange={(e) => saveChanges({ status: e.target.value })}
+                    disabled={saving}
+                    className="text-xs px-2 py-1 rounded-full border border-slate-300 bg-white"
+                  >
+                    {statuses.map(status => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={() => onOpenInGenerator(selectedOrder.id)}
+                  className="text-sm bg-gradient-to-r from-accent-500 to-primary-500 text-white px-3 py-1.5 rounded-lg flex items-center gap-1 hover:shadow-md transition-all"
+                >
+                  <Sparkles className="w-4 h-4" />
+                  {activeOrderId === selectedOrder.id ? 'Continue in Generator' : 'Open in Generator'}
+                </button>
+              </div>
+
+              {/* Editable Details */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <input
+                  type="text"
+                  value={draft.customerName}
+                  onChange={(e) => setDraft(prev => ({ ...prev, customerName: e.target.value }))}
+                  placeholder="Customer name"
+                  className={inputClassName}
+                />
+                <input
+                  type="email"
+                  value={draft.customerEmail}
+                  onChange={(e) => setDraft(prev => ({ ...prev, customerEmail: e.target.value }))}
+                  placeholder="Customer email"
+                  className={inputClassName}
+                />
+                <input
+                  type="text"
+                  value={draft.petName}
+                  onChange={(e) => setDraft(prev => ({ ...prev, petName: e.target.value }))}
+                  placeholder="Pet name"
+                  className={inputClassName}
+                />
+                <textarea
+                  value={draft.notes}
+                  onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+                  placeholder="Notes"
+                  rows={2}
+                  className={`${inputClassName} md:col-span-3 resize-none`}
+                />
+              </div>
+              {draftChanged && (
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => setDraft({
+                      customerName: selectedOrder.customerName,
+                      customerEmail: selectedOrder.customerEmail,
+                      petName: selectedOrder.petName,
+                      notes: selectedOrder.notes
+                    })}
+                    className="text-sm text-slate-500 hover:text-slate-700 px-3 py-1"
+                  >
+                    Discard
+                  </button>
+                  <button
+                    onClick={() => saveChanges(draft)}
+                    disabled={saving || !draft.customerName.trim()}
+                    className="text-sm bg-accent-500 hover:bg-accent-600 text-white px-4 py-1.5 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    Save Details
+                  </button>
+                </div>
+              )}
+
+              {/* Customer Photos */}
+              <div className="p-4 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl border border-blue-200">
+                <h5 className="font-medium text-blue-800 mb-3 flex items-center gap-2">
+                  <User className="w-4 h-4" />
+                  Customer Photos
+                </h5>
+                <div className="flex flex-wrap gap-3">
+                  {selectedOrder.customerPhotos.map(photo => (
+                    <div key={photo.filename} className="relative group">
+                      <img src={photo.url} alt={photo.name || photo.filename} className="w-20 h-20 rounded-lg object-cover border-2 border-blue-300" />
+                      {isAdmin && (
+                        <button
+                          onClick={() => handleRemovePhoto(photo.filename)}
+                          className="absolute -top-2 -right-2 p-1 bg-red-500 hover:bg-red-600 text-white rounded-full shadow-md transition-colors opacity-0 group-hover:opacity-100"
+                          title="Remove photo"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <div
+                    {...photoDropzone.getRootProps()}
+                    className={`w-20 h-20 rounded-lg border-2 border-dashed flex items-center justify-center cursor-pointer transition-all ${
+                      photoDropzone.isDragActive ? 'border-blue-400 bg-blue-100' : 'border-blue-300 hover:bg-blue-50'
+                    }`}
+                    title="Add customer photos"
+                  >
+                    <input {...photoDropzone.getInputProps()} />
+                    {uploading
+                      ? <RefreshCw className="w-5 h-5 text-blue-400 animate-spin" />
+                      : <Upload className="w-5 h-5 text-blue-400" />}
+                  </div>
+                </div>
+                {photoUploads.uploads.length > 0 && (
+                  <div className="mt-3">
+                    <UploadProgressList uploads={photoUploads.uploads} onDismiss={photoUploads.clear} />
+                  </div>
+                )}
+              </div>
+
+              {/* Base Image */}
+              <div className="p-4 bg-gradient-to-r from-amber-50 to-orange-50 rounded-xl border border-amber-200">
+                <h5 className="font-medium text-amber-800 mb-3 flex items-center gap-2">
+                  <Palette className="w-4 h-4" />
+                  Base Image
+                </h5>
+                {selectedOrder.baseImage ? (
+                  <div className="flex items-center gap-3">
+                    <img src={selectedOrder.baseImage.url} alt={selectedOrder.baseImage.name || selectedOrder.baseImage.filename} className="w-20 h-20 rounded-lg object-cover border-2 border-amber-300" />
+                    <span className="text-sm text-amber-700">{selectedOrder.baseImage.name || selectedOrder.baseImage.filename}</span>
+                  </div>
+                ) : (
+                  <p className="text-sm text-amber-600">No base image chosen yet. Pick one in the generator.</p>
+                )}
+              </div>
+
+              {/* Generations */}
+              <div>
+                <h5 className="font-medium text-slate-700 mb-3 flex items-center gap-2">
+                  <Image className="w-4 h-4" />
+                  Generations ({selectedOrder.generations.length})
+                </h5>
+                {selectedOrder.generations.length > 0 ? (
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                    {selectedOrder.generations.map(image => {
+                      const approved = isSameImage(selectedOrder.approvedImage, image);
+                      return (
+                        <div
+                          key={image.filename}
+                          className={`rounded-xl overflow-hidden border-2 bg-white/70 ${approved ? 'border-green-500 shadow-lg' : 'border-white/50'}`}
+                        >
+                          <div className="aspect-square bg-slate-100 relative">
+                            <img src={image.url} alt={image.prompt || image.filename} className="w-full h-full object-cover" loading="lazy" />
+                            {approved && (
+                              <div className="absolute top-2 left-2 px-2 py-0.5 bg-green-500 rounded text-xs text-white flex items-center gap-1">
+                                <CheckCircle className="w-3 h-3" />
+                                Approved
+                              </div>
+                            )}
+                          </div>
+                          <div className="p-2 space-y-2">
+                            {image.prompt && (
+                              <p className="text-xs text-slate-600 overflow-hidden" style={{display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical'}}>
+                                {image.prompt}
+                              </p>
+                            )}
+                            <button
+                              onClick={() => saveChanges({ approvedImage: approved ? null : image })}
+                              disabled={saving}
+                              className={`w-full text-xs px-2 py-1 rounded-lg transition-colors ${
+                                approved ? 'bg-slate-100 text-slate-600 hover:bg-slate-200' : 'bg-green-100 text-green-700 hover:bg-green-200'
+                              }`}
+                            >
+                              {approved ? 'Unapprove' : 'Approve'}
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <p className="text-sm text-slate-500">No generations yet. Open the order in the generator to create some.</p>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="text-center py-16 text-slate-500">
+              <ClipboardList className="w-12 h-12 mx-auto mb-3 text-slate-300" />
+              <p className="text-sm">Select an order or create a new one</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { FileText, Plus, Pencil, Trash2, Wand2, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useCategories } from '../context/CategoriesContext';
+import { listPromptTemplates, createPromptTemplate, updatePromptTemplate, deletePromptTemplate, expandPromptTemplate } from '../api/promptTemplates';
+
+const inputClassName = 'w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-accent-500 focus:border-accent-500';
+
+// "pet_name" -> "Pet name"
+const variableLabel = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' ');
+
+// Pick a stored prompt template, fill in its variables and expand it into the prompt list.
+// `category` narrows the list to that category's templates plus general ones;
+// `defaults` pre-fills variables known from the order and base image.
+export default function PromptTemplatePanel({ category, defaults, currentPrompts, onApply, disabled }) {
+  const { isAdmin } = useAuth();
+  const { categories } = useCategories();
+  const [templates, setTemplates] = useState([]);
+  const [supportedVariables, setSupportedVariables] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [values, setValues] = useState({});
+  const [editing, setEditing] = useState(null); // { id?, name, category, body }
+
+  const categoryName = (categoryId) => categories.find(item => item.id === categoryId)?.name || 'All categories';
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const data = await listPromptTemplates(category);
+      setTemplates(data.templates);
+      setSupportedVariables(data.variables);
+      setSelectedId(current => (data.templates.some(template => template.id === current) ? current : ''));
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error);
+    }
+  }, [category]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  // Refresh the pre-filled values when the order or base image changes
+  useEffect(() => {
+    setValues(prev => ({ ...prev, ...Object.fromEntries(Object.entries(defaults).filter(([, value]) => value)) }));
+  }, [defaults]);
+
+  const selectedTemplate = templates.find(template => template.id === selectedId) || null;
+
+  const applyTemplate = async () => {
+    try {
+      const prompts = await expandPromptTemplate(selectedTemplate.id, values);
+      onApply(prompts);
+      toast.success(`Filled ${prompts.length} prompt${prompts.length !== 1 ? 's' : ''} from "${selectedTemplate.name}"`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const saveTemplate = async (e) => {
+    e.preventDefault();
+    try {
+      const fields = { name: editing.name, category: editing.category || null, body: editing.body };
+      const template = editing.id
+        ? await updatePromptTemplate(editing.id, fields)
+        : await createPromptTemplate(fields);
+      toast.success(`Template "${template.name}" saved`);
+      setEditing(null);
+      await fetchTemplates();
+      setSelectedId(template.id);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const removeTemplate = async () => {
+    if (!window.confirm(`Delete template "${selectedTemplate.name}"?`)) return;
+    try {
+      await deletePromptTemplate(selectedTemplate.id);
+      toast.success('Template deleted');
+      setSelectedId('');
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (editing) {
+    return (
+      <form onSubmit={saveTemplate} className="mb-4 p-4 bg-violet-50 rounded-xl border border-violet-200 space-y-3">
+        <div className="flex items-center justify-between">
+          <h5 className="font-medium text-violet-800 flex items-center gap-2">
+            <FileText className="w-4 h-4" />
+            {editing.id ? 'Edit Template' : 'New Template'}
+          </h5>
+          <button type="button" onClick={() => setEditing(null)} className="text-violet-500 hover:text-violet-700">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <input
+            type="text"
+            value={editing.name}
+            onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Template name"
+            className={inputClassName}
+          />
+          <select
+            value={editing.category || ''}
+            onChange={(e) => setEditing(prev => ({ ...prev, category: e.target.value }))}
+            className={inputClassName}
+          >
+            <option value="">All categories</option>
+            {categories.map(item => (
+              <option key={item.id} value={item.id}>{item.icon} {item.name}</option>
+            ))}
+          </select>
+        </div>
+        <textarea
+          value={editing.body}
+          onChange={(e) => setEditing(prev => ({ ...prev, body: e.target.value }))}
+          rows={4}
+          placeholder="Turn the {species} in image 2 into the noble in image 1, wearing {outfit}..."
+          className={`${inputClassName} font-mono resize-none`}
+        />
+        <p className="text-xs text-violet-600">
+          One prompt per line. Variables: {supportedVariables.map(name => `{${name}}`).join(' ')}
+        </p>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={!editing.name.trim() || !editing.body.trim()}
+            className="text-sm bg-violet-500 hover:bg-violet-600 text-white px-4 py-1.5 rounded-lg transition-colors disabled:opacity-50"
+          >
+            Save Template
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="mb-4 p-4 bg-violet-50 rounded-xl border border-violet-200 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <FileText className="w-4 h-4 text-violet-600" />
+        <select
+          value={selectedId}
+          onChange={(e) => setSelectedId(e.target.value)}
+          className="flex-1 min-w-[12rem] px-3 py-1.5 bg-white border border-violet-200 rounded-lg text-sm"
+        >
+          <option value="">{templates.length > 0 ? 'Choose a prompt template...' : 'No templates yet'}</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>
+              {template.name}{template.category ? ` (${categoryName(template.category)})` : ''}
+            </option>
+          ))}
+        </select>
+        {selectedTemplate && (
+          <>
+            <button
+              onClick={() => setEditing({ id: selectedTemplate.id, name: selectedTemplate.name, category: selectedTemplate.category, body: selectedTemplate.body })}
+              className="p-1.5 text-violet-600 hover:bg-violet-100 rounded-lg"
+              title="Edit template"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+            {isAdmin && (
+              <button onClick={removeTemplate} className="p-1.5 text-red-500 hover:bg-red-50 rounded-lg" title="Delete template">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </>
+        )}
+        <button
+          onClick={() => setEditing({ name: '', category: category || '', body: currentPrompts })}
+          className="text-sm text-violet-600 hover:text-violet-800 flex items-center gap-1"
+          title="Save a new template (starts from the current prompts)"
+        >
+          <Plus className="w-4 h-4" />
+          New
+        </button>
+      </div>
+
+      {selectedTemplate && (
+        <>
+          <pre className="text-xs text-violet-700 bg-white/60 rounded-lg p-2 whitespace-pre-wrap font-mono">{selectedTemplate.body}</pre>
+          {selectedTemplate.variables.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {selectedTemplate.variables.map(name => (
+                <div key={name}>
+                  <label className="block text-xs font-medium text-violet-700 mb-1">{variableLabel(name)}</label>
+                  <input
+                    type={name === 'subject_count' ? 'number' : 'text'}
+                    min={name === 'subject_count' ? 1 : undefined}
+                    value={values[name] ?? ''}
+                    onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                    className={inputClassName}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+          <button
+            onClick={applyTemplate}
+            disabled={disabled}
+            className="text-sm bg-violet-500 hover:bg-violet-600 text-white px-4 py-1.5 rounded-lg transition-colors flex items-center gap-1 disabled:opacity-50"
+          >
+            <Wand2 className="w-4 h-4" />
+            Fill Prompts
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
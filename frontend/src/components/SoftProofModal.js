@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { RefreshCw, X } from 'lucide-react';
+import { apiFetch } from '../api/client';
+
+// Side-by-side comparison of an image as shown on screen and as it will print with the
+// chosen export options (rendered by /api/export/soft-proof)
+export default function SoftProofModal({ imageUrl, exportOptions, profileName, onClose }) {
+  const [proofUrl, setProofUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  const optionsKey = JSON.stringify(exportOptions);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    setProofUrl(null);
+    setError(null);
+
+    const loadProof = async () => {
+      try {
+        const response = await apiFetch('/api/export/soft-proof', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: optionsKey
+        });
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.details || data.error || 'Soft proof failed');
+        }
+        const blob = await response.blob();
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setProofUrl(objectUrl);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    loadProof();
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [optionsKey]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.9 }}
+        className="relative max-w-6xl w-full max-h-[90vh] bg-white rounded-2xl overflow-hidden flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+          <p className="font-medium text-slate-700">Soft proof: {profileName}</p>
+          <button onClick={onClose} className="p-1 text-slate-500 hover:text-slate-700" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="grid grid-cols-2 gap-1 bg-slate-900 flex-1 min-h-0">
+          <figure className="flex flex-col min-h-0">
+            <img src={imageUrl} alt="As generated" className="flex-1 min-h-0 max-h-[75vh] object-contain" />
+            <figcaption className="py-2 text-center text-xs text-slate-300">On screen</figcaption>
+          </figure>
+          <figure className="flex flex-col min-h-0">
+            {proofUrl ? (
+              <img src={proofUrl} alt="Simulated print" className="flex-1 min-h-0 max-h-[75vh] object-contain" />
+            ) : (
+              <div className="flex-1 flex items-center justify-center text-sm text-slate-300 p-4 text-center">
+                {error || <RefreshCw className="w-6 h-6 animate-spin" />}
+              </div>
+            )}
+            <figcaption className="py-2 text-center text-xs text-slate-300">Print ({profileName})</figcaption>
+          </figure>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { CheckCircle, AlertCircle, Copy, RefreshCw, X } from 'lucide-react';
+
+const STATUS_LABELS = {
+  uploading: null,
+  processing: 'Processing...',
+  duplicate: 'Possible duplicate',
+  done: 'Uploaded',
+  skipped: 'Skipped',
+  failed: 'Failed'
+};
+
+// One row per file of an upload: a progress bar while it is sent, then what happened to it
+export default function UploadProgressList({ uploads, onDismiss }) {
+  if (uploads.length === 0) return null;
+  const busy = uploads.some(upload => ['uploading', 'processing', 'duplicate'].includes(upload.status));
+
+  return (
+    <div className="space-y-2 p-3 bg-white/70 rounded-xl border border-slate-200">
+      {uploads.map(upload => (
+        <div key={upload.id} className="text-xs">
+          <div className="flex items-center gap-2">
+            {upload.status === 'done' && <CheckCircle className="w-4 h-4 text-green-500 flex-shrink-0" />}
+            {upload.status === 'failed' && <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />}
+            {upload.status === 'duplicate' && <Copy className="w-4 h-4 text-amber-500 flex-shrink-0" />}
+            {['uploading', 'processing'].includes(upload.status) && <RefreshCw className="w-4 h-4 text-slate-400 animate-spin flex-shrink-0" />}
+            <span className="truncate text-slate-700 flex-1">{upload.name}</span>
+            <span className={upload.status === 'failed' ? 'text-red-600' : 'text-slate-500'}>
+              {upload.status === 'uploading' ? `${Math.round(upload.progress * 100)}%` : STATUS_LABELS[upload.status]}
+            </span>
+          </div>
+          {['uploading', 'processing'].includes(upload.status) && (
+            <div className="mt-1 h-1.5 rounded-full bg-slate-200 overflow-hidden">
+              <div
+                className={`h-full rounded-full transition-all ${upload.status === 'processing' ? 'bg-amber-400 animate-pulse' : 'bg-blue-500'}`}
+                style={{ width: `${Math.round(upload.progress * 100)}%` }}
+              />
+            </div>
+          )}
+          {upload.message && <p className="mt-0.5 text-red-600">{upload.message}</p>}
+        </div>
+      ))}
+      {!busy && onDismiss && (
+        <button onClick={onDismiss} className="text-xs text-slate-500 hover:text-slate-700 flex items-center gap-1">
+          <X className="w-3 h-3" />
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Upload rows for UploadProgressList: begin(files) starts a row per file, progressFor(indexes)
+// returns an onProgress callback for a request sending those files, and finish(index, result)
+// records a server result ({ success, skipped, code, details }).
+export const useUploadProgress = () => {
+  const [uploads, setUploads] = useState([]);
+
+  const begin = useCallback((files) => {
+    const startedAt = Date.now();
+    setUploads(files.map((file, index) => ({ id: `${startedAt}-${index}`, name: file.name, progress: 0, status: 'uploading', message: null })));
+  }, []);
+
+  const update = useCallback((index, changes) => {
+    setUploads(prev => prev.map((upload, i) => (i === index ? { ...upload, ...changes } : upload)));
+  }, []);
+
+  // Fully sent files wait for the server to check and store them
+  const progressFor = useCallback(indexes => (fractions) => {
+    setUploads(prev => prev.map((upload, i) => {
+      const at = indexes.indexOf(i);
+      if (at === -1 || !['uploading', 'processing'].includes(upload.status)) return upload;
+      return { ...upload, progress: fractions[at], status: fractions[at] >= 1 ? 'processing' : 'uploading' };
+    }));
+  }, []);
+
+  const finish = useCallback((index, result) => {
+    if (result.code === 'DUPLICATE') {
+      update(index, { status: 'duplicate', progress: 1 });
+    } else if (result.success) {
+      update(index, { status: result.skipped ? 'skipped' : 'done', progress: 1 });
+    } else {
+      update(index, { status: 'failed', message: result.details || result.error });
+    }
+  }, [update]);
+
+  const clear = useCallback(() => setUploads([]), []);
+
+  return useMemo(() => ({ uploads, begin, update, progressFor, finish, clear }), [uploads, begin, update, progressFor, finish, clear]);
+};
@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+
+// The logged-in user ({ id, username, role }) and a logout action, provided by App
+export const AuthContext = createContext({ user: null, isAdmin: false, logout: () => {} });
+
+export const useAuth = () => useContext(AuthContext);
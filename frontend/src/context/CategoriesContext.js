@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+
+// Library categories for base images ({ id, name, description, icon, subjectCount }) in tab
+// order, loaded by App from /api/categories; reload() fetches them again after a change
+export const CategoriesContext = createContext({ categories: [], loaded: false, reload: () => {} });
+
+export const useCategories = () => useContext(CategoriesContext);